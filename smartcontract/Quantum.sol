@@ -36,6 +36,10 @@ contract QuantumAiStorage is Ownable {
     mapping(address => uint128) internal publisherEarnings;
     uint128 internal totalPlatformEarnings;
 
+    // Token a paid dataset is priced in; address(0) for datasets priced before
+    // uploaders chose a token, which can still be paid in any accepted token
+    mapping(uint256 => address) public priceTokens;
+
     mapping(address => PaymentToken) public paymentTokens;
     mapping(uint256 => address) public acceptedTokenByIndex;
     uint256 public acceptedTokenCount;
@@ -67,8 +71,12 @@ contract QuantumAiPayments is QuantumAiStorage {
 // DATASET MANAGEMENT
 // =================================================================
 contract QuantumAiDatasets is QuantumAiPayments, ReentrancyGuard {
-    event DatasetUploaded(uint256 indexed id, address uploader, bool isPublic, bool isPaid, uint128 price);
+    event DatasetUploaded(uint256 indexed id, address uploader, bool isPublic, bool isPaid, uint128 price, address priceToken);
     event PublicDatasetListed(uint256 indexed id, address uploader);
+    event DatasetVisibilityChanged(uint256 indexed id, bool isPublic);
+    event DatasetPriceUpdated(uint256 indexed id, bool isPaid, uint128 price, address priceToken);
+    event DatasetAnalysisUpdated(uint256 indexed id, string analysisCID);
+    event DatasetViewed(uint256 indexed id, address viewer);
 
     modifier onlyUploader(uint256 id) {
         require(datasets[id].uploader == msg.sender, "Not uploader");
@@ -81,6 +89,20 @@ contract QuantumAiDatasets is QuantumAiPayments, ReentrancyGuard {
         _;
     }
 
+    function uploadDataset(
+        string memory _cid,
+        string memory _analysis,
+        bool _public,
+        bool _private,
+        bool _paid,
+        uint256 _price,
+        address _priceToken
+    ) external nonReentrant {
+        _createDataset(_cid, _analysis, _public, _private, _paid, _price, _priceToken);
+    }
+
+    // Signature from before uploaders chose a price token, kept for existing clients;
+    // paid datasets uploaded through it can be paid in any accepted token
     function uploadDataset(
         string memory _cid,
         string memory _analysis,
@@ -89,15 +111,30 @@ contract QuantumAiDatasets is QuantumAiPayments, ReentrancyGuard {
         bool _paid,
         uint256 _price
     ) external nonReentrant {
+        _createDataset(_cid, _analysis, _public, _private, _paid, _price, address(0));
+    }
+
+    function _createDataset(
+        string memory _cid,
+        string memory _analysis,
+        bool _public,
+        bool _private,
+        bool _paid,
+        uint256 _price,
+        address _priceToken
+    ) internal returns (uint256 id) {
         require(!cidExists[_cid], "CID exists");
         require(bytes(_cid).length > 0, "CID empty");
         require(!(_public && _private), "Public+Private");
         if (_private) require(!_paid, "Private not paid");
-        if (_paid) require(_price > 0, "Price 0");
+        if (_paid) {
+            require(_price > 0, "Price 0");
+            require(_priceToken == address(0) || paymentTokens[_priceToken].isAccepted, "Token");
+        }
 
         cidExists[_cid] = true;
 
-        uint256 id = datasetCount++;
+        id = datasetCount++;
         datasets[id] = Dataset({
             datasetCID: _cid,
             analysisCID: _analysis,
@@ -112,18 +149,60 @@ contract QuantumAiDatasets is QuantumAiPayments, ReentrancyGuard {
             earnings: 0
         });
 
+        if (_paid) priceTokens[id] = _priceToken;
         userUploads[msg.sender].push(id);
 
-        emit DatasetUploaded(id, msg.sender, _public, _paid, uint128(_price));
+        emit DatasetUploaded(id, msg.sender, _public, _paid, uint128(_price), priceTokens[id]);
         if (_public && !_private) emit PublicDatasetListed(id, msg.sender);
     }
 
+    // List or delist a dataset; private datasets stay private
+    function setListed(uint256 id, bool _public) external onlyUploader(id) {
+        Dataset storage d = datasets[id];
+        require(!d.isPrivate, "Private");
+        require(d.isPublic != _public, "Unchanged");
+
+        d.isPublic = _public;
+        emit DatasetVisibilityChanged(id, _public);
+        if (_public) emit PublicDatasetListed(id, msg.sender);
+    }
+
+    // Change the price or its token, or switch between free and paid; existing buyers keep access
+    function updatePrice(uint256 id, bool _paid, uint256 _price, address _priceToken) external onlyUploader(id) {
+        _updatePrice(id, _paid, _price, _priceToken);
+    }
+
+    // Signature from before price tokens; the dataset can then be paid in any accepted token
+    function updatePrice(uint256 id, bool _paid, uint256 _price) external onlyUploader(id) {
+        _updatePrice(id, _paid, _price, address(0));
+    }
+
+    function _updatePrice(uint256 id, bool _paid, uint256 _price, address _priceToken) internal {
+        Dataset storage d = datasets[id];
+        if (_paid) {
+            require(!d.isPrivate, "Private not paid");
+            require(_price > 0, "Price 0");
+            require(_priceToken == address(0) || paymentTokens[_priceToken].isAccepted, "Token");
+        }
+
+        d.isPaid = _paid;
+        d.priceInFIL = _paid ? uint128(_price) : 0;
+        priceTokens[id] = _paid ? _priceToken : address(0);
+        emit DatasetPriceUpdated(id, _paid, d.priceInFIL, priceTokens[id]);
+    }
+
+    function updateAnalysisCID(uint256 id, string memory _analysis) external onlyUploader(id) {
+        datasets[id].analysisCID = _analysis;
+        emit DatasetAnalysisUpdated(id, _analysis);
+    }
+
     function getDataset(uint256 id) external view canView(id) returns (Dataset memory) {
         return datasets[id];
     }
 
     function incrementViews(uint256 id) external canView(id) {
         datasets[id].views++;
+        emit DatasetViewed(id, msg.sender);
     }
 
     function totalDatasets() external view returns (uint256) {
@@ -136,6 +215,7 @@ contract QuantumAiDatasets is QuantumAiPayments, ReentrancyGuard {
 // =================================================================
 contract QuantumAiPurchase is QuantumAiDatasets {
     event DatasetPurchased(uint256 indexed id, address buyer, address publisher, uint128 amount, address token);
+    event DatasetDownloaded(uint256 indexed id, address account);
 
     modifier canDownload(uint256 id) {
         Dataset memory d = datasets[id];
@@ -153,6 +233,7 @@ contract QuantumAiPurchase is QuantumAiDatasets {
         require(!hasAccess[id][msg.sender], "Already");
         require(d.uploader != msg.sender, "Own");
         require(paymentTokens[token].isAccepted, "Token");
+        _requirePriceToken(id, token);
 
         IERC20(token).transferFrom(msg.sender, d.uploader, d.priceInFIL);
 
@@ -164,8 +245,13 @@ contract QuantumAiPurchase is QuantumAiDatasets {
         emit DatasetPurchased(id, msg.sender, d.uploader, d.priceInFIL, token);
     }
 
+    function _requirePriceToken(uint256 id, address token) internal view {
+        require(priceTokens[id] == address(0) || priceTokens[id] == token, "Price token");
+    }
+
     function incrementDownloads(uint256 id) external canDownload(id) {
         datasets[id].downloads++;
+        emit DatasetDownloaded(id, msg.sender);
     }
 
     function getMyEarnings() external view returns (uint128) {
@@ -178,10 +264,115 @@ contract QuantumAiPurchase is QuantumAiDatasets {
     }
 }
 
+// =================================================================
+// VERSIONING & LINEAGE
+// =================================================================
+contract QuantumAiVersions is QuantumAiPurchase {
+    struct Lineage {
+        bool hasParent;
+        uint256 parentId;
+        uint256 rootId;
+        uint32 version;
+        uint128 upgradePrice;
+    }
+
+    mapping(uint256 => Lineage) internal lineage;
+    // Root id => every version id, oldest first (empty until the first new version)
+    mapping(uint256 => uint256[]) internal versionIds;
+
+    event DatasetVersioned(uint256 indexed id, uint256 indexed parentId, uint256 rootId, uint32 version, uint128 upgradePrice);
+
+    function _rootOf(uint256 id) internal view returns (uint256) {
+        return lineage[id].hasParent ? lineage[id].rootId : id;
+    }
+
+    function _versionOf(uint256 id) internal view returns (uint32) {
+        return lineage[id].hasParent ? lineage[id].version : 1;
+    }
+
+    // Upload a new version of one of your datasets; versions form a single line, so
+    // the parent must be the latest version. Holders of any earlier version can
+    // upgrade for _upgradePrice (0 = free, same token as _price) instead of the full price.
+    function uploadDatasetVersion(
+        uint256 _parentId,
+        string memory _cid,
+        string memory _analysis,
+        bool _public,
+        bool _private,
+        bool _paid,
+        uint256 _price,
+        uint256 _upgradePrice,
+        address _priceToken
+    ) external nonReentrant onlyUploader(_parentId) {
+        require(_upgradePrice <= _price, "Upgrade price");
+        _requireLatest(_parentId);
+        uint256 id = _createDataset(_cid, _analysis, _public, _private, _paid, _price, _priceToken);
+        _recordVersion(id, _parentId, _paid ? _upgradePrice : 0);
+    }
+
+    function _requireLatest(uint256 _parentId) internal view {
+        uint256[] storage versions = versionIds[_rootOf(_parentId)];
+        require(versions.length == 0 || versions[versions.length - 1] == _parentId, "Not latest");
+    }
+
+    function _recordVersion(uint256 id, uint256 _parentId, uint256 _upgradePrice) internal {
+        uint256 root = _rootOf(_parentId);
+        uint256[] storage versions = versionIds[root];
+        if (versions.length == 0) versions.push(root);
+        versions.push(id);
+
+        uint32 version = uint32(versions.length);
+        lineage[id] = Lineage(true, _parentId, root, version, uint128(_upgradePrice));
+        emit DatasetVersioned(id, _parentId, root, version, uint128(_upgradePrice));
+    }
+
+    // Buy a newer version at its upgrade price with access to an earlier one
+    function purchaseUpgrade(uint256 id, uint256 fromId, address token) external nonReentrant {
+        Dataset storage d = datasets[id];
+        require(d.isPublic && !d.isPrivate, "Not public");
+        require(d.isPaid, "Free");
+        require(!hasAccess[id][msg.sender], "Already");
+        require(d.uploader != msg.sender, "Own");
+        require(lineage[id].hasParent, "No lineage");
+        require(_rootOf(fromId) == lineage[id].rootId && _versionOf(fromId) < lineage[id].version, "Not earlier");
+        require(hasAccess[fromId][msg.sender], "No access");
+
+        uint128 amount = lineage[id].upgradePrice;
+        if (amount > 0) {
+            require(paymentTokens[token].isAccepted, "Token");
+            _requirePriceToken(id, token);
+            IERC20(token).transferFrom(msg.sender, d.uploader, amount);
+        }
+
+        hasAccess[id][msg.sender] = true;
+        d.earnings += amount;
+        publisherEarnings[d.uploader] += amount;
+        totalPlatformEarnings += amount;
+
+        emit DatasetPurchased(id, msg.sender, d.uploader, amount, token);
+    }
+
+    function getLineage(uint256 id)
+        external
+        view
+        returns (bool hasParent, uint256 parentId, uint256 rootId, uint32 version, uint128 upgradePrice)
+    {
+        Lineage memory l = lineage[id];
+        return (l.hasParent, l.parentId, _rootOf(id), _versionOf(id), l.upgradePrice);
+    }
+
+    function getVersionIds(uint256 rootId) external view returns (uint256[] memory) {
+        if (versionIds[rootId].length > 0) return versionIds[rootId];
+        uint256[] memory single = new uint256[](1);
+        single[0] = rootId;
+        return single;
+    }
+}
+
 // =================================================================
 // MAIN CONTRACT WITH QUERIES
 // =================================================================
-contract QuantumAi is QuantumAiPurchase {
+contract QuantumAi is QuantumAiVersions {
     function getPublicDatasetPage(uint256 start, uint256 limit)
         external
         view
@@ -1,33 +1,57 @@
-import { useState, useEffect } from 'react'
-import { Upload, Database, ShoppingCart, TrendingUp, Wallet, Eye, Download, DollarSign, Lock, Unlock } from 'lucide-react'
-import { getMyDatasets, getPublicDatasets, getMyEarnings, uploadDataset, isContractConfigured } from './assets/utils/contract.js'
+import { useState, useEffect, useRef } from 'react'
+import { Upload, Database, ShoppingCart, TrendingUp, Wallet, Eye, Download, DollarSign, Lock, Unlock, Settings, GitBranch, FolderOpen } from 'lucide-react'
+import { getMyDatasets, getPublicDatasets, isContractConfigured, formatPrice, getAcceptedTokens } from './assets/utils/contract.js'
 import { CONTRACT_ADDRESS } from './config/contract-config.ts'
-// Lazy load Arkiv to prevent blocking app initialization
-let arkivModule = null
-let testArkivModule = null
+import { DEMO_MODE } from './config/app-config.ts'
+import PurchasePanel from './components/PurchasePanel.jsx'
+import PurchasesView from './components/PurchasesView.jsx'
+import DownloadButton from './components/DownloadButton.jsx'
+import AnalysisReport from './components/AnalysisReport.jsx'
+import PreviewTable from './components/PreviewTable.jsx'
+import MarketplaceFilters from './components/MarketplaceFilters.jsx'
+import DataSourceBanner from './components/DataSourceBanner.jsx'
+import OwnerPanel from './components/OwnerPanel.jsx'
+import VersionHistory from './components/VersionHistory.jsx'
+import EarningsDashboard from './components/EarningsDashboard.jsx'
+import UploadPipeline from './components/UploadPipeline.jsx'
+import TransactionDrawer from './components/TransactionDrawer.jsx'
+import { getStorageProvider, getStorageBackend } from './assets/utils/storage/index.js'
+import { listInterruptedUploads, discardInterruptedUpload } from './assets/utils/chunkedUpload.js'
+import { bundleEntries, bundleName, primaryEntry } from './assets/utils/bundle.js'
+import { shouldEncrypt, KEY_WRAPPING } from './assets/utils/encryption.js'
+import { analyzeDataset } from './assets/utils/analysis.js'
+import { LICENSES, CATEGORIES, FORMATS, METADATA_LIMITS, guessFormat, normalizeDatasetInfo } from './assets/utils/datasetMetadata.js'
+import { getPreviewFormat, PREVIEW_DEFAULT_ROWS, PREVIEW_MAX_ROWS } from './assets/utils/preview.js'
+import { startKeyRelay } from './assets/utils/keyDelivery.js'
+import { searchDatasets, hasActiveFilters, needsFullCatalog, DEFAULT_CRITERIA } from './assets/utils/search.js'
+import { createPager } from './assets/utils/pagination.js'
+import { DATA_SOURCE, DEMO_DATASETS, saveListingSnapshot, loadListingSnapshot, describeLoadError } from './assets/utils/dataSource.js'
+import { lineageOf, latestVersions, buildLineageMetadata, groupVersions } from './assets/utils/versions.js'
+import { getEarningsTotals } from './assets/utils/earnings.js'
+import { createDatasetUpload, resumeDatasetUpload, listUnfinishedUploads, canResumeWithoutFile } from './assets/utils/datasetUpload.js'
+import { discardSavedPipeline, STAGE_STATUS } from './assets/utils/pipeline.js'
+import { resumePendingTransactions } from './assets/utils/transactions.js'
 
-async function loadArkiv() {
-  if (!arkivModule) {
-    try {
-      arkivModule = await import('./assets/utils/arkiv.js')
-    } catch (error) {
-      console.warn('Failed to load Arkiv module:', error)
-      return null
-    }
-  }
-  return arkivModule
-}
 
-
-// This is a complete, working demo - replace with real contract functions after deployment
-// For now, it uses simulated data to show functionality
+const MARKETPLACE_PAGE_SIZE = 12
 
 function App() {
   const [activeTab, setActiveTab] = useState('marketplace')
   const [walletAddress, setWalletAddress] = useState(null)
   const [datasets, setDatasets] = useState([])
   const [myDatasets, setMyDatasets] = useState([])
-  const [earnings, setEarnings] = useState('0')
+  const [publishedDatasets, setPublishedDatasets] = useState([])
+  const [earnings, setEarnings] = useState([])
+  const [keyRelayNotice, setKeyRelayNotice] = useState('')
+  const [hasMoreDatasets, setHasMoreDatasets] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  const [dataSource, setDataSource] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [snapshotSavedAt, setSnapshotSavedAt] = useState(null)
+  const [loadingPublic, setLoadingPublic] = useState(false)
+  const pagerRef = useRef(null)
+  const loadingMoreRef = useRef(false)
 
   const connectWallet = async () => {
     if (!window.ethereum) {
@@ -49,57 +73,93 @@ function App() {
 
   const loadData = async (address = walletAddress) => {
     if (!address) return
-    
+
+    await loadPublicDatasets()
+
+    // Load user's datasets
+    await loadMyDatasets(address)
+
+    // Load earnings per payment token
     try {
-      // Try to load real data from contract
-      const publicData = await getPublicDatasets(0, 10)
-      if (publicData && publicData.length > 0) {
-        setDatasets(publicData.map((d, idx) => ({ ...d, id: idx })))
+      const earnings = await getEarningsTotals(address)
+      setEarnings(earnings)
+    } catch (e) {
+      console.log('Could not load earnings:', e)
+    }
+  }
+
+  // Load the first marketplace page and record where the listing came from
+  const loadPublicDatasets = async () => {
+    if (DEMO_MODE) {
+      pagerRef.current = null
+      setDatasets(DEMO_DATASETS)
+      setHasMoreDatasets(false)
+      setDataSource(DATA_SOURCE.DEMO)
+      setLoadError(null)
+      return
+    }
+
+    // Start a new cursor; a refresh reloads as many datasets as were already on screen
+    const pager = createPager(getPublicDatasets, {
+      pageSize: MARKETPLACE_PAGE_SIZE,
+      initialSize: Math.max(MARKETPLACE_PAGE_SIZE, pagerRef.current?.loaded || 0)
+    })
+    pagerRef.current = pager
+    loadingMoreRef.current = false
+    setLoadingMore(false)
+    setLoadMoreError(null)
+    setLoadingPublic(true)
+
+    try {
+      const publicData = await pager.next()
+      if (pagerRef.current !== pager) return
+      setDatasets(publicData)
+      setHasMoreDatasets(!pager.done)
+      setDataSource(DATA_SOURCE.LIVE)
+      setLoadError(null)
+    } catch (error) {
+      console.error('Error loading marketplace:', error)
+      if (pagerRef.current !== pager) return
+      pagerRef.current = null
+      setLoadError(describeLoadError(error))
+      setHasMoreDatasets(false)
+
+      // Fall back to the last live listing, never to made-up data
+      const snapshot = await loadListingSnapshot()
+      if (snapshot) {
+        setDatasets(snapshot.datasets)
+        setSnapshotSavedAt(snapshot.savedAt)
+        setDataSource(DATA_SOURCE.CACHED)
       } else {
-        // Fallback to simulated data if contract returns empty
-        setDatasets([
-          {
-            id: 0,
-            datasetCID: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
-            analysisCID: 'bafybeihk5e6jlzhdkm4qfxd6j7jwyqxhqf7l3k5amd6qfxd6j7jwyqxh',
-            uploader: '0x1234...5678',
-            isPublic: true,
-            isPaid: true,
-            price: '0.5',
-            views: 124,
-            downloads: 45,
-            timestamp: Date.now() - 86400000
-          }
-        ])
-      }
-      
-      // Load user's datasets
-      await loadMyDatasets(address)
-      
-      // Load earnings
-      try {
-        const earnings = await getMyEarnings()
-        setEarnings(earnings)
-      } catch (e) {
-        console.log('Could not load earnings:', e)
+        setDatasets([])
+        setDataSource(DATA_SOURCE.OFFLINE)
       }
+    } finally {
+      setLoadingPublic(false)
+    }
+  }
+
+  // Append the next marketplace page (already prefetched by the pager in most cases)
+  const loadMoreDatasets = async () => {
+    const pager = pagerRef.current
+    if (!pager || pager.done || loadingMoreRef.current) return
+
+    loadingMoreRef.current = true
+    setLoadingMore(true)
+    setLoadMoreError(null)
+    try {
+      const page = await pager.next()
+      if (pagerRef.current !== pager) return
+      setDatasets(prev => [...prev, ...page])
+      setHasMoreDatasets(!pager.done)
     } catch (error) {
-      console.error('Error loading data:', error)
-      // Fallback to simulated data on error
-      setDatasets([
-        {
-          id: 0,
-          datasetCID: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
-          analysisCID: 'bafybeihk5e6jlzhdkm4qfxd6j7jwyqxhqf7l3k5amd6qfxd6j7jwyqxh',
-          uploader: '0x1234...5678',
-          isPublic: true,
-          isPaid: true,
-          price: '0.5',
-          views: 124,
-          downloads: 45,
-          timestamp: Date.now() - 86400000
-        }
-      ])
+      console.error('Error loading more datasets:', error)
+      if (pagerRef.current === pager) setLoadMoreError(describeLoadError(error))
+    } finally {
+      if (pagerRef.current === pager) {
+        loadingMoreRef.current = false
+        setLoadingMore(false)
+      }
     }
   }
 
@@ -127,6 +187,58 @@ function App() {
     }
   }
 
+  // Datasets confirmed on-chain that the listings may not return yet; shown until they do
+  const handleDatasetPublished = (dataset) => {
+    setPublishedDatasets(prev => [dataset, ...prev.filter(d => d.id !== dataset.id)])
+  }
+
+  useEffect(() => {
+    setPublishedDatasets(prev => {
+      const pending = prev.filter(p => !myDatasets.some(d => d.id === p.id))
+      return pending.length === prev.length ? prev : pending
+    })
+  }, [myDatasets])
+
+  const withPublished = (list, include = () => true) => [
+    ...publishedDatasets.filter(p => include(p) && !list.some(d => d.id === p.id)),
+    ...list
+  ]
+  const shownDatasets = dataSource === DATA_SOURCE.LIVE ? withPublished(datasets, d => d.isPublic) : datasets
+  const shownMyDatasets = withPublished(myDatasets, d => d.uploader?.toLowerCase() === walletAddress?.toLowerCase())
+
+  // Keep the last live listing for the cached fallback
+  useEffect(() => {
+    if (dataSource !== DATA_SOURCE.LIVE) return
+    saveListingSnapshot(datasets).catch(error => {
+      console.warn('Could not cache the marketplace listing:', error.message)
+    })
+  }, [datasets, dataSource])
+
+  // Deliver dataset keys to buyers while the seller has the app open
+  useEffect(() => {
+    if (!walletAddress) return
+    let stopRelay = () => {}
+    try {
+      stopRelay = startKeyRelay(walletAddress, {
+        onDelivery: (sale) => {
+          setKeyRelayNotice(`Delivered key for Dataset #${sale.datasetId} to ${sale.buyer.slice(0, 6)}...${sale.buyer.slice(-4)}`)
+        },
+        onError: (error) => console.warn('Key relay error:', error.message)
+      })
+    } catch (error) {
+      console.warn('Key relay could not start:', error.message)
+    }
+    return () => stopRelay()
+  }, [walletAddress])
+
+  // Keep watching transactions an earlier session sent but never saw settle
+  useEffect(() => {
+    if (!walletAddress) return
+    resumePendingTransactions(walletAddress).catch(error => {
+      console.warn('Could not resume pending transactions:', error.message)
+    })
+  }, [walletAddress])
+
   // Reload my datasets when switching to the tab
   useEffect(() => {
     if (activeTab === 'my-datasets' && walletAddress) {
@@ -157,10 +269,16 @@ function App() {
                 Connect Wallet
               </button>
             ) : (
-              <div className="text-right">
-                <p className="text-sm text-gray-400">Connected</p>
-                <p className="font-mono text-cyan-400">{walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}</p>
-                <p className="text-sm text-yellow-400 mt-1">Earnings: {earnings} DEV</p>
+              <div className="flex items-start gap-4">
+                <TransactionDrawer walletAddress={walletAddress} />
+                <div className="text-right">
+                  <p className="text-sm text-gray-400">Connected</p>
+                  <p className="font-mono text-cyan-400">{walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}</p>
+                  <p className="text-sm text-yellow-400 mt-1">
+                    Earnings: {earnings.length > 0 ? earnings.map(e => `${e.amount} ${e.symbol}`).join(' · ') : 'none yet'}
+                  </p>
+                  {keyRelayNotice && <p className="text-xs text-green-400 mt-1">{keyRelayNotice}</p>}
+                </div>
               </div>
             )}
           </div>
@@ -192,14 +310,37 @@ function App() {
             icon={<TrendingUp className="w-5 h-5" />}
             label="My Purchases"
           />
+          <TabButton
+            active={activeTab === 'earnings'}
+            onClick={() => setActiveTab('earnings')}
+            icon={<DollarSign className="w-5 h-5" />}
+            label="Earnings"
+          />
         </div>
 
         {/* Main Content */}
         <div className="bg-gray-900/50 backdrop-blur rounded-2xl p-6 border border-gray-700">
-          {activeTab === 'marketplace' && <MarketplaceView datasets={datasets} walletAddress={walletAddress} />}
-          {activeTab === 'upload' && <UploadView walletAddress={walletAddress} onUploadSuccess={loadMyDatasets} />}
-          {activeTab === 'my-datasets' && <MyDatasetsView datasets={myDatasets} walletAddress={walletAddress} onRefresh={loadMyDatasets} />}
-          {activeTab === 'purchases' && <PurchasesView />}
+          {activeTab === 'marketplace' && (
+            <MarketplaceView
+              datasets={shownDatasets}
+              walletAddress={walletAddress}
+              dataSource={dataSource}
+              loadError={loadError}
+              snapshotSavedAt={snapshotSavedAt}
+              loadingPublic={loadingPublic}
+              onRetry={() => loadPublicDatasets()}
+              hasMore={hasMoreDatasets}
+              loadingMore={loadingMore}
+              loadMoreError={loadMoreError}
+              onLoadMore={loadMoreDatasets}
+              onPurchased={() => loadData()}
+              onDownloaded={() => loadData()}
+            />
+          )}
+          {activeTab === 'upload' && <UploadView walletAddress={walletAddress} myDatasets={shownMyDatasets} onPublished={handleDatasetPublished} onUploadSuccess={loadMyDatasets} />}
+          {activeTab === 'my-datasets' && <MyDatasetsView datasets={shownMyDatasets} walletAddress={walletAddress} onRefresh={loadMyDatasets} onChanged={() => loadData()} />}
+          {activeTab === 'purchases' && <PurchasesView walletAddress={walletAddress} />}
+          {activeTab === 'earnings' && <EarningsDashboard walletAddress={walletAddress} datasets={shownMyDatasets} />}
         </div>
 
         {/* Partner Prizes Footer */}
@@ -236,7 +377,54 @@ function TabButton({ active, onClick, icon, label }) {
 }
 
 // Marketplace View
-function MarketplaceView({ datasets, walletAddress }) {
+function MarketplaceView({ datasets, walletAddress, dataSource, loadError, snapshotSavedAt, loadingPublic, onRetry, hasMore, loadingMore, loadMoreError, onLoadMore, onPurchased, onDownloaded }) {
+  const [criteria, setCriteria] = useState(DEFAULT_CRITERIA)
+  const [results, setResults] = useState(null)
+  const [searchError, setSearchError] = useState(null)
+  const sentinelRef = useRef(null)
+  const fullCatalog = needsFullCatalog(criteria)
+
+  // Infinite scroll: load the next page when the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !hasMore || loadingMore || loadMoreError) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMore()
+    }, { rootMargin: '600px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [hasMore, loadingMore, loadMoreError, onLoadMore])
+
+  // Filters and sorts other than listing order need every page, so keep loading
+  useEffect(() => {
+    if (fullCatalog && hasMore && !loadingMore && !loadMoreError) onLoadMore()
+  }, [fullCatalog, hasMore, loadingMore, loadMoreError, onLoadMore])
+
+  // Debounce so typing in the search box doesn't query storage on every keystroke
+  useEffect(() => {
+    if (!walletAddress) return
+    let cancelled = false
+    const timer = setTimeout(() => {
+      searchDatasets(datasets, criteria, walletAddress)
+        .then(found => {
+          if (cancelled) return
+          // One card per dataset, showing the newest version that matched
+          setSearchError(null)
+          setResults(groupVersions(found))
+        })
+        .catch(error => {
+          console.error('Dataset search failed:', error)
+          if (cancelled) return
+          setSearchError(error)
+          setResults([])
+        })
+    }, 250)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [datasets, criteria, walletAddress])
+
   if (!walletAddress) {
     return (
       <div className="text-center py-20">
@@ -249,8 +437,19 @@ function MarketplaceView({ datasets, walletAddress }) {
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6">Public AI Datasets</h2>
-      
-      {datasets.length === 0 ? (
+
+      <DataSourceBanner source={dataSource} error={loadError} savedAt={snapshotSavedAt} loading={loadingPublic} onRetry={onRetry} />
+
+      {datasets.length > 0 && <MarketplaceFilters criteria={criteria} onChange={setCriteria} />}
+
+      {!dataSource ? (
+        <p className="text-gray-400">Loading datasets...</p>
+      ) : dataSource === DATA_SOURCE.OFFLINE ? (
+        <div className="text-center py-20">
+          <Database className="w-16 h-16 mx-auto mb-4 text-gray-600" />
+          <p className="text-gray-400">Datasets can't be shown until the marketplace is reachable</p>
+        </div>
+      ) : datasets.length === 0 ? (
         <div className="text-center py-20">
           <Database className="w-16 h-16 mx-auto mb-4 text-gray-600" />
           <p className="text-gray-400">No datasets available yet</p>
@@ -258,11 +457,56 @@ function MarketplaceView({ datasets, walletAddress }) {
             Be the first to upload
           </button>
         </div>
+      ) : searchError ? (
+        <p className="text-red-400">
+          Search failed: {searchError.message}{' '}
+          <button onClick={() => { setSearchError(null); setResults(null); setCriteria({ ...criteria }) }} className="ml-2 px-3 py-1 bg-gray-700 rounded-lg hover:bg-gray-600 text-white">
+            Retry
+          </button>
+        </p>
+      ) : results === null ? (
+        <p className="text-gray-400">Searching...</p>
+      ) : results.length === 0 && !(fullCatalog && hasMore) ? (
+        <div className="text-center py-20">
+          <Database className="w-16 h-16 mx-auto mb-4 text-gray-600" />
+          <p className="text-gray-400">No datasets match your filters</p>
+          <button
+            onClick={() => setCriteria({ ...DEFAULT_CRITERIA, sort: criteria.sort })}
+            className="mt-4 px-6 py-2 bg-gray-700 rounded-lg hover:bg-gray-600"
+          >
+            Clear filters
+          </button>
+        </div>
       ) : (
-        <div className="grid md:grid-cols-2 gap-6">
-          {datasets.map((dataset, idx) => (
-            <DatasetCard key={idx} dataset={dataset} />
-          ))}
+        <>
+          {hasActiveFilters(criteria) && (
+            <p className="text-sm text-gray-400 mb-4">
+              {results.length} of {groupVersions(datasets).length} datasets match
+              {fullCatalog && hasMore && ' (still loading the rest of the catalog...)'}
+            </p>
+          )}
+          <div className="grid md:grid-cols-2 gap-6">
+            {results.map(dataset => (
+              <DatasetCard key={dataset.id} dataset={dataset} walletAddress={walletAddress} onPurchased={onPurchased} onDownloaded={onDownloaded} />
+            ))}
+          </div>
+        </>
+      )}
+
+      {datasets.length > 0 && (
+        <div ref={sentinelRef} className="py-6 text-center text-sm text-gray-400">
+          {loadMoreError ? (
+            <p className="text-red-400">
+              Could not load more datasets: {loadMoreError.message}{' '}
+              <button onClick={onLoadMore} className="ml-2 px-3 py-1 bg-gray-700 rounded-lg hover:bg-gray-600 text-white">
+                Retry
+              </button>
+            </p>
+          ) : loadingMore ? (
+            <p>Loading more datasets...</p>
+          ) : !hasMore && dataSource === DATA_SOURCE.LIVE && (
+            <p>You've reached the end of the marketplace</p>
+          )}
         </div>
       )}
     </div>
@@ -270,22 +514,37 @@ function MarketplaceView({ datasets, walletAddress }) {
 }
 
 // Dataset Card
-function DatasetCard({ dataset }) {
+function DatasetCard({ dataset, walletAddress, onPurchased, onDownloaded }) {
   const [viewing, setViewing] = useState(false)
+  const [buying, setBuying] = useState(false)
+  const [previewing, setPreviewing] = useState(false)
+  const [showingVersions, setShowingVersions] = useState(false)
+  const isOwner = walletAddress && dataset.uploader?.toLowerCase() === walletAddress.toLowerCase()
+  const info = dataset.info
+  const { version } = lineageOf(dataset)
 
   return (
     <div className="bg-gradient-to-br from-purple-900/30 to-pink-900/30 p-6 rounded-xl border border-purple-500/30 hover:border-purple-500 transition">
-      <div className="flex justify-between items-start mb-4">
-        <div>
-          <h3 className="text-lg font-bold">Dataset #{dataset.id}</h3>
-          <p className="text-xs text-gray-400 mt-1">
-            by {dataset.uploader}
+      <div className="flex justify-between items-start mb-4 gap-3">
+        <div className="min-w-0">
+          <h3 className="text-lg font-bold">{info?.title || `Dataset #${dataset.id}`}</h3>
+          <p className="text-xs text-gray-400 mt-1 truncate">
+            {info?.title && `#${dataset.id} · `}by {dataset.uploader}
           </p>
+          {version > 1 && (
+            <button
+              onClick={() => setShowingVersions(!showingVersions)}
+              className="mt-2 px-2 py-0.5 bg-cyan-900/40 hover:bg-cyan-900/70 rounded-full text-xs text-cyan-300 flex items-center gap-1"
+            >
+              <GitBranch className="w-3 h-3" />
+              v{version} · {showingVersions ? 'hide versions' : 'version history'}
+            </button>
+          )}
         </div>
         <div className="text-right">
           {dataset.isPaid ? (
             <div className="bg-green-900/30 px-3 py-1 rounded-full">
-              <p className="text-green-400 font-bold">{dataset.price} DEV</p>
+              <p className="text-green-400 font-bold">{formatPrice(dataset)}</p>
             </div>
           ) : (
             <div className="bg-blue-900/30 px-3 py-1 rounded-full">
@@ -295,6 +554,24 @@ function DatasetCard({ dataset }) {
         </div>
       </div>
 
+      {info && (
+        <div className="space-y-2 mb-4 text-sm">
+          {info.description && <p className="text-gray-300 line-clamp-3">{info.description}</p>}
+          <div className="flex flex-wrap gap-1 text-xs">
+            <span className="px-2 py-0.5 bg-purple-800/60 rounded-full">{info.category}</span>
+            <span className="px-2 py-0.5 bg-gray-800 rounded-full text-gray-300">{info.license}</span>
+            {info.format && info.format !== 'other' && (
+              <span className="px-2 py-0.5 bg-gray-800 rounded-full text-gray-300">
+                {info.format.toUpperCase()}{info.rowCount !== null && ` · ${info.rowCount.toLocaleString()} rows`}
+              </span>
+            )}
+            {info.tags.map(tag => (
+              <span key={tag} className="px-2 py-0.5 bg-cyan-900/40 rounded-full text-cyan-300">#{tag}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="space-y-2 mb-4 text-sm">
         <div className="flex items-center gap-2 text-gray-400">
           <Database className="w-4 h-4 text-cyan-400" />
@@ -310,113 +587,129 @@ function DatasetCard({ dataset }) {
             <Download className="w-3 h-3 text-pink-400" />
             <span>{dataset.downloads} downloads</span>
           </div>
+          {dataset.qualityScore !== null && dataset.qualityScore !== undefined && (
+            <div className="flex items-center gap-1" title="Quality score from the dataset's analysis report">
+              <TrendingUp className="w-3 h-3 text-green-400" />
+              <span>Quality {dataset.qualityScore}/100</span>
+            </div>
+          )}
+          {dataset.isPaid && (
+            <button
+              onClick={() => setPreviewing(!previewing)}
+              className="ml-auto p-0 bg-transparent text-cyan-400 hover:text-cyan-300 hover:underline"
+            >
+              {previewing ? 'Hide preview' : 'Free preview'}
+            </button>
+          )}
         </div>
       </div>
 
-      <div className="flex gap-2">
+      <div className="flex gap-2 items-start">
         <button
           onClick={() => setViewing(!viewing)}
           className="flex-1 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg font-semibold text-sm transition"
         >
           {viewing ? 'Hide' : 'View Details'}
         </button>
-        {dataset.isPaid ? (
-          <button className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold text-sm transition flex items-center justify-center gap-2">
+        {dataset.isPaid && !isOwner ? (
+          <button
+            onClick={() => setBuying(!buying)}
+            disabled={!walletAddress}
+            className="flex-1 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold text-sm transition flex items-center justify-center gap-2 disabled:opacity-50"
+          >
             <DollarSign className="w-4 h-4" />
             Buy Access
           </button>
         ) : (
-          <button className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm transition flex items-center justify-center gap-2">
-            <Download className="w-4 h-4" />
-            Download Free
-          </button>
+          <DownloadButton
+            dataset={dataset}
+            walletAddress={walletAddress}
+            label={isOwner ? 'Download' : 'Download Free'}
+            onDownloaded={onDownloaded}
+          />
         )}
       </div>
 
+      {previewing && (
+        <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
+          <PreviewTable dataset={dataset} walletAddress={walletAddress} />
+        </div>
+      )}
+
+      {buying && (
+        <PurchasePanel
+          dataset={dataset}
+          walletAddress={walletAddress}
+          onPurchased={onPurchased}
+          onClose={() => setBuying(false)}
+        />
+      )}
+
+      {showingVersions && (
+        <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
+          <VersionHistory dataset={dataset} walletAddress={walletAddress} onPurchased={onPurchased} />
+        </div>
+      )}
+
       {viewing && (
         <div className="mt-4 pt-4 border-t border-gray-700 text-sm">
-          <p className="text-gray-400 mb-2">Analysis CID:</p>
-          <p className="font-mono text-xs text-cyan-400 break-all">{dataset.analysisCID}</p>
+          <AnalysisReport dataset={dataset} walletAddress={walletAddress} />
         </div>
       )}
     </div>
   )
 }
 
-// Helper function to upload file to Arkiv (IPFS via Arkiv)
-async function uploadToIPFS(file, walletAddress) {
-  try {
-      // Initialize Arkiv client if wallet is connected
-      if (walletAddress && window.ethereum) {
-        try {
-          const arkiv = await loadArkiv()
-          if (!arkiv) {
-            throw new Error('Arkiv module not available')
-          }
-          
-          const { ethers } = await import('ethers')
-          const provider = new ethers.providers.Web3Provider(window.ethereum)
-          const signer = provider.getSigner()
-          
-          const arkivClient = await arkiv.initArkivClient(walletAddress, signer)
-        
-        // Upload to Arkiv with metadata
-        const metadata = {
-          name: file.name,
-          type: file.type,
-          size: file.size,
-          uploadedAt: new Date().toISOString()
-        }
-        
-        console.log('Uploading to Arkiv...')
-        const cid = await arkiv.uploadToArkiv(file, arkivClient, {
-          metadata: metadata,
-          ttl: null // Set TTL if needed (in seconds), null = permanent
-        })
-        
-        console.log('✓ File uploaded to Arkiv, CID:', cid)
-        return cid
-      } catch (arkivError) {
-        console.warn('Arkiv upload failed, falling back to mock:', arkivError.message)
-        // Fall through to mock implementation
-      }
-    }
-    
-    // Fallback: Mock IPFS upload for local testing
-    // This generates a CID-like string for development
-    const arrayBuffer = await file.arrayBuffer()
-    const uint8Array = new Uint8Array(arrayBuffer)
-    
-    // Simple hash-like string generation from file bytes
-    let hash = 0
-    for (let i = 0; i < Math.min(uint8Array.length, 1000); i++) {
-      hash = ((hash << 5) - hash) + uint8Array[i]
-      hash = hash & hash
-    }
-    const fileHash = Math.abs(hash).toString(16).padStart(20, '0')
-    
-    // Generate a mock CID (bafybei... format)
-    const mockCID = `bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy${fileHash.slice(0, 20)}`
-    
-    console.warn('⚠️ Using mock CID (Arkiv not configured):', mockCID)
-    await new Promise(r => setTimeout(r, 1000))
-    
-    return mockCID
-  } catch (error) {
-    console.error('IPFS/Arkiv upload error:', error)
-    throw new Error('Failed to upload file to Arkiv/IPFS')
+// Turn configuration errors from the chain step into instructions
+function describeUploadError(message = '') {
+  if (message.includes('Contract address not configured')) {
+    return 'Contract address not configured. Please set CONTRACT_ADDRESS in src/config/contract-config.ts'
+  }
+  if (message.includes('network does not support ENS')) {
+    return 'Invalid contract address. Please set a valid Ethereum address (0x...) in src/config/contract-config.ts'
+  }
+  if (message.includes('UNSUPPORTED_OPERATION')) {
+    return 'Contract address is invalid. Please check your CONTRACT_ADDRESS in src/config/contract-config.ts'
   }
+  return message
 }
 
 // Upload View
-function UploadView({ walletAddress, onUploadSuccess }) {
+function UploadView({ walletAddress, myDatasets = [], onPublished, onUploadSuccess }) {
   const [file, setFile] = useState(null)
+  const [bundle, setBundle] = useState(null)
   const [uploading, setUploading] = useState(false)
   const [isPublic, setIsPublic] = useState(true)
   const [isPrivate, setIsPrivate] = useState(false)
   const [isPaid, setIsPaid] = useState(false)
   const [price, setPrice] = useState('')
-  const [uploadStatus, setUploadStatus] = useState('')
+  const [priceTokens, setPriceTokens] = useState([])
+  const [priceToken, setPriceToken] = useState('')
+  const [hybridWrapping, setHybridWrapping] = useState(false)
+  const [publishPreview, setPublishPreview] = useState(true)
+  const [previewMode, setPreviewMode] = useState('first')
+  const [previewRows, setPreviewRows] = useState(PREVIEW_DEFAULT_ROWS)
+  const [title, setTitle] = useState('')
+  const [description, setDescription] = useState('')
+  const [license, setLicense] = useState('')
+  const [category, setCategory] = useState('')
+  const [tags, setTags] = useState('')
+  const [format, setFormat] = useState('other')
+  const [rowCount, setRowCount] = useState('')
+  const [parentId, setParentId] = useState('')
+  const [changelog, setChangelog] = useState('')
+  const [upgradePrice, setUpgradePrice] = useState('')
+  const [report, setReport] = useState(null)
+  const [analysisStatus, setAnalysisStatus] = useState('')
+  const analysisRef = useRef(null)
+  const [run, setRun] = useState(null)
+  const [stageDetail, setStageDetail] = useState(null)
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [published, setPublished] = useState(null)
+  const [interruptedUploads, setInterruptedUploads] = useState([])
+  const [unfinishedRuns, setUnfinishedRuns] = useState([])
+  const pipelineRef = useRef(null)
+  const uploadRef = useRef(null)
   const [contractHasCode, setContractHasCode] = useState(null)
   
   // Check if contract has code
@@ -435,6 +728,50 @@ function UploadView({ walletAddress, onUploadSuccess }) {
     checkContract()
   }, [])
 
+  // Paid datasets are priced in one of the marketplace's accepted tokens
+  useEffect(() => {
+    if (!walletAddress || !isContractConfigured()) return
+    let cancelled = false
+    getAcceptedTokens()
+      .then(tokens => {
+        if (cancelled) return
+        setPriceTokens(tokens)
+        setPriceToken(prev => prev || tokens[0]?.address || '')
+      })
+      .catch(error => console.error('Could not load payment tokens:', error))
+    return () => { cancelled = true }
+  }, [walletAddress])
+
+  // Uploads cut short by a reload or a closed tab can pick up where they stopped
+  const loadInterruptedUploads = () => {
+    listInterruptedUploads(walletAddress, getStorageBackend())
+      .then(setInterruptedUploads)
+      .catch(error => console.error('Could not read interrupted uploads:', error))
+  }
+
+  // Publishes that failed or were cut short after some stages finished
+  const loadUnfinishedRuns = () => {
+    listUnfinishedUploads(walletAddress)
+      .then(setUnfinishedRuns)
+      .catch(error => console.error('Could not read unfinished uploads:', error))
+  }
+
+  useEffect(() => {
+    if (!walletAddress) return
+    loadInterruptedUploads()
+    loadUnfinishedRuns()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [walletAddress])
+
+  const handleDiscardUpload = async (session) => {
+    try {
+      await discardInterruptedUpload(await getStorageProvider(walletAddress), session)
+    } catch (error) {
+      console.error('Could not discard upload:', error)
+    }
+    loadInterruptedUploads()
+  }
+
   if (!walletAddress) {
     return (
       <div className="text-center py-20">
@@ -444,6 +781,80 @@ function UploadView({ walletAddress, onUploadSuccess }) {
     )
   }
 
+  // Start the analysis as soon as a file is picked so format and row count can be prefilled
+  const handleFileChange = (selected, displayName = selected?.name) => {
+    setFile(selected || null)
+    setReport(null)
+    setRowCount('')
+    if (!selected) {
+      analysisRef.current = null
+      setAnalysisStatus('')
+      return
+    }
+
+    if (!title.trim()) setTitle(displayName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' '))
+    setFormat(guessFormat(selected.name))
+    setAnalysisStatus('Analyzing dataset...')
+
+    const isCurrent = () => analysisRef.current?.file === selected
+    const promise = analyzeDataset(selected, {
+      onProgress: ({ loaded, total }) => {
+        if (isCurrent()) setAnalysisStatus(`Analyzing dataset... ${total ? Math.round((loaded / total) * 100) : 100}%`)
+      }
+    })
+    analysisRef.current = { file: selected, promise }
+
+    promise
+      .then(result => {
+        if (!isCurrent()) return
+        setReport(result)
+        setAnalysisStatus('')
+        if (result.file.format) setFormat(result.file.format)
+        // Keep a row count the uploader already typed in
+        if (result.rowCount !== null) setRowCount(prev => (prev === '' ? String(result.rowCount) : prev))
+      })
+      .catch(error => {
+        if (isCurrent()) setAnalysisStatus(error.message)
+      })
+  }
+
+  // Several files (or a folder) become a bundle; analysis and preview use its primary file
+  const handleFilesChange = (fileList) => {
+    let entries
+    try {
+      entries = bundleEntries(fileList)
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+    if (entries.length <= 1) {
+      setBundle(null)
+      handleFileChange(entries[0]?.file || null)
+      return
+    }
+    setBundle(entries)
+    handleFileChange(primaryEntry(entries, getPreviewFormat).file, bundleName(entries))
+  }
+
+  // A new version starts from the parent's details; the file still sets format and row count
+  const parentOptions = latestVersions(myDatasets)
+  const parent = parentOptions.find(d => String(d.id) === parentId) || null
+
+  const handleParentChange = (value) => {
+    setParentId(value)
+    const selected = parentOptions.find(d => String(d.id) === value)
+    if (!selected?.info) return
+    setTitle(selected.info.title || '')
+    setDescription(selected.info.description || '')
+    setLicense(selected.info.license || '')
+    setCategory(selected.info.category || '')
+    setTags((selected.info.tags || []).join(', '))
+    if (selected.priceToken) setPriceToken(selected.priceToken.address)
+  }
+
+  // Free previews are for paid datasets only; private datasets never publish rows
+  const canPreview = Boolean(file && isPaid && !isPrivate && getPreviewFormat(file))
+
   const handleUpload = async () => {
     if (!file) {
       alert('Please select a file')
@@ -455,100 +866,135 @@ function UploadView({ walletAddress, onUploadSuccess }) {
       return
     }
 
+    if (isPaid && !priceToken) {
+      alert('Please choose the token this dataset is priced in')
+      return
+    }
+
+    if (parent && !changelog.trim()) {
+      alert('Please describe what changed in this version')
+      return
+    }
+
+    // Blank means holders of earlier versions upgrade for free
+    if (parent && isPaid && upgradePrice !== '' &&
+        (!(parseFloat(upgradePrice) >= 0) || parseFloat(upgradePrice) > parseFloat(price))) {
+      alert('The upgrade price must be between 0 and the price of the dataset')
+      return
+    }
+
+    let info
+    try {
+      info = normalizeDatasetInfo({ title, description, license, category, tags, format, rowCount, changelog: parent ? changelog : '' })
+    } catch (error) {
+      alert(error.message)
+      return
+    }
+
     // Check if contract is configured
     if (!isContractConfigured()) {
       alert('Contract address not configured!\n\nPlease set CONTRACT_ADDRESS in src/config/contract-config.ts with your deployed contract address.\n\nFor local testing, you can use a mock address like: 0x0000000000000000000000000000000000000000')
       return
     }
 
+    // A new upload of the same file supersedes earlier runs that never got it stored
+    const fileName = bundle ? bundleName(bundle) : file.name
+    for (const saved of unfinishedRuns) {
+      if (saved.context.params.fileName === fileName && !canResumeWithoutFile(saved)) {
+        await discardSavedPipeline(saved.id).catch(() => {})
+      }
+    }
+
+    const pipeline = createDatasetUpload(walletAddress, {
+      title: info.title,
+      fileName,
+      encrypt: shouldEncrypt({ isPrivate, isPaid }),
+      keyWrapping: hybridWrapping ? KEY_WRAPPING.HYBRID : KEY_WRAPPING.WALLET,
+      info,
+      lineage: parent ? buildLineageMetadata(parent) : null,
+      preview: canPreview && publishPreview ? { mode: previewMode, rows: previewRows } : null,
+      parentId: parent?.id ?? null,
+      isPublic,
+      isPrivate,
+      isPaid,
+      price: price || '0',
+      upgradePrice: (isPaid && upgradePrice) || '0',
+      priceToken
+    }, {
+      file,
+      bundle,
+      // The Web Worker profile of the plaintext file, started when the file was picked
+      analysis: analysisRef.current.promise,
+      onPublished,
+      onRefresh: onUploadSuccess
+    }, { onEvent: handlePipelineEvent })
+
+    if (await runPipeline(pipeline)) resetForm()
+  }
+
+  const handlePipelineEvent = (event) => {
+    if (event.type === 'state') {
+      setRun(event.state)
+      return
+    }
+    const { controller, upload, status } = event.detail
+    if (controller) uploadRef.current = controller
+    if (upload) setUploadProgress(upload)
+    if (status) setStageDetail({ stage: event.stage, status })
+  }
+
+  // Resolves true once every stage is done; failures stay on screen with a retry button
+  const runPipeline = async (pipeline) => {
+    pipelineRef.current = pipeline
     setUploading(true)
-    setUploadStatus('Uploading file to IPFS...')
-    
+    setPublished(null)
+    setStageDetail(null)
+    setUploadProgress(null)
     try {
-      // Step 1: Upload file to Arkiv (IPFS via Arkiv)
-      const datasetCID = await uploadToIPFS(file, walletAddress)
-      setUploadStatus('File uploaded! Generating analysis CID...')
-      
-      // Step 2: Generate analysis CID (for now, create a mock one)
-      // In production, you would analyze the dataset and upload the analysis
-      const analysisCID = `bafybeihk5e6jlzhdkm4qfxd6j7jwyqxhqf7l3k5amd6qfxd6j7jwyqxh${datasetCID.slice(-10)}`
-      
-      setUploadStatus('Publishing to blockchain...')
-      
-      // Step 3: Upload to blockchain contract
-      const txResult = await uploadDataset(
-        datasetCID,
-        analysisCID,
-        isPublic,
-        isPrivate,
-        isPaid,
-        price || '0'
-      )
-      
-      const txHash = typeof txResult === 'string' ? txResult : txResult.hash
-      const blockNumber = typeof txResult === 'object' ? txResult.blockNumber : null
-      
-      setUploadStatus(`Transaction confirmed in block ${blockNumber || 'N/A'}! Waiting for state update...`)
-      
-      // Wait for the transaction to be fully confirmed and indexed
-      // Multiple confirmations ensure state is updated
-      console.log('Waiting for blockchain state to update...')
-      await new Promise(r => setTimeout(r, 3000))
-      
-      // Step 4: Refresh the datasets list with retries
-      if (onUploadSuccess) {
-        console.log('Refreshing datasets list after upload...')
-        // Try refreshing multiple times with delays (blockchain state might take time to update)
-        let datasetsFound = false
-        for (let attempt = 0; attempt < 5; attempt++) {
-          try {
-            console.log(`Refresh attempt ${attempt + 1}/5...`)
-            await onUploadSuccess()
-            // Wait a moment for state to update
-            await new Promise(r => setTimeout(r, 1000))
-            console.log(`Refresh attempt ${attempt + 1} completed`)
-            if (attempt < 2) {
-              console.log('Waiting before next check...')
-              await new Promise(r => setTimeout(r, 2000))
-            }
-          } catch (err) {
-            console.error(`Refresh attempt ${attempt + 1} failed:`, err)
-            if (attempt < 2) {
-              await new Promise(r => setTimeout(r, 2000))
-            }
-          }
-        }
-        console.log('Datasets list refresh completed')
-      }
-      
-      alert(`Dataset uploaded successfully!\nTransaction: ${txHash.slice(0, 10)}...${txHash.slice(-8)}\n\nYour dataset should now appear in "My Datasets" tab.`)
-      
-      // Reset form
-      setFile(null)
-      setIsPublic(true)
-      setIsPrivate(false)
-      setIsPaid(false)
-      setPrice('')
-      setUploadStatus('')
-      
+      const context = await pipeline.run()
+      pipelineRef.current = null
+      setRun(null)
+      setPublished({ title: context.params.title, datasetId: context.datasetId, txHash: context.txHash, blockNumber: context.blockNumber })
+      return true
     } catch (error) {
-      console.error('Upload error:', error)
-      let errorMessage = error.message || error.toString()
-      
-      // Provide helpful error messages
-      if (errorMessage.includes('Contract address not configured')) {
-        errorMessage = 'Contract address not configured. Please set CONTRACT_ADDRESS in src/config/contract-config.ts'
-      } else if (errorMessage.includes('network does not support ENS')) {
-        errorMessage = 'Invalid contract address. Please set a valid Ethereum address (0x...) in src/config/contract-config.ts'
-      } else if (errorMessage.includes('UNSUPPORTED_OPERATION')) {
-        errorMessage = 'Contract address is invalid. Please check your CONTRACT_ADDRESS in src/config/contract-config.ts'
-      }
-      
-      alert(`Upload failed: ${errorMessage}`)
-      setUploadStatus('')
+      if (error.code !== 'cancelled') console.error('Upload error:', error)
+      return false
     } finally {
+      uploadRef.current = null
       setUploading(false)
+      setUploadProgress(null)
+      loadInterruptedUploads()
+      loadUnfinishedRuns()
+    }
+  }
+
+  // After a reload only runs whose file is already stored can continue
+  const handleResumeRun = (saved) => {
+    runPipeline(resumeDatasetUpload(saved, { onPublished, onRefresh: onUploadSuccess }, { onEvent: handlePipelineEvent }))
+  }
+
+  const handleDiscardRun = async (id) => {
+    await discardSavedPipeline(id).catch(error => console.error('Could not discard upload:', error))
+    if (run?.id === id) {
+      pipelineRef.current = null
+      setRun(null)
     }
+    loadUnfinishedRuns()
+  }
+
+  const resetForm = () => {
+    handleFilesChange([])
+    setTitle('')
+    setDescription('')
+    setTags('')
+    setParentId('')
+    setChangelog('')
+    setUpgradePrice('')
+    setIsPublic(true)
+    setIsPrivate(false)
+    setIsPaid(false)
+    setPrice('')
+    setPublishPreview(true)
   }
 
   return (
@@ -579,30 +1025,212 @@ function UploadView({ walletAddress, onUploadSuccess }) {
         </div>
       )}
 
+      {interruptedUploads.length > 0 && !uploading && (
+        <div className="mb-6 p-4 bg-gray-800/60 border border-gray-700 rounded-lg space-y-2">
+          <p className="text-sm font-semibold">Interrupted uploads</p>
+          {interruptedUploads.map(session => (
+            <div key={session.uploadId} className="flex items-center gap-3 text-xs">
+              <p className="text-gray-300 flex-1">
+                {session.name} · {Math.round((session.uploadedBytes / session.size) * 100)}% uploaded
+                <span className="block text-gray-500">
+                  {session.encrypted
+                    ? 'Encrypted uploads start over, since the file is re-encrypted with a new key.'
+                    : 'Pick the same file below to resume where it stopped.'}
+                </span>
+              </p>
+              <button
+                onClick={() => handleDiscardUpload(session)}
+                className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg font-semibold"
+              >
+                Discard
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {unfinishedRuns.some(saved => saved.id !== run?.id) && !uploading && (
+        <div className="mb-6 p-4 bg-gray-800/60 border border-gray-700 rounded-lg space-y-2">
+          <p className="text-sm font-semibold">Unfinished publishes</p>
+          {unfinishedRuns.filter(saved => saved.id !== run?.id).map(saved => {
+            const stopped = saved.stages.find(stage => stage.status !== STAGE_STATUS.DONE && stage.status !== STAGE_STATUS.SKIPPED)
+            const resumable = canResumeWithoutFile(saved)
+            return (
+              <div key={saved.id} className="flex items-center gap-3 text-xs">
+                <p className="text-gray-300 flex-1">
+                  {saved.context.params.title || saved.context.params.fileName} · stopped at &quot;{stopped?.label}&quot;
+                  <span className="block text-gray-500">
+                    {resumable
+                      ? 'The file is stored; resuming will not upload it again.'
+                      : 'Pick the same file and upload again to continue.'}
+                    {saved.error && ` Last error: ${describeUploadError(saved.error)}`}
+                  </span>
+                </p>
+                {resumable && (
+                  <button
+                    onClick={() => handleResumeRun(saved)}
+                    className="px-3 py-1 bg-cyan-600 hover:bg-cyan-700 rounded-lg font-semibold"
+                  >
+                    Resume
+                  </button>
+                )}
+                <button
+                  onClick={() => handleDiscardRun(saved.id)}
+                  className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg font-semibold"
+                >
+                  Discard
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
       <div className="space-y-6">
         {/* File Upload */}
         <div className="border-2 border-dashed border-gray-600 rounded-xl p-8 text-center hover:border-cyan-500 transition">
           <input
             type="file"
-            onChange={(e) => setFile(e.target.files[0])}
+            multiple
+            onChange={(e) => handleFilesChange(e.target.files)}
             className="hidden"
             id="file-upload"
           />
+          <input
+            type="file"
+            webkitdirectory=""
+            onChange={(e) => handleFilesChange(e.target.files)}
+            className="hidden"
+            id="folder-upload"
+          />
           <label htmlFor="file-upload" className="cursor-pointer block">
-            {file ? (
+            {bundle ? (
+              <div>
+                <FolderOpen className="w-12 h-12 mx-auto mb-2 text-green-400" />
+                <p className="text-green-400 font-semibold">{bundleName(bundle)} · {bundle.length} files</p>
+                <p className="text-sm text-gray-400">{(bundle.reduce((sum, entry) => sum + entry.file.size, 0) / 1024).toFixed(2)} KB, downloaded as a zip</p>
+                <ul className="text-xs text-gray-400 mt-2 max-h-32 overflow-y-auto">
+                  {bundle.map(({ path, file: entryFile }) => (
+                    <li key={path} className={entryFile === file ? 'text-cyan-300' : ''}>
+                      {path}{entryFile === file && ' (analyzed)'}
+                    </li>
+                  ))}
+                </ul>
+                {analysisStatus && <p className="text-xs text-cyan-400 mt-1">{analysisStatus}</p>}
+              </div>
+            ) : file ? (
               <div>
                 <Database className="w-12 h-12 mx-auto mb-2 text-green-400" />
                 <p className="text-green-400 font-semibold">{file.name}</p>
                 <p className="text-sm text-gray-400">{(file.size / 1024).toFixed(2)} KB</p>
+                {analysisStatus && <p className="text-xs text-cyan-400 mt-1">{analysisStatus}</p>}
+                {report && report.qualityScore !== null && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {report.rowCount.toLocaleString()} rows · {report.columnCount} columns · quality {report.qualityScore}/100
+                  </p>
+                )}
               </div>
             ) : (
               <div>
                 <Upload className="w-12 h-12 mx-auto mb-2 text-gray-400" />
-                <p className="text-gray-400">Click to select dataset file</p>
-                <p className="text-xs text-gray-500 mt-1">CSV, JSON, or any format</p>
+                <p className="text-gray-400">Click to select dataset files</p>
+                <p className="text-xs text-gray-500 mt-1">CSV, JSON, or any format; several files are published as one bundle</p>
               </div>
             )}
           </label>
+          <label htmlFor="folder-upload" className="inline-flex items-center gap-1 mt-3 text-xs text-cyan-400 hover:text-cyan-300 cursor-pointer">
+            <FolderOpen className="w-3 h-3" /> Or select a folder
+          </label>
+        </div>
+
+        {/* Versioning */}
+        {parentOptions.length > 0 && (
+          <div className="space-y-3">
+            <select
+              value={parentId}
+              onChange={(e) => handleParentChange(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+            >
+              <option value="">New dataset</option>
+              {parentOptions.map(d => (
+                <option key={d.id} value={String(d.id)}>
+                  New version of {d.info?.title || `Dataset #${d.id}`} (v{lineageOf(d).version})
+                </option>
+              ))}
+            </select>
+            {parent && (
+              <textarea
+                value={changelog}
+                onChange={(e) => setChangelog(e.target.value)}
+                maxLength={METADATA_LIMITS.changelog}
+                rows={2}
+                placeholder={`Changelog: what changed since v${lineageOf(parent).version}`}
+                className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+              />
+            )}
+          </div>
+        )}
+
+        {/* Dataset Details */}
+        <div className="space-y-3">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={METADATA_LIMITS.title}
+            placeholder="Title"
+            className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+          />
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={METADATA_LIMITS.description}
+            rows={3}
+            placeholder="Description: what's in the data, how it was collected, intended use"
+            className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+            >
+              <option value="">Category...</option>
+              {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+            <select
+              value={license}
+              onChange={(e) => setLicense(e.target.value)}
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+            >
+              <option value="">License (SPDX)...</option>
+              {LICENSES.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
+          </div>
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder={`Tags, comma separated (up to ${METADATA_LIMITS.tags})`}
+            className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+          />
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+            >
+              {FORMATS.map(f => <option key={f} value={f}>{f === 'other' ? 'Other format' : f.toUpperCase()}</option>)}
+            </select>
+            <input
+              type="number"
+              value={rowCount}
+              onChange={(e) => setRowCount(e.target.value)}
+              min="0"
+              placeholder="Row count"
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+            />
+          </div>
         </div>
 
         {/* Access Control */}
@@ -654,23 +1282,134 @@ function UploadView({ walletAddress, onUploadSuccess }) {
 
           {isPaid && (
             <div className="pl-8">
-              <label className="block text-sm text-gray-400 mb-2">Price (DEV tokens)</label>
-              <input
-                type="number"
-                value={price}
-                onChange={(e) => setPrice(e.target.value)}
-                placeholder="0.5"
-                step="0.1"
-                className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
-              />
+              <label className="block text-sm text-gray-400 mb-2">Price</label>
+              {priceTokens.length === 0 && (
+                <p className="text-xs text-yellow-400 mb-2">The marketplace has no accepted payment tokens yet, so paid datasets can't be priced.</p>
+              )}
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={price}
+                  onChange={(e) => setPrice(e.target.value)}
+                  placeholder="0.5"
+                  step="0.1"
+                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+                />
+                <select
+                  value={priceToken}
+                  onChange={(e) => setPriceToken(e.target.value)}
+                  disabled={priceTokens.length === 0}
+                  className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+                >
+                  {priceTokens.map(t => <option key={t.address} value={t.address}>{t.symbol}</option>)}
+                </select>
+              </div>
+              {parent && (
+                <>
+                  <label className="block text-sm text-gray-400 mt-3 mb-2">Upgrade price for holders of earlier versions (same token)</label>
+                  <input
+                    type="number"
+                    value={upgradePrice}
+                    onChange={(e) => setUpgradePrice(e.target.value)}
+                    placeholder="Free"
+                    min="0"
+                    step="0.1"
+                    className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+                  />
+                </>
+              )}
+            </div>
+          )}
+
+          {canPreview && (
+            <div className="pl-8 space-y-2">
+              <label className="flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={publishPreview}
+                  onChange={(e) => setPublishPreview(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                <span className="text-sm">
+                  Publish a free preview
+                  <span className="block text-xs text-gray-400">Unencrypted sample rows anyone can see before buying</span>
+                </span>
+              </label>
+              {publishPreview && (
+                <div className="flex gap-2">
+                  <select
+                    value={previewMode}
+                    onChange={(e) => setPreviewMode(e.target.value)}
+                    className="flex-1 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+                  >
+                    <option value="first">First rows</option>
+                    <option value="random">Random sample</option>
+                  </select>
+                  <input
+                    type="number"
+                    value={previewRows}
+                    onChange={(e) => setPreviewRows(Math.min(PREVIEW_MAX_ROWS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                    min="1"
+                    max={PREVIEW_MAX_ROWS}
+                    className="w-28 px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm"
+                  />
+                </div>
+              )}
             </div>
           )}
         </div>
 
-        {/* Upload Status */}
-        {uploadStatus && (
-          <div className="p-4 bg-cyan-900/30 border border-cyan-500/50 rounded-lg">
-            <p className="text-cyan-400 text-sm">{uploadStatus}</p>
+        {shouldEncrypt({ isPrivate, isPaid }) && (
+          <div className="p-3 bg-gray-800 rounded-lg text-xs text-gray-400 space-y-3">
+            <div className="flex items-start gap-2">
+              <Lock className="w-4 h-4 text-cyan-400 shrink-0" />
+              <p>
+                This file will be encrypted in your browser before upload. You will be asked to sign a message
+                so the dataset key can be recovered with your wallet later.
+              </p>
+            </div>
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={hybridWrapping}
+                onChange={(e) => setHybridWrapping(e.target.checked)}
+                className="w-4 h-4"
+              />
+              <span>
+                <span className="font-semibold text-gray-200">Post-quantum key protection</span>
+                {' '}- wrap the dataset key with ML-KEM-768 (Kyber) + X25519 instead of a wallet-derived AES key.
+                Buyers receive it the same way.
+              </span>
+            </label>
+          </div>
+        )}
+
+        {/* Upload Pipeline */}
+        {run && (
+          <UploadPipeline
+            run={run}
+            detail={stageDetail}
+            upload={uploadProgress}
+            onPause={() => uploadRef.current?.pause()}
+            onResume={() => uploadRef.current?.resume()}
+            onCancel={() => pipelineRef.current?.cancel()}
+            onRetry={() => runPipeline(pipelineRef.current)}
+            onDiscard={() => handleDiscardRun(run.id)}
+            describeError={describeUploadError}
+          />
+        )}
+
+        {published && (
+          <div className="p-4 bg-green-900/30 border border-green-500/50 rounded-lg">
+            <p className="text-green-400 text-sm font-semibold">
+              &quot;{published.title}&quot; is published{published.datasetId !== null && published.datasetId !== undefined && ` as dataset #${published.datasetId}`}
+            </p>
+            <p className="text-xs text-gray-300 mt-1">
+              {published.txHash
+                ? `Transaction ${published.txHash.slice(0, 10)}...${published.txHash.slice(-8)} confirmed in block ${published.blockNumber}. `
+                : 'The earlier transaction had already gone through. '}
+              It now appears under &quot;My Datasets&quot;.
+            </p>
           </div>
         )}
 
@@ -687,11 +1426,13 @@ function UploadView({ walletAddress, onUploadSuccess }) {
         <div className="grid grid-cols-3 gap-4 pt-4 border-t border-gray-700">
           <div className="text-center">
             <Lock className="w-6 h-6 mx-auto mb-1 text-cyan-400" />
-            <p className="text-xs text-gray-400">XX Network Encrypted</p>
+            <p className="text-xs text-gray-400">AES-256 Encrypted, optional ML-KEM Keys</p>
           </div>
           <div className="text-center">
             <Database className="w-6 h-6 mx-auto mb-1 text-purple-400" />
-            <p className="text-xs text-gray-400">Arkiv Permanent IPFS</p>
+            <p className="text-xs text-gray-400">
+              {getStorageBackend() === 'local' ? 'Local Dev Storage' : 'Arkiv Permanent IPFS'}
+            </p>
           </div>
           <div className="text-center">
             <Unlock className="w-6 h-6 mx-auto mb-1 text-yellow-400" />
@@ -704,7 +1445,7 @@ function UploadView({ walletAddress, onUploadSuccess }) {
 }
 
 // My Datasets View
-function MyDatasetsView({ datasets, walletAddress, onRefresh }) {
+function MyDatasetsView({ datasets, walletAddress, onRefresh, onChanged }) {
   const [loading, setLoading] = useState(false)
 
   if (!walletAddress) {
@@ -756,7 +1497,7 @@ function MyDatasetsView({ datasets, walletAddress, onRefresh }) {
       ) : (
         <div className="grid md:grid-cols-2 gap-6">
           {datasets.map((dataset, idx) => (
-            <DatasetCard key={dataset.id || idx} dataset={dataset} />
+            <OwnedDataset key={dataset.id || idx} dataset={dataset} walletAddress={walletAddress} onRefresh={onRefresh} onChanged={onChanged} />
           ))}
         </div>
       )}
@@ -764,15 +1505,21 @@ function MyDatasetsView({ datasets, walletAddress, onRefresh }) {
   )
 }
 
-// Purchases View
-function PurchasesView() {
+// Owned Dataset - the dataset card plus the uploader's management panel
+function OwnedDataset({ dataset, walletAddress, onRefresh, onChanged }) {
+  const [managing, setManaging] = useState(false)
+
   return (
     <div>
-      <h2 className="text-2xl font-bold mb-6">My Purchased Datasets</h2>
-      <div className="text-center py-20">
-        <ShoppingCart className="w-16 h-16 mx-auto mb-4 text-gray-600" />
-        <p className="text-gray-400">No purchases yet</p>
-      </div>
+      <DatasetCard dataset={dataset} walletAddress={walletAddress} onDownloaded={onRefresh} />
+      <button
+        onClick={() => setManaging(!managing)}
+        className="mt-2 p-0 bg-transparent text-sm text-cyan-400 hover:text-cyan-300 flex items-center gap-1"
+      >
+        <Settings className="w-4 h-4" />
+        {managing ? 'Hide owner actions' : 'Manage dataset'}
+      </button>
+      {managing && <OwnerPanel dataset={dataset} walletAddress={walletAddress} onChanged={onChanged} />}
     </div>
   )
 }
@@ -0,0 +1,160 @@
+/**
+ * Dataset analysis reports
+ * Runs the profiler in a Web Worker on the plaintext file before it is encrypted,
+ * then publishes the JSON report through the storage backend. The report's CID is
+ * what goes on-chain as the dataset's analysisCID.
+ *
+ * Reports are versioned ({ schema, version }); readers validate them before rendering
+ * and only accept versions listed in SUPPORTED_REPORT_VERSIONS.
+ */
+
+import { getStorageProvider, readVerified, uploadVerified } from './storage/index.js'
+import { ANALYSIS_REPORT_SCHEMA, ANALYSIS_REPORT_VERSION } from './profiler.js'
+
+export const ANALYSIS_REPORT_TYPE = 'quantum-vault/analysis-report'
+export const SUPPORTED_REPORT_VERSIONS = [1]
+
+/**
+ * Profile a file in a Web Worker -> analysis report (see profiler.js for the shape)
+ * onProgress({ loaded, total }) reports approximate bytes processed.
+ */
+export function analyzeDataset(file, { onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' })
+
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'progress') {
+        onProgress({ loaded: message.loaded, total: message.total })
+        return
+      }
+      worker.terminate()
+      if (message.type === 'done') {
+        resolve(message.report)
+      } else {
+        reject(new Error(`Dataset analysis failed: ${message.message}`))
+      }
+    }
+
+    worker.onerror = (event) => {
+      worker.terminate()
+      reject(new Error(`Dataset analysis failed: ${event.message || 'worker error'}`))
+    }
+
+    worker.postMessage({ file })
+  })
+}
+
+/**
+ * Upload an analysis report for a dataset and return its CID
+ */
+export async function uploadAnalysisReport(report, datasetCID, walletAddress) {
+  const storage = await getStorageProvider(walletAddress)
+  const body = { ...report, datasetCID }
+  const file = new File([JSON.stringify(body)], `analysis-${datasetCID}.json`, { type: 'application/json' })
+
+  return uploadVerified(storage, file, {
+    metadata: {
+      type: ANALYSIS_REPORT_TYPE,
+      schema: ANALYSIS_REPORT_SCHEMA,
+      version: ANALYSIS_REPORT_VERSION,
+      datasetCID,
+      qualityScore: report.qualityScore
+    },
+    ttl: null
+  })
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isNumberOrNull = (value) => value === null || isNumber(value)
+
+function validateColumn(column, index) {
+  const where = `columns[${index}]`
+  if (!column || typeof column !== 'object') return `${where} is not an object`
+  if (typeof column.name !== 'string') return `${where}.name must be a string`
+  if (typeof column.type !== 'string') return `${where}.type must be a string`
+  if (!isNumber(column.nullRatio) || column.nullRatio < 0 || column.nullRatio > 1) {
+    return `${where}.nullRatio must be between 0 and 1`
+  }
+  if (!isNumber(column.nulls) || !isNumber(column.nonNull)) return `${where} is missing null counts`
+  if (column.numeric !== null && column.numeric !== undefined) {
+    const { numeric } = column
+    if (typeof numeric !== 'object') return `${where}.numeric must be an object`
+    for (const field of ['min', 'max', 'mean', 'median']) {
+      if (!isNumberOrNull(numeric[field])) return `${where}.numeric.${field} must be a number`
+    }
+    if (!numeric.histogram || !Array.isArray(numeric.histogram.bins) || !numeric.histogram.bins.every(isNumber)) {
+      return `${where}.numeric.histogram.bins must be an array of numbers`
+    }
+    if (!numeric.outliers || !isNumber(numeric.outliers.ratio)) return `${where}.numeric.outliers.ratio must be a number`
+  }
+  return null
+}
+
+/**
+ * Validate a parsed report against the versioned report schema
+ * Returns the report, or throws an Error with code 'malformed' explaining what is wrong.
+ */
+export function validateAnalysisReport(report, expectedDatasetCID) {
+  const fail = (reason) => {
+    throw Object.assign(new Error(`Invalid analysis report: ${reason}`), { code: 'malformed' })
+  }
+
+  if (!report || typeof report !== 'object' || Array.isArray(report)) fail('not a JSON object')
+  if (report.schema !== ANALYSIS_REPORT_SCHEMA) fail(`unknown schema "${report.schema}"`)
+  if (!SUPPORTED_REPORT_VERSIONS.includes(report.version)) fail(`unsupported version ${report.version}`)
+  if (expectedDatasetCID && report.datasetCID !== expectedDatasetCID) fail('it describes a different dataset')
+  if (!report.file || typeof report.file !== 'object') fail('file must be an object')
+  if (!isNumberOrNull(report.rowCount)) fail('rowCount must be a number')
+  if (!isNumberOrNull(report.qualityScore) || report.qualityScore < 0 || report.qualityScore > 100) {
+    fail('qualityScore must be between 0 and 100')
+  }
+  if (!Array.isArray(report.columns)) fail('columns must be an array')
+  report.columns.forEach((column, index) => {
+    const problem = validateColumn(column, index)
+    if (problem) fail(problem)
+  })
+  if (!Array.isArray(report.warnings) || !report.warnings.every(w => w && typeof w.message === 'string')) {
+    fail('warnings must be an array of { message }')
+  }
+  return report
+}
+
+/**
+ * Load and validate a dataset's analysis report
+ * Returns { status: 'ok', report } or { status: 'missing' | 'expired' | 'malformed' | 'unavailable', message }
+ */
+export async function fetchAnalysisReport(dataset, walletAddress) {
+  if (!dataset.analysisCID) {
+    return { status: 'missing', message: 'This dataset has no analysis report.' }
+  }
+
+  let text
+  try {
+    const storage = await getStorageProvider(walletAddress)
+    const blob = await readVerified(storage, dataset.analysisCID)
+    text = await blob.text()
+  } catch (error) {
+    console.warn(`Could not load analysis report ${dataset.analysisCID}:`, error)
+    if (error.code === 'expired') {
+      return { status: 'expired', message: 'The analysis report has expired from storage.' }
+    }
+    if (error.code === 'not-found') {
+      return { status: 'missing', message: 'No analysis report is stored for this dataset.' }
+    }
+    if (error.code === 'cid-mismatch') {
+      return { status: 'malformed', message: 'The stored analysis report does not match its CID.' }
+    }
+    return { status: 'unavailable', message: `Could not load the analysis report: ${error.message}` }
+  }
+
+  try {
+    return { status: 'ok', report: validateAnalysisReport(JSON.parse(text), dataset.datasetCID) }
+  } catch (error) {
+    console.warn(`Analysis report ${dataset.analysisCID} is malformed:`, error)
+    return {
+      status: 'malformed',
+      message: error.code === 'malformed' ? error.message : 'The analysis report is not valid JSON.'
+    }
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Analysis Web Worker
+ * Profiles a dataset off the main thread so large files don't freeze the UI.
+ *
+ * in:  { file }
+ * out: { type: 'progress', loaded, total } | { type: 'done', report } | { type: 'error', message }
+ */
+
+import { analyzeFile } from './profiler.js'
+
+self.onmessage = async (event) => {
+  try {
+    const report = await analyzeFile(event.data.file, {
+      onProgress: ({ loaded, total }) => self.postMessage({ type: 'progress', loaded, total })
+    })
+    self.postMessage({ type: 'done', report })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) })
+  }
+}
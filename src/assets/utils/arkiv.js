@@ -4,9 +4,7 @@
  * This module implements CRUD operations, TTL, subscriptions, and queries
  */
 
-// Arkiv API configuration
-const ARKIV_API_URL = process.env.ARKIV_API_URL || 'https://api.arkiv.org' // Update with actual Arkiv API URL
-const ARKIV_NETWORK = process.env.ARKIV_NETWORK || 'ethereum' // or 'polygon', etc.
+import { ARKIV_API_URL, ARKIV_NETWORK } from '../../config/storage-config'
 
 /**
  * Initialize Arkiv client
@@ -30,6 +28,30 @@ export async function initArkivClient(walletAddress, signer) {
   return client
 }
 
+/**
+ * Sign an Arkiv request as EIP-712 typed data (primaryType with fields)
+ * The domain has no verifyingContract: Arkiv is an API, not a contract, and ethers
+ * would try to resolve anything that isn't an address as an ENS name. Signers
+ * without typed data support, or that fail to sign it, fall back to a plain
+ * message signature, as uploadToArkiv does. A rejection in the wallet is rethrown.
+ */
+async function signArkivRequest(client, primaryType, fields, message) {
+  const domain = {
+    name: 'Arkiv',
+    version: '1',
+    chainId: await client.signer.getChainId()
+  }
+  try {
+    if (client.signer._signTypedData) {
+      return await client.signer._signTypedData(domain, { [primaryType]: fields }, message)
+    }
+  } catch (signError) {
+    if (signError.code === 4001 || signError.code === 'ACTION_REJECTED') throw signError
+    console.warn(`Typed data signing failed for Arkiv ${primaryType}, signing a plain message instead:`, signError.message)
+  }
+  return client.signer.signMessage(`Arkiv ${primaryType}: ${JSON.stringify(message)}`)
+}
+
 /**
  * CREATE: Upload file to Arkiv
  * Returns the CID (Content Identifier) for the uploaded file
@@ -50,6 +72,11 @@ export async function uploadToArkiv(file, client, options = {}) {
       formData.append('metadata', JSON.stringify(options.metadata))
     }
 
+    // Content CID computed in the browser, so Arkiv stores the file under the same CID
+    if (options.cid) {
+      formData.append('cid', options.cid)
+    }
+
     // Add TTL (Time To Live) if specified
     if (options.ttl) {
       formData.append('ttl', options.ttl.toString())
@@ -130,6 +157,156 @@ export async function uploadToArkiv(file, client, options = {}) {
   }
 }
 
+/**
+ * Chunked uploads
+ * Large files go up as a session: start it, PUT each chunk with its SHA-256,
+ * then complete it with the file's metadata. Arkiv keeps received chunks until
+ * the session is completed or aborted, so an interrupted upload can resume.
+ */
+
+// Signatures authorising chunk uploads, per session; after a reload the session is signed again
+const uploadSignatures = new Map()
+
+async function signUploadSession(client, action, uploadId) {
+  return signArkivRequest(client, 'UploadSession', [
+    { name: 'action', type: 'string' },
+    { name: 'uploadId', type: 'string' },
+    { name: 'timestamp', type: 'uint256' }
+  ], { action, uploadId, timestamp: Date.now() })
+}
+
+async function getUploadSignature(client, uploadId) {
+  if (!uploadSignatures.has(uploadId)) {
+    uploadSignatures.set(uploadId, await signUploadSession(client, 'resumeUpload', uploadId))
+  }
+  return uploadSignatures.get(uploadId)
+}
+
+function sessionError(response, fallback) {
+  const error = new Error(fallback)
+  if (response.status === 404) error.code = 'not-found'
+  if (response.status === 422) error.code = 'hash-mismatch'
+  return error
+}
+
+/**
+ * Open an upload session for a file of `size` bytes stored under `cid`
+ * Returns { uploadId }
+ */
+export async function startArkivUpload({ cid, name, size, chunkSize, ttl = null }, client) {
+  if (!client || !client.address) {
+    throw new Error('Arkiv client not initialized')
+  }
+
+  const signature = await signUploadSession(client, 'startUpload', cid)
+  const response = await fetch(`${ARKIV_API_URL}/v1/uploads`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${signature}`,
+      'X-Address': client.address,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ cid, name, size, chunkSize, ttl })
+  })
+
+  if (!response.ok) {
+    throw sessionError(response, 'Failed to start the Arkiv upload')
+  }
+
+  const { uploadId } = await response.json()
+  uploadSignatures.set(uploadId, signature)
+  return { uploadId }
+}
+
+/**
+ * Send one chunk; Arkiv rejects it (hash-mismatch) if the bytes don't hash to sha256
+ */
+export async function uploadArkivChunk(uploadId, index, chunk, sha256, client, { signal } = {}) {
+  const response = await fetch(`${ARKIV_API_URL}/v1/uploads/${uploadId}/chunks/${index}`, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${await getUploadSignature(client, uploadId)}`,
+      'X-Address': client.address,
+      'X-Chunk-SHA256': sha256,
+      'Content-Type': 'application/octet-stream'
+    },
+    body: chunk,
+    signal
+  })
+
+  if (!response.ok) {
+    throw sessionError(response, `Failed to upload chunk ${index} to Arkiv`)
+  }
+}
+
+/**
+ * Chunks Arkiv already has for a session: { receivedChunks: number[] }
+ */
+export async function getArkivUploadStatus(uploadId, client) {
+  const response = await fetch(`${ARKIV_API_URL}/v1/uploads/${uploadId}`, {
+    method: 'GET',
+    headers: {
+      'X-Address': client.address
+    }
+  })
+
+  if (!response.ok) {
+    throw sessionError(response, 'Failed to read the Arkiv upload status')
+  }
+
+  const data = await response.json()
+  return { receivedChunks: data.receivedChunks || [] }
+}
+
+/**
+ * Assemble the chunks into one file with its metadata; returns the CID
+ */
+export async function completeArkivUpload(uploadId, { metadata = {} } = {}, client) {
+  const response = await fetch(`${ARKIV_API_URL}/v1/uploads/${uploadId}/complete`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${await getUploadSignature(client, uploadId)}`,
+      'X-Address': client.address,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ metadata })
+  })
+
+  if (!response.ok) {
+    throw sessionError(response, 'Failed to complete the Arkiv upload')
+  }
+
+  const data = await response.json()
+  uploadSignatures.delete(uploadId)
+  return data.cid
+}
+
+/**
+ * Drop a session and the chunks received so far
+ */
+export async function abortArkivUpload(uploadId, client) {
+  const response = await fetch(`${ARKIV_API_URL}/v1/uploads/${uploadId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${await getUploadSignature(client, uploadId)}`,
+      'X-Address': client.address
+    }
+  })
+  uploadSignatures.delete(uploadId)
+
+  if (!response.ok && response.status !== 404) {
+    throw sessionError(response, 'Failed to abort the Arkiv upload')
+  }
+}
+
+// Tag read failures so callers can tell a missing file from an expired one
+function readError(response) {
+  const error = new Error('Failed to read from Arkiv')
+  if (response.status === 404) error.code = 'not-found'
+  if (response.status === 410) error.code = 'expired'
+  return error
+}
+
 /**
  * READ: Retrieve file from Arkiv by CID
  */
@@ -147,7 +324,7 @@ export async function readFromArkiv(cid, client) {
     })
 
     if (!response.ok) {
-      throw new Error('Failed to read from Arkiv')
+      throw readError(response)
     }
 
     return await response.blob() // Return file blob
@@ -158,50 +335,86 @@ export async function readFromArkiv(cid, client) {
 }
 
 /**
- * UPDATE: Update metadata for an existing file in Arkiv
+ * READ (streaming): Open a file in Arkiv by CID without buffering it
+ * Returns the Response so callers can consume response.body and headers
  */
-export async function updateArkivMetadata(cid, metadata, client) {
+export async function readStreamFromArkiv(cid, client) {
   try {
     if (!client || !client.address) {
       throw new Error('Arkiv client not initialized')
     }
 
-    // Sign update message
-    const message = {
-      domain: {
-        name: 'Arkiv',
-        version: '1',
-        chainId: await client.signer.getChainId(),
-        verifyingContract: ARKIV_API_URL
-      },
-      message: {
-        action: 'update',
-        cid: cid,
-        metadata: JSON.stringify(metadata),
-        timestamp: Date.now()
-      },
-      primaryType: 'Update',
-      types: {
-        EIP712Domain: [
-          { name: 'name', type: 'string' },
-          { name: 'version', type: 'string' },
-          { name: 'chainId', type: 'uint256' },
-          { name: 'verifyingContract', type: 'address' }
-        ],
-        Update: [
-          { name: 'action', type: 'string' },
-          { name: 'cid', type: 'string' },
-          { name: 'metadata', type: 'string' },
-          { name: 'timestamp', type: 'uint256' }
-        ]
+    const response = await fetch(`${ARKIV_API_URL}/v1/read/${cid}`, {
+      method: 'GET',
+      headers: {
+        'X-Address': client.address
       }
+    })
+
+    if (!response.ok) {
+      throw readError(response)
     }
 
-    const signature = await client.signer._signTypedData(
-      message.domain,
-      message.types,
-      message.message
-    )
+    return response
+  } catch (error) {
+    console.error('Arkiv read error:', error)
+    throw error
+  }
+}
+
+/**
+ * READ: Retrieve the metadata stored with a file in Arkiv
+ */
+export async function getArkivMetadata(cid, client) {
+  try {
+    if (!client || !client.address) {
+      throw new Error('Arkiv client not initialized')
+    }
+
+    const response = await fetch(`${ARKIV_API_URL}/v1/metadata/${cid}`, {
+      method: 'GET',
+      headers: {
+        'X-Address': client.address
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error('Failed to read Arkiv metadata')
+    }
+
+    const data = await response.json()
+    return data.metadata || data
+  } catch (error) {
+    console.error('Arkiv metadata error:', error)
+    throw error
+  }
+}
+
+// Tag failed owner requests with the HTTP status, so callers can say what went wrong
+function requestError(response, fallback) {
+  const error = new Error(`${fallback} (HTTP ${response.status})`)
+  error.status = response.status
+  if (response.status === 404) error.code = 'not-found'
+  if (response.status === 401 || response.status === 403) error.code = 'unauthorized'
+  return error
+}
+
+/**
+ * UPDATE: Update metadata for an existing file in Arkiv
+ */
+export async function updateArkivMetadata(cid, metadata, client) {
+  try {
+    if (!client || !client.address) {
+      throw new Error('Arkiv client not initialized')
+    }
+
+    // Sign update message
+    const signature = await signArkivRequest(client, 'Update', [
+      { name: 'action', type: 'string' },
+      { name: 'cid', type: 'string' },
+      { name: 'metadata', type: 'string' },
+      { name: 'timestamp', type: 'uint256' }
+    ], { action: 'update', cid, metadata: JSON.stringify(metadata), timestamp: Date.now() })
 
     const response = await fetch(`${ARKIV_API_URL}/v1/update/${cid}`, {
       method: 'PUT',
@@ -214,7 +427,7 @@ export async function updateArkivMetadata(cid, metadata, client) {
     })
 
     if (!response.ok) {
-      throw new Error('Failed to update Arkiv metadata')
+      throw requestError(response, 'Failed to update Arkiv metadata')
     }
 
     return await response.json()
@@ -234,39 +447,11 @@ export async function deleteFromArkiv(cid, client) {
     }
 
     // Sign delete message
-    const message = {
-      domain: {
-        name: 'Arkiv',
-        version: '1',
-        chainId: await client.signer.getChainId(),
-        verifyingContract: ARKIV_API_URL
-      },
-      message: {
-        action: 'delete',
-        cid: cid,
-        timestamp: Date.now()
-      },
-      primaryType: 'Delete',
-      types: {
-        EIP712Domain: [
-          { name: 'name', type: 'string' },
-          { name: 'version', type: 'string' },
-          { name: 'chainId', type: 'uint256' },
-          { name: 'verifyingContract', type: 'address' }
-        ],
-        Delete: [
-          { name: 'action', type: 'string' },
-          { name: 'cid', type: 'string' },
-          { name: 'timestamp', type: 'uint256' }
-        ]
-      }
-    }
-
-    const signature = await client.signer._signTypedData(
-      message.domain,
-      message.types,
-      message.message
-    )
+    const signature = await signArkivRequest(client, 'Delete', [
+      { name: 'action', type: 'string' },
+      { name: 'cid', type: 'string' },
+      { name: 'timestamp', type: 'uint256' }
+    ], { action: 'delete', cid, timestamp: Date.now() })
 
     const response = await fetch(`${ARKIV_API_URL}/v1/delete/${cid}`, {
       method: 'DELETE',
@@ -277,7 +462,7 @@ export async function deleteFromArkiv(cid, client) {
     })
 
     if (!response.ok) {
-      throw new Error('Failed to delete from Arkiv')
+      throw requestError(response, 'Failed to delete from Arkiv')
     }
 
     return await response.json()
@@ -353,41 +538,13 @@ export async function setArkivTTL(cid, ttlSeconds, client) {
       throw new Error('Arkiv client not initialized')
     }
 
-    const message = {
-      domain: {
-        name: 'Arkiv',
-        version: '1',
-        chainId: await client.signer.getChainId(),
-        verifyingContract: ARKIV_API_URL
-      },
-      message: {
-        action: 'setTTL',
-        cid: cid,
-        ttl: ttlSeconds,
-        timestamp: Date.now()
-      },
-      primaryType: 'SetTTL',
-      types: {
-        EIP712Domain: [
-          { name: 'name', type: 'string' },
-          { name: 'version', type: 'string' },
-          { name: 'chainId', type: 'uint256' },
-          { name: 'verifyingContract', type: 'address' }
-        ],
-        SetTTL: [
-          { name: 'action', type: 'string' },
-          { name: 'cid', type: 'string' },
-          { name: 'ttl', type: 'uint256' },
-          { name: 'timestamp', type: 'uint256' }
-        ]
-      }
-    }
-
-    const signature = await client.signer._signTypedData(
-      message.domain,
-      message.types,
-      message.message
-    )
+    // A ttl of 0 in the signed message stands for no expiry (null)
+    const signature = await signArkivRequest(client, 'SetTTL', [
+      { name: 'action', type: 'string' },
+      { name: 'cid', type: 'string' },
+      { name: 'ttl', type: 'uint256' },
+      { name: 'timestamp', type: 'uint256' }
+    ], { action: 'setTTL', cid, ttl: ttlSeconds ?? 0, timestamp: Date.now() })
 
     const response = await fetch(`${ARKIV_API_URL}/v1/ttl/${cid}`, {
       method: 'POST',
@@ -400,7 +557,7 @@ export async function setArkivTTL(cid, ttlSeconds, client) {
     })
 
     if (!response.ok) {
-      throw new Error('Failed to set TTL')
+      throw requestError(response, 'Failed to set the Arkiv TTL')
     }
 
     return await response.json()
@@ -0,0 +1,267 @@
+/**
+ * Multi-file dataset bundles
+ * A folder or multi-file selection is published as one dataset: every file is
+ * stored as its own entity, and a JSON manifest listing each file's path, size
+ * and CID is stored as the root entity whose CID goes on-chain. Downloads read
+ * the manifest, verify every file against its CID and stream them into a zip.
+ */
+
+export const BUNDLE_MANIFEST_TYPE = 'application/vnd.quantum-bundle+json'
+const MANIFEST_FORMAT = 'quantum-dataset-bundle'
+const MANIFEST_VERSION = 1
+
+/**
+ * Turn a FileList from a multi-file or directory input into [{ path, file }], sorted by path
+ * Directory picks keep their relative paths (webkitRelativePath).
+ */
+export function bundleEntries(fileList) {
+  const entries = Array.from(fileList || [], file => ({ path: file.webkitRelativePath || file.name, file }))
+  const seen = new Set()
+  for (const { path } of entries) {
+    if (seen.has(path)) throw new Error(`"${path}" was selected twice`)
+    seen.add(path)
+  }
+  return entries.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * Name for a bundle: the folder it was picked from, if all files share one
+ */
+export function bundleName(entries) {
+  const folders = new Set(entries.map(({ path }) => (path.includes('/') ? path.split('/')[0] : '')))
+  const [folder] = folders
+  return folders.size === 1 && folder ? folder : 'dataset-bundle'
+}
+
+/**
+ * The file analysis and preview run on: the first tabular file, otherwise the largest
+ */
+export function primaryEntry(entries, isTabular) {
+  return entries.find(({ file }) => isTabular(file)) ||
+    entries.reduce((largest, entry) => (entry.file.size > largest.file.size ? entry : largest), entries[0])
+}
+
+/**
+ * files: [{ path, size, type, cid }] with plaintext sizes
+ */
+export function buildManifest(name, files) {
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    name,
+    totalSize: files.reduce((sum, file) => sum + file.size, 0),
+    files: files.map(({ path, size, type, cid }) => ({ path, size, type: type || '', cid }))
+  }
+}
+
+export function parseManifest(text) {
+  let manifest
+  try {
+    manifest = JSON.parse(text)
+  } catch {
+    throw new Error('Bundle manifest is not valid JSON')
+  }
+  if (manifest?.format !== MANIFEST_FORMAT || !Array.isArray(manifest.files)) {
+    throw new Error('Not a dataset bundle manifest')
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`Bundle manifest version ${manifest.version} is newer than this app supports`)
+  }
+  return manifest
+}
+
+/**
+ * Whether a root entity's storage metadata marks it as a bundle manifest
+ */
+export function isBundle(metadata) {
+  return metadata?.bundle === true
+}
+
+/**
+ * Zip archives
+ * Files are stored uncompressed (datasets are usually compressed already) and
+ * streamed: each entry's CRC-32 goes in a data descriptor after its bytes, so
+ * nothing has to be buffered. ZIP64 records are added for files or archives
+ * past 4 GiB.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(crc, bytes) {
+  let c = crc ^ 0xffffffff
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+const MAX_32 = 0xffffffff
+const MAX_16 = 0xffff
+const FLAGS = 0x0808 // data descriptor follows, UTF-8 names
+
+// Little-endian record builder
+function record(size, fill) {
+  const bytes = new Uint8Array(size)
+  const view = new DataView(bytes.buffer)
+  let position = 0
+  const put = {
+    u16: (value) => { view.setUint16(position, value, true); position += 2 },
+    u32: (value) => { view.setUint32(position, value, true); position += 4 },
+    u64: (value) => { view.setBigUint64(position, BigInt(value), true); position += 8 },
+    bytes: (value) => { bytes.set(value, position); position += value.length }
+  }
+  fill(put)
+  return bytes
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Stream a zip through write(bytes)
+ * addFile(path, size, chunks) takes the entry's exact size and an (async) iterable of Uint8Arrays.
+ */
+export function createZipWriter(write) {
+  const entries = []
+  const { time, date } = dosDateTime(new Date())
+  let offset = 0
+
+  const emit = async (bytes) => {
+    await write(bytes)
+    offset += bytes.length
+  }
+
+  return {
+    async addFile(path, size, chunks) {
+      const name = new TextEncoder().encode(path)
+      const zip64 = size >= MAX_32
+      const entry = { name, size, crc: 0, offset, zip64 }
+
+      await emit(record(30 + name.length + (zip64 ? 20 : 0), put => {
+        put.u32(0x04034b50)
+        put.u16(zip64 ? 45 : 20)
+        put.u16(FLAGS)
+        put.u16(0) // stored
+        put.u16(time)
+        put.u16(date)
+        put.u32(0) // CRC, sizes: in the data descriptor
+        put.u32(zip64 ? MAX_32 : 0)
+        put.u32(zip64 ? MAX_32 : 0)
+        put.u16(name.length)
+        put.u16(zip64 ? 20 : 0)
+        put.bytes(name)
+        if (zip64) {
+          put.u16(0x0001)
+          put.u16(16)
+          put.u64(0)
+          put.u64(0)
+        }
+      }))
+
+      let written = 0
+      for await (const chunk of chunks) {
+        entry.crc = crc32(entry.crc, chunk)
+        written += chunk.length
+        await emit(chunk)
+      }
+      if (written !== size) {
+        throw new Error(`${path} is ${written} bytes, expected ${size}`)
+      }
+
+      await emit(record(zip64 ? 24 : 16, put => {
+        put.u32(0x08074b50)
+        put.u32(entry.crc)
+        if (zip64) {
+          put.u64(size)
+          put.u64(size)
+        } else {
+          put.u32(size)
+          put.u32(size)
+        }
+      }))
+      entries.push(entry)
+    },
+
+    async close() {
+      const directoryOffset = offset
+      for (const entry of entries) {
+        const bigSize = entry.size >= MAX_32
+        const bigOffset = entry.offset >= MAX_32
+        const extraLength = (bigSize ? 16 : 0) + (bigOffset ? 8 : 0)
+        await emit(record(46 + entry.name.length + (extraLength ? 4 + extraLength : 0), put => {
+          put.u32(0x02014b50)
+          put.u16(45)
+          put.u16(entry.zip64 ? 45 : 20)
+          put.u16(FLAGS)
+          put.u16(0)
+          put.u16(time)
+          put.u16(date)
+          put.u32(entry.crc)
+          put.u32(bigSize ? MAX_32 : entry.size)
+          put.u32(bigSize ? MAX_32 : entry.size)
+          put.u16(entry.name.length)
+          put.u16(extraLength ? 4 + extraLength : 0)
+          put.u16(0) // comment
+          put.u16(0) // disk
+          put.u16(0) // internal attributes
+          put.u32(0) // external attributes
+          put.u32(bigOffset ? MAX_32 : entry.offset)
+          put.bytes(entry.name)
+          if (extraLength) {
+            put.u16(0x0001)
+            put.u16(extraLength)
+            if (bigSize) {
+              put.u64(entry.size)
+              put.u64(entry.size)
+            }
+            if (bigOffset) put.u64(entry.offset)
+          }
+        }))
+      }
+
+      const directorySize = offset - directoryOffset
+      if (entries.length >= MAX_16 || directoryOffset >= MAX_32 || directorySize >= MAX_32) {
+        const zip64EndOffset = offset
+        await emit(record(56, put => {
+          put.u32(0x06064b50)
+          put.u64(44)
+          put.u16(45)
+          put.u16(45)
+          put.u32(0)
+          put.u32(0)
+          put.u64(entries.length)
+          put.u64(entries.length)
+          put.u64(directorySize)
+          put.u64(directoryOffset)
+        }))
+        await emit(record(20, put => {
+          put.u32(0x07064b50)
+          put.u32(0)
+          put.u64(zip64EndOffset)
+          put.u32(1)
+        }))
+      }
+
+      await emit(record(22, put => {
+        put.u32(0x06054b50)
+        put.u16(0)
+        put.u16(0)
+        put.u16(Math.min(entries.length, MAX_16))
+        put.u16(Math.min(entries.length, MAX_16))
+        put.u32(Math.min(directorySize, MAX_32))
+        put.u32(Math.min(directoryOffset, MAX_32))
+        put.u16(0)
+      }))
+    }
+  }
+}
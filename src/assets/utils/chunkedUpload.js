@@ -0,0 +1,231 @@
+/**
+ * Chunked, resumable uploads
+ * Files are sent to the storage backend as an upload session of fixed-size
+ * chunks, each checked against its SHA-256 by the backend, so a multi-gigabyte
+ * dataset never has to be read into memory or sent in one request. Sessions
+ * are persisted in IndexedDB: after a reload, picking the same file again
+ * (same CID) resumes from the chunks the backend already has.
+ */
+
+import { openDatabase, getAllRecords, putRecord, deleteRecord } from './idb.js'
+import { sha256Hex } from './cid.js'
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024 // 8 MiB
+const MAX_ATTEMPTS = 3
+const RETRY_DELAY_MS = 1000
+
+const DB_NAME = 'quantum-uploads'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore('sessions', { keyPath: 'uploadId' }).createIndex('owner', 'owner')
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+function cancelledError() {
+  return Object.assign(new Error('Upload cancelled'), { code: 'cancelled' })
+}
+
+async function findSession({ backend, owner, cid, size }) {
+  const sessions = await listInterruptedUploads(owner, backend)
+  return sessions.find(session => session.cid === cid && session.size === size) || null
+}
+
+/**
+ * Uploads that were started but never completed, newest first
+ */
+export async function listInterruptedUploads(owner, backend) {
+  if (!owner) return []
+  const sessions = await getAllRecords(await getDatabase(), 'sessions', 'owner', owner.toLowerCase())
+  return sessions
+    .filter(session => !backend || session.backend === backend)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+/**
+ * Forget an interrupted upload and ask the backend to drop its chunks
+ */
+export async function discardInterruptedUpload(storage, session) {
+  try {
+    await storage.abortUpload(session.uploadId)
+  } catch (error) {
+    console.warn(`Could not abort upload session ${session.uploadId}:`, error.message)
+  }
+  await deleteRecord(await getDatabase(), 'sessions', session.uploadId)
+}
+
+/**
+ * Create a controller that uploads file to storage in chunks
+ * start() resolves with the CID once the backend has assembled the file and
+ * rejects with error.code 'cancelled' after cancel(). onProgress receives
+ * { state, loaded, total, chunk, chunks, bytesPerSecond } after every chunk
+ * and every state change; state is 'uploading', 'paused', 'retrying', 'completing', 'done' or 'cancelled'.
+ */
+export function createChunkedUpload(storage, file, { cid, owner, metadata = {}, ttl = null, encrypted = false, chunkSize = UPLOAD_CHUNK_SIZE, onProgress = () => {} } = {}) {
+  const chunks = Math.max(1, Math.ceil(file.size / chunkSize))
+  let session = null
+  let received = new Set()
+  let state = 'idle'
+  let paused = false
+  let cancelled = false
+  let request = null
+  let waitForResume = null
+  let releasePause = null
+  let runStarted = 0
+  let runBytes = 0
+
+  const loaded = () => [...received].reduce((sum, index) => sum + Math.min(chunkSize, file.size - index * chunkSize), 0)
+
+  const report = (next = state) => {
+    state = next
+    const elapsed = (Date.now() - runStarted) / 1000
+    onProgress({
+      state,
+      loaded: loaded(),
+      total: file.size,
+      chunk: received.size,
+      chunks,
+      bytesPerSecond: elapsed > 0 ? runBytes / elapsed : 0
+    })
+  }
+
+  // Restarts the speed measurement, so time spent paused doesn't drag it down
+  const startRun = () => {
+    runStarted = Date.now()
+    runBytes = 0
+  }
+
+  async function openSession() {
+    const backend = storage.name
+    const db = await getDatabase()
+    const existing = await findSession({ backend, owner: owner.toLowerCase(), cid, size: file.size })
+
+    if (existing) {
+      try {
+        const status = await storage.getUploadStatus(existing.uploadId)
+        session = existing
+        received = new Set(status.receivedChunks)
+        console.log(`Resuming upload ${existing.uploadId}: ${received.size}/${chunks} chunks already stored`)
+        return
+      } catch (error) {
+        if (error.code !== 'not-found') throw error
+        // The backend expired the session; start over
+        await deleteRecord(db, 'sessions', existing.uploadId)
+      }
+    }
+
+    const { uploadId } = await storage.startUpload({ cid, name: file.name, size: file.size, chunkSize, ttl })
+    const now = Date.now()
+    session = { uploadId, backend, owner: owner.toLowerCase(), cid, name: file.name, size: file.size, chunkSize, encrypted, uploadedBytes: 0, createdAt: now, updatedAt: now }
+    await putRecord(db, 'sessions', session)
+  }
+
+  async function sendChunk(index) {
+    const blob = file.slice(index * chunkSize, Math.min(file.size, (index + 1) * chunkSize))
+    const hash = await sha256Hex(await blob.arrayBuffer())
+
+    for (let attempt = 1; ; attempt++) {
+      if (paused) await waitForResume
+      if (cancelled) throw cancelledError()
+
+      request = new AbortController()
+      try {
+        await storage.uploadChunk(session.uploadId, index, blob, hash, { signal: request.signal })
+        runBytes += blob.size
+        return
+      } catch (error) {
+        if (cancelled) throw cancelledError()
+        // pause() aborts the chunk in flight; it's sent again on resume without counting as a failure
+        if (paused) {
+          attempt--
+          continue
+        }
+        if (attempt >= MAX_ATTEMPTS || error.code === 'not-found') throw error
+        console.warn(`Chunk ${index} failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying:`, error.message)
+        report('retrying')
+        await new Promise(r => setTimeout(r, RETRY_DELAY_MS * attempt))
+        report('uploading')
+      } finally {
+        request = null
+      }
+    }
+  }
+
+  return {
+    get state() {
+      return state
+    },
+
+    /**
+     * Upload every chunk the backend doesn't have yet, then complete the session
+     */
+    async start() {
+      const db = await getDatabase()
+      try {
+        await openSession()
+        startRun()
+        report('uploading')
+
+        for (let index = 0; index < chunks; index++) {
+          if (received.has(index)) continue
+          await sendChunk(index)
+          if (cancelled) throw cancelledError()
+          received.add(index)
+          session = { ...session, uploadedBytes: loaded(), updatedAt: Date.now() }
+          await putRecord(db, 'sessions', session)
+          report()
+        }
+
+        if (cancelled) throw cancelledError()
+        report('completing')
+        const storedCID = await storage.completeUpload(session.uploadId, { metadata })
+        await deleteRecord(db, 'sessions', session.uploadId)
+        report('done')
+        return storedCID
+      } catch (error) {
+        if (!cancelled) throw error
+        if (session) await discardInterruptedUpload(storage, session)
+        report('cancelled')
+        throw cancelledError()
+      }
+    },
+
+    pause() {
+      if (paused || cancelled || state === 'completing' || state === 'done') return
+      paused = true
+      waitForResume = new Promise(resolve => { releasePause = resolve })
+      request?.abort()
+      report('paused')
+    },
+
+    resume() {
+      if (!paused) return
+      paused = false
+      releasePause()
+      startRun()
+      report('uploading')
+    },
+
+    /**
+     * Stop the upload; start() drops the chunks sent so far and rejects with code 'cancelled'
+     */
+    cancel() {
+      if (cancelled || state === 'completing' || state === 'done') return
+      cancelled = true
+      request?.abort()
+      if (paused) {
+        paused = false
+        releasePause()
+      }
+    }
+  }
+}
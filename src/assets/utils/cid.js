@@ -0,0 +1,319 @@
+/**
+ * Content identifiers
+ * CIDv1, sha2-256 multihash, base32 multibase ("b..." strings).
+ * Files up to one chunk are a single raw block; larger files are split into
+ * 256 KiB raw leaves under a balanced UnixFS dag-pb tree, the same layout as
+ * `ipfs add --cid-version=1 --raw-leaves`. Chunks are hashed one at a time,
+ * so multi-gigabyte files never have to be loaded into memory.
+ */
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+
+export const CODEC_RAW = 0x55
+export const CODEC_DAG_PB = 0x70
+export const HASH_SHA2_256 = 0x12
+
+export const CHUNK_SIZE = 262144 // 256 KiB, the IPFS default chunker
+const MAX_LINKS = 174 // IPFS default links per dag-pb node
+
+const UNIXFS_TYPE_FILE = 2
+
+/**
+ * RFC 4648 base32, lowercase, no padding (multibase prefix "b" is added by the caller)
+ */
+export function base32Encode(bytes) {
+  let output = ''
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xffff
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31]
+  }
+  return output
+}
+
+export function base32Decode(text) {
+  const bytes = []
+  let buffer = 0
+  let bits = 0
+  for (const char of text.toLowerCase()) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) {
+      throw new Error(`Invalid base32 character "${char}"`)
+    }
+    buffer = ((buffer << 5) | value) & 0xffff
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return new Uint8Array(bytes)
+}
+
+/**
+ * Unsigned varint as used by multiformats and protobuf (safe beyond 32 bits)
+ */
+export function encodeVarint(value) {
+  const bytes = []
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80)
+    value = Math.floor(value / 128)
+  }
+  bytes.push(value)
+  return bytes
+}
+
+function decodeVarint(bytes, offset) {
+  let value = 0
+  let multiplier = 1
+  let position = offset
+  for (;;) {
+    if (position >= bytes.length) {
+      throw new Error('Truncated varint')
+    }
+    const byte = bytes[position++]
+    value += (byte & 0x7f) * multiplier
+    if (byte < 0x80) break
+    multiplier *= 128
+  }
+  return [value, position]
+}
+
+export async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+}
+
+// Lowercase hex digest, the form upload sessions use to check chunks
+export async function sha256Hex(bytes) {
+  return Array.from(await sha256(bytes), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0)
+  const output = new Uint8Array(total)
+  let offset = 0
+  for (const part of parts) {
+    output.set(part, offset)
+    offset += part.length
+  }
+  return output
+}
+
+function cidBytesFromDigest(codec, digest) {
+  return new Uint8Array([
+    ...encodeVarint(1),
+    ...encodeVarint(codec),
+    ...encodeVarint(HASH_SHA2_256),
+    ...encodeVarint(digest.length),
+    ...digest
+  ])
+}
+
+/**
+ * Build the string form of a CIDv1 from a codec and a sha2-256 digest
+ */
+export function cidFromDigest(codec, digest) {
+  return `b${base32Encode(cidBytesFromDigest(codec, digest))}`
+}
+
+/**
+ * Parse a base32 CIDv1 string into { version, codec, hashCode, digest }
+ * Throws for anything else (e.g. CIDv0 "Qm..." strings).
+ */
+export function parseCID(cid) {
+  if (typeof cid !== 'string' || !cid.startsWith('b')) {
+    throw new Error(`Unsupported CID format: ${cid}`)
+  }
+  const bytes = base32Decode(cid.slice(1))
+  let offset = 0
+  let version, codec, hashCode, length
+  ;[version, offset] = decodeVarint(bytes, offset)
+  ;[codec, offset] = decodeVarint(bytes, offset)
+  ;[hashCode, offset] = decodeVarint(bytes, offset)
+  ;[length, offset] = decodeVarint(bytes, offset)
+  if (version !== 1) {
+    throw new Error(`Unsupported CID version ${version}`)
+  }
+  const digest = bytes.slice(offset, offset + length)
+  if (digest.length !== length) {
+    throw new Error('Truncated CID digest')
+  }
+  return { version, codec, hashCode, digest }
+}
+
+// Protobuf field helpers (wire type 0 = varint, 2 = length-delimited)
+function pbVarintField(field, value) {
+  return [...encodeVarint((field << 3) | 0), ...encodeVarint(value)]
+}
+
+function pbBytesField(field, bytes) {
+  return [...encodeVarint((field << 3) | 2), ...encodeVarint(bytes.length), ...bytes]
+}
+
+// UnixFS Data message for a file node: Type, filesize, blocksizes
+function encodeUnixFsFile(filesize, blocksizes) {
+  const fields = [...pbVarintField(1, UNIXFS_TYPE_FILE), ...pbVarintField(3, filesize)]
+  for (const size of blocksizes) fields.push(...pbVarintField(4, size))
+  return new Uint8Array(fields)
+}
+
+// dag-pb PBNode: Links (field 2) are written before Data (field 1) in canonical form
+function encodePBNode(links, data) {
+  const parts = []
+  for (const link of links) {
+    const linkBytes = [
+      ...pbBytesField(1, link.cidBytes),
+      ...pbBytesField(2, []),
+      ...pbVarintField(3, link.tsize)
+    ]
+    parts.push(...pbBytesField(2, linkBytes))
+  }
+  parts.push(...pbBytesField(1, data))
+  return new Uint8Array(parts)
+}
+
+async function buildTree(nodes) {
+  const parents = []
+  for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+    const group = nodes.slice(i, i + MAX_LINKS)
+    const filesize = group.reduce((sum, n) => sum + n.filesize, 0)
+    const data = encodeUnixFsFile(filesize, group.map(n => n.filesize))
+    const block = encodePBNode(group, data)
+    const digest = await sha256(block)
+    parents.push({
+      cidBytes: cidBytesFromDigest(CODEC_DAG_PB, digest),
+      digest,
+      tsize: block.length + group.reduce((sum, n) => sum + n.tsize, 0),
+      filesize
+    })
+  }
+  return parents.length === 1 ? parents[0] : buildTree(parents)
+}
+
+/**
+ * Incremental CID computation: feed bytes with update(), get the CID from finalize()
+ * update() must be awaited before the next call.
+ */
+export function createCIDBuilder() {
+  let pending = []
+  let pendingSize = 0
+  const leaves = []
+
+  async function hashLeaf(bytes) {
+    const digest = await sha256(bytes)
+    leaves.push({
+      cidBytes: cidBytesFromDigest(CODEC_RAW, digest),
+      digest,
+      tsize: bytes.length,
+      filesize: bytes.length
+    })
+  }
+
+  return {
+    async update(bytes) {
+      pending.push(bytes)
+      pendingSize += bytes.length
+      if (pendingSize < CHUNK_SIZE) return
+
+      let buffer = concatBytes(pending)
+      while (buffer.length >= CHUNK_SIZE) {
+        await hashLeaf(buffer.subarray(0, CHUNK_SIZE))
+        buffer = buffer.subarray(CHUNK_SIZE)
+      }
+      pending = buffer.length ? [buffer.slice()] : []
+      pendingSize = buffer.length
+    },
+
+    async finalize() {
+      if (pendingSize > 0 || leaves.length === 0) {
+        await hashLeaf(concatBytes(pending))
+        pending = []
+        pendingSize = 0
+      }
+      if (leaves.length === 1) {
+        return cidFromDigest(CODEC_RAW, leaves[0].digest)
+      }
+      const root = await buildTree(leaves)
+      return cidFromDigest(CODEC_DAG_PB, root.digest)
+    }
+  }
+}
+
+/**
+ * CIDv1 (raw codec, single block) of a byte array, Blob or File
+ */
+export async function computeCID(data) {
+  const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : data
+  return cidFromDigest(CODEC_RAW, await sha256(bytes))
+}
+
+/**
+ * CIDv1 of a File/Blob, read chunk by chunk
+ * onProgress({ loaded, total }) is called after each chunk
+ */
+export async function computeFileCID(file, { onProgress = () => {} } = {}) {
+  const blob = file instanceof Blob ? file : new Blob([file])
+  const builder = createCIDBuilder()
+  for (let offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    const chunk = new Uint8Array(await blob.slice(offset, offset + CHUNK_SIZE).arrayBuffer())
+    await builder.update(chunk)
+    onProgress({ loaded: Math.min(offset + CHUNK_SIZE, blob.size), total: blob.size })
+  }
+  return builder.finalize()
+}
+
+/**
+ * Whether we know how to recompute this CID (CIDv1, sha2-256, raw or dag-pb)
+ */
+export function isVerifiableCID(cid) {
+  try {
+    const { codec, hashCode } = parseCID(cid)
+    return hashCode === HASH_SHA2_256 && (codec === CODEC_RAW || codec === CODEC_DAG_PB)
+  } catch {
+    return false
+  }
+}
+
+function mismatchError(expectedCID, actual) {
+  return Object.assign(
+    new Error(`Content does not match its CID (expected ${expectedCID}, got ${actual})`),
+    { code: 'cid-mismatch' }
+  )
+}
+
+/**
+ * Streaming verifier: feed the bytes as they arrive, then finalize() throws if
+ * they don't hash to the expected CID
+ */
+export function createCIDVerifier(expectedCID) {
+  const builder = createCIDBuilder()
+  return {
+    update: (bytes) => builder.update(bytes),
+    async finalize() {
+      const actual = await builder.finalize()
+      if (actual !== expectedCID) {
+        throw mismatchError(expectedCID, actual)
+      }
+      return actual
+    }
+  }
+}
+
+/**
+ * Check that a blob hashes to the expected CID; throws on mismatch
+ */
+export async function verifyBlobCID(blob, expectedCID) {
+  const actual = await computeFileCID(blob)
+  if (actual !== expectedCID) {
+    throw mismatchError(expectedCID, actual)
+  }
+  return actual
+}
@@ -1,5 +1,9 @@
 import { ethers } from 'ethers'
-import { CONTRACT_ADDRESS, CONTRACT_ABI, NETWORK_CONFIG } from '../../config/contract-config'
+import { CONTRACT_ADDRESS, CONTRACT_ABI, NETWORK_CONFIG, ERC20_ABI } from '../../config/contract-config'
+import { getIndexedUploadIds, getIndexedPurchases, getIndexedPublicIds, getIndexedLineage } from './indexer.js'
+import { joinDatasetInfo } from './datasetMetadata.js'
+import { TX_CONFIRMATIONS } from '../../config/app-config'
+import { trackTransaction, settleTransaction, updateTransaction, TX_STATUS } from './transactions.js'
 
 // Validate contract address
 function isValidContractAddress(address) {
@@ -103,36 +107,253 @@ function getContract(needsSigner = false) {
   return contract
 }
 
-// Upload dataset to blockchain
-export async function uploadDataset(cid, analysisCID, isPublic, isPrivate, isPaid, price) {
+// Convert a decimal amount into the token's smallest unit (USDC has 6 decimals, most tokens 18)
+export async function parseTokenAmount(amount, tokenAddress) {
+  const token = await getTokenInfo(tokenAddress)
+  try {
+    return ethers.utils.parseUnits(amount.toString(), token.decimals)
+  } catch {
+    throw new Error(`${amount} is not a valid ${token.symbol} amount (up to ${token.decimals} decimals)`)
+  }
+}
+
+// Deployments from before price tokens only have the six-argument uploadDataset and
+// three-argument updatePrice. They are told apart once by reading priceTokens, which they lack.
+let tokenPricingSupport = null
+
+function supportsTokenPricing(contract) {
+  if (!tokenPricingSupport) {
+    tokenPricingSupport = contract.priceTokens(0).then(() => true, (error) => {
+      if (error.code === ethers.errors.CALL_EXCEPTION) {
+        console.warn('The deployed contract predates price tokens; publishing with the legacy signatures')
+        return false
+      }
+      tokenPricingSupport = null
+      throw error
+    })
+  }
+  return tokenPricingSupport
+}
+
+// Raw price and token address for the contract; free datasets have no price token.
+// Legacy deployments take no token, so the price is read like any tokenless price (18 decimals).
+async function encodePrice(isPaid, price, priceToken, tokenPricing = true) {
+  if (!isPaid) return { amount: 0, token: ethers.constants.AddressZero }
+  if (!tokenPricing) return { amount: ethers.utils.parseUnits(price.toString(), 18), token: ethers.constants.AddressZero }
+  if (!priceToken) throw new Error('Choose the token the dataset is priced in')
+  return { amount: await parseTokenAmount(price, priceToken), token: priceToken }
+}
+
+/**
+ * Wait until a sent transaction has `confirmations` confirmations and return its receipt
+ * If the wallet speeds it up (same call, higher fee) the replacement's receipt is returned,
+ * so receipt.transactionHash is the hash that was actually mined. A transaction the
+ * wallet cancelled, or replaced with a different call, is an error. The transaction
+ * (and any replacement) is recorded in the transaction tracker under purpose and datasetId.
+ */
+async function waitForTransaction(tx, { purpose, datasetId = null, confirmations = TX_CONFIRMATIONS, onReplaced = () => {} } = {}) {
+  await trackTransaction(tx, { purpose, datasetId })
+  try {
+    const receipt = await tx.wait(confirmations)
+    await settleTransaction(tx.hash, receipt)
+    return receipt
+  } catch (error) {
+    if (error.code !== ethers.errors.TRANSACTION_REPLACED) {
+      // A revert comes with the receipt it was mined in
+      await updateTransaction(tx.hash, { status: TX_STATUS.FAILED, blockNumber: error.receipt?.blockNumber ?? null, error: decodeContractError(error) })
+      throw error
+    }
+    if (error.cancelled) {
+      await updateTransaction(tx.hash, { status: TX_STATUS.REPLACED, replacedBy: error.replacement.hash, error: `${error.reason} in the wallet` })
+      throw Object.assign(new Error(`Transaction ${tx.hash} was ${error.reason} in the wallet before it was mined`), { code: 'TRANSACTION_CANCELLED' })
+    }
+
+    // error.hash is the original transaction; error.receipt already has `confirmations`
+    await updateTransaction(tx.hash, { status: TX_STATUS.REPLACED, replacedBy: error.replacement.hash })
+    await trackTransaction(error.replacement, { purpose, datasetId })
+    onReplaced(error.replacement.hash)
+    await settleTransaction(error.replacement.hash, error.receipt)
+    return error.receipt
+  }
+}
+
+// Decode the first `name` event the contract emitted in a receipt (replacement receipts aren't pre-decoded)
+function findEvent(contract, receipt, name) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contract.address.toLowerCase()) continue
+    try {
+      const parsed = contract.interface.parseLog(log)
+      if (parsed.name === name) return parsed
+    } catch {
+      // A log from an event this ABI doesn't know
+    }
+  }
+  return null
+}
+
+// The dataset a publish transaction created, read at the receipt's block so it can be
+// shown right away instead of waiting for listings and the event index to catch up
+async function readPublishedDataset(contract, receipt) {
+  const uploaded = findEvent(contract, receipt, 'DatasetUploaded')
+  if (!uploaded) {
+    console.warn(`No DatasetUploaded event in transaction ${receipt.transactionHash}`)
+    return { datasetId: null, dataset: null }
+  }
+
+  const datasetId = uploaded.args.id.toNumber()
+  const versioned = findEvent(contract, receipt, 'DatasetVersioned')
+  try {
+    const onChain = await contract.getDataset(datasetId, { blockTag: receipt.blockNumber })
+    const [priced] = await withPricing([formatDataset(datasetId, onChain)])
+    const lineage = formatLineage(priced, versioned && {
+      rootId: versioned.args.rootId.toNumber(),
+      parentId: versioned.args.parentId.toNumber(),
+      version: versioned.args.version,
+      upgradePrice: versioned.args.upgradePrice
+    })
+    const [dataset] = await withDatasetInfo([{ ...priced, lineage }])
+    return { datasetId, dataset }
+  } catch (error) {
+    console.warn(`Could not read dataset ${datasetId} at block ${receipt.blockNumber}:`, error.message)
+    return { datasetId, dataset: null }
+  }
+}
+
+/**
+ * Upload dataset to blockchain, priced in priceToken when paid
+ * Resolves with { hash, blockNumber, datasetId, dataset } once the transaction has
+ * TX_CONFIRMATIONS confirmations; onSent(hash) and onReplaced(hash) report progress.
+ */
+export async function uploadDataset(cid, analysisCID, isPublic, isPrivate, isPaid, price, priceToken = null, { onSent = () => {}, onReplaced } = {}) {
   const contract = getContract(true)
-  const priceInWei = isPaid ? ethers.utils.parseEther(price.toString()) : 0
+  const tokenPricing = await supportsTokenPricing(contract)
+  const { amount, token } = await encodePrice(isPaid, price, priceToken, tokenPricing)
   
-  console.log('Uploading dataset with params:', { cid, analysisCID, isPublic, isPrivate, isPaid, price: priceInWei.toString() })
+  console.log('Uploading dataset with params:', { cid, analysisCID, isPublic, isPrivate, isPaid, price: amount.toString(), priceToken: token })
   
-  const tx = await contract.uploadDataset(
-    cid,
-    analysisCID,
-    isPublic,
-    isPrivate,
-    isPaid,
-    priceInWei
-  )
+  const tx = tokenPricing
+    ? await contract['uploadDataset(string,string,bool,bool,bool,uint256,address)'](cid, analysisCID, isPublic, isPrivate, isPaid, amount, token)
+    : await contract['uploadDataset(string,string,bool,bool,bool,uint256)'](cid, analysisCID, isPublic, isPrivate, isPaid, amount)
   
   console.log('Upload transaction sent:', tx.hash)
-  const receipt = await tx.wait()
+  onSent(tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'publish', onReplaced })
   console.log('Upload transaction confirmed in block:', receipt.blockNumber)
   
-  // Return both hash and block number for tracking
-  return { hash: tx.hash, blockNumber: receipt.blockNumber }
+  const published = await readPublishedDataset(contract, receipt)
+  await updateTransaction(receipt.transactionHash, { datasetId: published.datasetId })
+  return { hash: receipt.transactionHash, blockNumber: receipt.blockNumber, ...published }
+}
+
+// Upload a new version of one of your datasets; holders of earlier versions can upgrade for
+// upgradePrice, in the same token as the price. Resolves like uploadDataset.
+export async function uploadDatasetVersion(parentId, cid, analysisCID, isPublic, isPrivate, isPaid, price, upgradePrice, priceToken = null, { onSent = () => {}, onReplaced } = {}) {
+  const contract = getContract(true)
+  const { amount, token } = await encodePrice(isPaid, price, priceToken)
+  const upgradeAmount = isPaid ? await parseTokenAmount(upgradePrice || '0', token) : 0
+
+  console.log('Uploading dataset version with params:', { parentId, cid, analysisCID, isPublic, isPrivate, isPaid, price: amount.toString(), upgradePrice: upgradeAmount.toString(), priceToken: token })
+
+  const tx = await contract.uploadDatasetVersion(parentId, cid, analysisCID, isPublic, isPrivate, isPaid, amount, upgradeAmount, token)
+  console.log('Version upload transaction sent:', tx.hash)
+  onSent(tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'publish-version', onReplaced })
+  console.log('Version upload transaction confirmed in block:', receipt.blockNumber)
+
+  const published = await readPublishedDataset(contract, receipt)
+  await updateTransaction(receipt.transactionHash, { datasetId: published.datasetId })
+  return { hash: receipt.transactionHash, blockNumber: receipt.blockNumber, ...published }
+}
+
+// Change a dataset's price or price token, or switch it between free and paid (uploader only)
+export async function updateDatasetPrice(id, isPaid, price, priceToken = null) {
+  const contract = getContract(true)
+  const tokenPricing = await supportsTokenPricing(contract)
+  const { amount, token } = await encodePrice(isPaid, price, priceToken, tokenPricing)
+  const tx = tokenPricing
+    ? await contract['updatePrice(uint256,bool,uint256,address)'](id, isPaid, amount, token)
+    : await contract['updatePrice(uint256,bool,uint256)'](id, isPaid, amount)
+  console.log('Price update transaction sent:', tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'price', datasetId: id })
+  return receipt.transactionHash
+}
+
+// List a dataset on the public marketplace or delist it (uploader only)
+export async function setDatasetListed(id, listed) {
+  const contract = getContract(true)
+  const tx = await contract.setListed(id, listed)
+  console.log(`${listed ? 'Listing' : 'Delisting'} transaction sent:`, tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: listed ? 'list' : 'delist', datasetId: id })
+  return receipt.transactionHash
+}
+
+// Point a dataset at a new analysis report (uploader only)
+export async function updateAnalysisCID(id, analysisCID) {
+  const contract = getContract(true)
+  const tx = await contract.updateAnalysisCID(id, analysisCID)
+  console.log('Analysis update transaction sent:', tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'analysis', datasetId: id })
+  return receipt.transactionHash
+}
+
+// Public datasets ({ id, cid }) found by walking getDataset on-chain, for when the event index is unavailable
+let publicIdScan = { entries: [], nextId: 0 }
+
+// Extend publicIdScan until it covers the first `count` public datasets (or every dataset)
+async function scanPublicIds(contract, count) {
+  const total = (await contract.totalDatasets()).toNumber()
+  while (publicIdScan.entries.length < count && publicIdScan.nextId < total) {
+    const batch = []
+    for (let id = publicIdScan.nextId; id < Math.min(publicIdScan.nextId + 20, total); id++) batch.push(id)
+    // getDataset reverts with "No view" for datasets that aren't publicly listed
+    const found = await Promise.all(batch.map(id => contract.getDataset(id)
+      .then(d => (d.isPublic && !d.isPrivate ? { id, cid: d.datasetCID } : null))
+      .catch(() => null)))
+    publicIdScan.entries.push(...found.filter(Boolean))
+    publicIdScan.nextId += batch.length
+  }
+  return publicIdScan.entries
 }
 
-// Get public datasets (paginated)
+// Dataset ids for the datasets on a public listing page starting at `start`
+// The page lists public datasets in id order, so position n is the n-th listed
+// id. Uploaders can delist and relist, so scanned positions are checked against
+// the page's CIDs and rescanned once if the listing has shifted.
+async function resolvePublicIds(contract, start, page) {
+  const count = page.length
+  try {
+    const ids = await getIndexedPublicIds()
+    if (ids.length >= start + count) return ids.slice(start, start + count)
+  } catch (error) {
+    console.warn('Event index unavailable, resolving public ids on-chain:', error.message)
+  }
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const entries = (await scanPublicIds(contract, start + count)).slice(start, start + count)
+    if (entries.length === count && entries.every((entry, i) => entry.cid === page[i].datasetCID)) {
+      return entries.map(entry => entry.id)
+    }
+    publicIdScan = { entries: [], nextId: 0 }
+  }
+  throw new Error('Could not resolve dataset ids for the public listing page')
+}
+
+// Get a page of public datasets; pass nextStart back in as start for the following page
+// nextStart is 0 once the listing is exhausted.
 export async function getPublicDatasets(start = 0, limit = 10) {
   const contract = getContract(false)
-  const [datasets, nextStart] = await contract.getPublicDatasetPage(start, limit)
-  
-  return datasets.map(d => ({
+  const [page, nextStart] = await contract.getPublicDatasetPage(start, limit)
+  const ids = await resolvePublicIds(contract, start, page)
+
+  const datasets = await enrichDatasets(page.map((d, i) => formatDataset(ids[i], d)))
+  return { datasets, nextStart: nextStart.toNumber() }
+}
+
+// Convert a Dataset struct into the plain object used by the UI
+// price and earnings assume 18 decimals until withPricing knows the dataset's token.
+function formatDataset(id, d) {
+  return {
+    id: typeof id === 'number' ? id : parseInt(id.toString()),
     datasetCID: d.datasetCID,
     analysisCID: d.analysisCID,
     uploader: d.uploader,
@@ -143,205 +364,424 @@ export async function getPublicDatasets(start = 0, limit = 10) {
     downloads: d.downloads.toNumber(),
     isPaid: d.isPaid,
     price: ethers.utils.formatEther(d.priceInFIL),
-    earnings: ethers.utils.formatEther(d.earnings)
+    priceRaw: d.priceInFIL,
+    earnings: ethers.utils.formatEther(d.earnings),
+    earningsRaw: d.earnings
+  }
+}
+
+// Fetch several datasets by id in parallel, skipping any that fail (e.g. "No view")
+async function getDatasetsByIds(contract, ids) {
+  const results = await Promise.all(ids.map(async (id) => {
+    try {
+      return formatDataset(id, await contract.getDataset(id))
+    } catch (error) {
+      console.error(`Error fetching dataset ${id}:`, error)
+      return null
+    }
   }))
+  return results.filter(Boolean)
+}
+
+// Join title, description, tags etc. from storage metadata; storage reads need the connected wallet
+async function withDatasetInfo(datasets, walletAddress) {
+  if (!walletAddress) {
+    const provider = new ethers.providers.Web3Provider(window.ethereum)
+    walletAddress = (await provider.listAccounts())[0]
+  }
+  return joinDatasetInfo(datasets, walletAddress)
+}
+
+// Attach dataset.priceToken ({ address, symbol, decimals }, or null) and format the
+// price in that token's decimals. Datasets priced before uploaders chose a token
+// have none and can be paid in any accepted token.
+async function withPricing(datasets) {
+  const contract = getContract(false)
+  return Promise.all(datasets.map(async dataset => {
+    if (!dataset.isPaid) return { ...dataset, priceToken: null }
+    let priceToken = null
+    try {
+      const address = await contract.priceTokens(dataset.id)
+      if (address !== ethers.constants.AddressZero) priceToken = await getTokenInfo(address)
+    } catch (error) {
+      console.warn(`Could not read the price token of dataset ${dataset.id}:`, error.message)
+    }
+    const decimals = priceToken?.decimals ?? 18
+    return {
+      ...dataset,
+      priceToken,
+      price: ethers.utils.formatUnits(dataset.priceRaw, decimals),
+      earnings: ethers.utils.formatUnits(dataset.earningsRaw, decimals)
+    }
+  }))
+}
+
+// A price with its token symbol
+export function formatPrice(dataset, amount = dataset.price) {
+  return dataset.priceToken ? `${amount} ${dataset.priceToken.symbol}` : `${amount} (any token)`
+}
+
+// Lineage of a dataset that wasn't uploaded as a new version (or predates versioning)
+function standaloneLineage(id) {
+  return { rootId: id, parentId: null, version: 1, upgradePrice: null }
+}
+
+// The upgrade price is in the dataset's price token, so withPricing must run first
+function formatLineage(dataset, record) {
+  if (!record) return standaloneLineage(dataset.id)
+  return {
+    rootId: record.rootId,
+    parentId: record.parentId,
+    version: record.version,
+    upgradePrice: ethers.utils.formatUnits(record.upgradePrice, dataset.priceToken?.decimals ?? 18)
+  }
+}
+
+// Attach dataset.lineage from the event index, falling back to getLineage on-chain
+async function withLineage(datasets) {
+  try {
+    const records = new Map((await getIndexedLineage()).map(record => [record.id, record]))
+    return datasets.map(dataset => ({ ...dataset, lineage: formatLineage(dataset, records.get(dataset.id)) }))
+  } catch (error) {
+    console.warn('Event index unavailable, reading lineage on-chain:', error.message)
+  }
+
+  const contract = getContract(false)
+  return Promise.all(datasets.map(async dataset => {
+    try {
+      const l = await contract.getLineage(dataset.id)
+      const record = l.hasParent
+        ? { rootId: l.rootId.toNumber(), parentId: l.parentId.toNumber(), version: l.version, upgradePrice: l.upgradePrice }
+        : null
+      return { ...dataset, lineage: formatLineage(dataset, record) }
+    } catch {
+      // Contracts deployed before versioning have no getLineage
+      return { ...dataset, lineage: standaloneLineage(dataset.id) }
+    }
+  }))
+}
+
+// Join price tokens, lineage and storage metadata onto formatted datasets
+async function enrichDatasets(datasets, walletAddress) {
+  return withDatasetInfo(await withLineage(await withPricing(datasets)), walletAddress)
+}
+
+// Get public datasets from the event index, with their real ids
+export async function getPublicDatasetsIndexed(start = 0, limit = 10) {
+  const ids = await getIndexedPublicIds()
+  const pageIds = ids.slice(start, start + limit)
+  const contract = getContract(false)
+  const datasets = await enrichDatasets(await getDatasetsByIds(contract, pageIds))
+  const nextStart = start + pageIds.length < ids.length ? start + pageIds.length : 0
+  return { datasets, nextStart, total: ids.length }
 }
 
 // Get user's uploaded datasets
 export async function getMyDatasets() {
   try {
     // Verify network first
-    const provider = new ethers.providers.Web3Provider(window.ethereum)
-    const network = await provider.getNetwork()
     const chainId = await window.ethereum.request({ method: 'eth_chainId' })
-    console.log('Current network chainId:', chainId, 'Expected:', NETWORK_CONFIG.chainId)
-    console.log('Network name:', network.name, 'chainId:', network.chainId.toString())
-    
     if (chainId !== NETWORK_CONFIG.chainId) {
       console.warn('⚠️ Network mismatch! Expected:', NETWORK_CONFIG.chainId, 'Got:', chainId)
     }
-    
+
     // Get the user's address from the signer first
+    const provider = new ethers.providers.Web3Provider(window.ethereum)
     let userAddress
     try {
-      const signer = provider.getSigner()
-      userAddress = await signer.getAddress()
-      console.log('User address:', userAddress)
+      userAddress = await provider.getSigner().getAddress()
     } catch (error) {
       console.error('Error getting user address:', error)
       throw new Error('Please connect your wallet')
     }
-    
+
     // Always use signer for contract calls since getDataset has canView modifier
     const contract = getContract(true)
-    const contractNoSigner = getContract(false) // For totalDatasets which doesn't need signer
-    
-    // Try to use getMyDatasetIds first
+
     let ids = []
-    let useFallback = false
     try {
-      console.log('Trying getMyDatasetIds()...')
-      ids = await contract.getMyDatasetIds()
-      console.log('Dataset IDs received from getMyDatasetIds:', ids, 'Type:', typeof ids, 'Length:', ids?.length)
-      
-      // Convert BigNumber array to numbers
-      if (ids && ids.length > 0) {
-        ids = ids.map(id => {
-          if (id && typeof id === 'object' && id.toNumber) {
-            return id.toNumber()
-          }
-          return parseInt(id.toString())
-        })
-        console.log('Converted IDs to numbers:', ids)
-      } else {
-        console.log('getMyDatasetIds() returned empty array, trying fallback scan to verify...')
-        useFallback = true
-      }
+      ids = (await contract.getMyDatasetIds()).map(id => id.toNumber())
     } catch (error) {
-      console.log('getMyDatasetIds() failed with error, falling back to scanning all datasets:', error.message)
-      useFallback = true
+      console.log('getMyDatasetIds() failed, using the event index instead:', error.message)
     }
-    
-    // Use fallback if getMyDatasetIds failed or returned empty
-    if (useFallback) {
-      
-      // Fallback: Get total datasets and scan through them
+
+    // Cross-check an empty or failed result against the event index instead of scanning every id
+    if (ids.length === 0) {
       try {
-        console.log('Attempting to call totalDatasets()...')
-        let total
-        try {
-          // Try with provider first
-          total = await contractNoSigner.totalDatasets()
-        } catch (providerError) {
-          console.log('totalDatasets() with provider failed, trying with signer...', providerError.message)
-          // Try with signer as fallback
-          total = await contract.totalDatasets()
-        }
-        
-        const totalNum = total.toNumber ? total.toNumber() : parseInt(total.toString())
-        console.log('Total datasets in contract:', totalNum)
-        
-        if (totalNum === 0) {
-          console.log('No datasets in contract yet')
-          return []
-        }
-        
-        // Scan through all datasets and filter by uploader
-        // We need to use signer for getDataset because of canView modifier
-        console.log(`Scanning ${totalNum} datasets for uploader: ${userAddress}`)
-        for (let i = 0; i < totalNum; i++) {
-          try {
-            // Use signer so canView modifier can check msg.sender
-            const d = await contract.getDataset(i)
-            console.log(`Dataset ${i} uploader: ${d.uploader}, isPublic: ${d.isPublic}, isPrivate: ${d.isPrivate}`)
-            
-            // Check if we're the uploader
-            if (d.uploader && d.uploader.toLowerCase() === userAddress.toLowerCase()) {
-              ids.push(i)
-              console.log(`✓ Found your dataset at ID: ${i}`)
-            }
-          } catch (err) {
-            // This is expected for datasets we can't view (not ours and not public)
-            // Only log if it's not a "No view" error
-            if (!err.message || (!err.message.includes('No view') && !err.message.includes('revert'))) {
-              console.log(`Error checking dataset ${i}:`, err.message)
-            }
-            // Continue scanning
-          }
-        }
-        console.log('Final dataset IDs found by scanning:', ids)
-      } catch (scanError) {
-        console.error('Error scanning datasets:', scanError)
-        // Don't throw - return empty array instead
+        ids = await getIndexedUploadIds(userAddress)
+      } catch (error) {
+        console.error('Error reading uploads from the event index:', error)
         return []
       }
     }
-    
-    if (!ids || ids.length === 0) {
+
+    if (ids.length === 0) {
       console.log('No datasets found for this user')
       return []
     }
-    
-    const datasets = []
-    for (let i = 0; i < ids.length; i++) {
-      try {
-        const idNum = ids[i]
-        console.log(`Fetching dataset ${i + 1}/${ids.length} with ID:`, idNum)
-        // Use signer for getDataset (required by canView modifier)
-        const d = await contract.getDataset(idNum)
-        console.log('Dataset data:', d)
-        
-        datasets.push({
-          id: idNum,
-          datasetCID: d.datasetCID,
-          analysisCID: d.analysisCID,
-          uploader: d.uploader,
-          isPublic: d.isPublic,
-          isPrivate: d.isPrivate,
-          timestamp: d.timestamp ? (d.timestamp.toNumber ? d.timestamp.toNumber() : parseInt(d.timestamp.toString())) : Date.now(),
-          views: d.views ? (d.views.toNumber ? d.views.toNumber() : parseInt(d.views.toString())) : 0,
-          downloads: d.downloads ? (d.downloads.toNumber ? d.downloads.toNumber() : parseInt(d.downloads.toString())) : 0,
-          isPaid: d.isPaid,
-          price: d.priceInFIL ? ethers.utils.formatEther(d.priceInFIL) : '0',
-          earnings: d.earnings ? ethers.utils.formatEther(d.earnings) : '0'
-        })
-      } catch (error) {
-        console.error(`Error fetching dataset ${ids[i]}:`, error)
-        // Continue with other datasets even if one fails
-      }
-    }
-    
-    console.log('Final datasets array:', datasets)
-    return datasets
+
+    return await enrichDatasets(await getDatasetsByIds(contract, ids), userAddress)
   } catch (error) {
     console.error('Error in getMyDatasets:', error)
     throw error
   }
 }
 
-// Get purchased datasets
+// Get purchased datasets, joined with their DatasetPurchased events from the index
 export async function getMyPurchases() {
-  // Use signer because getMyPurchasedIds() uses msg.sender
   const contract = getContract(true)
-  const ids = await contract.getMyPurchasedIds()
-  
+  const buyer = await contract.signer.getAddress()
+  const purchases = await getIndexedPurchases(buyer)
+  if (purchases.length === 0) return []
+
+  const blockTimes = {}
   const datasets = []
-  for (const id of ids) {
-    const d = await contract.getDataset(id)
-    datasets.push({
-      id: id.toNumber(),
-      datasetCID: d.datasetCID,
-      analysisCID: d.analysisCID,
-      uploader: d.uploader,
-      timestamp: d.timestamp.toNumber(),
-      price: ethers.utils.formatEther(d.priceInFIL)
-    })
+  for (const purchase of purchases) {
+    try {
+      const d = await contract.getDataset(purchase.datasetId)
+      const token = await getTokenInfo(purchase.token)
+      if (!blockTimes[purchase.blockNumber]) {
+        const block = await contract.provider.getBlock(purchase.blockNumber)
+        blockTimes[purchase.blockNumber] = block.timestamp
+      }
+
+      datasets.push({
+        ...formatDataset(purchase.datasetId, d),
+        pricePaid: ethers.utils.formatUnits(purchase.amount, token.decimals),
+        tokenAddress: token.address,
+        tokenSymbol: token.symbol,
+        purchasedAt: blockTimes[purchase.blockNumber],
+        txHash: purchase.txHash
+      })
+    } catch (error) {
+      console.error(`Error fetching purchased dataset ${purchase.datasetId}:`, error)
+    }
   }
-  
-  return datasets
+
+  return enrichDatasets(datasets, buyer)
+}
+
+// Get a single dataset by id (raw price kept as BigNumber for payment checks)
+export async function getDatasetById(id) {
+  // Use signer because getDataset has the canView modifier
+  const contract = getContract(true)
+  const [dataset] = await withPricing([formatDataset(id, await contract.getDataset(id))])
+  return dataset
+}
+
+// Every version in a dataset's line, oldest first; versions the caller can't view are skipped
+export async function getDatasetVersions(dataset) {
+  const rootId = dataset.lineage?.rootId ?? dataset.id
+  const contract = getContract(true)
+  let ids
+  try {
+    ids = (await contract.getVersionIds(rootId)).map(id => id.toNumber())
+  } catch (error) {
+    console.warn(`Could not read the versions of dataset ${rootId}:`, error.message)
+    ids = [dataset.id]
+  }
+  return enrichDatasets(await getDatasetsByIds(contract, ids))
+}
+
+function getTokenContract(tokenAddress, needsSigner = false) {
+  if (!ethers.utils.isAddress(tokenAddress)) {
+    throw new Error(`Invalid token address: ${tokenAddress}`)
+  }
+  const provider = new ethers.providers.Web3Provider(window.ethereum)
+  return new ethers.Contract(tokenAddress, ERC20_ABI, needsSigner ? provider.getSigner() : provider)
+}
+
+// Token symbol/decimals never change, so cache them per address
+const tokenInfoCache = {}
+
+// Get symbol (as registered in paymentTokens) and decimals for a payment token
+export async function getTokenInfo(tokenAddress) {
+  const key = tokenAddress.toLowerCase()
+  if (tokenInfoCache[key]) return tokenInfoCache[key]
+
+  const contract = getContract(false)
+  const info = await contract.paymentTokens(tokenAddress)
+
+  let decimals = 18
+  try {
+    decimals = await getTokenContract(tokenAddress).decimals()
+  } catch (error) {
+    console.warn(`Could not read decimals for token ${tokenAddress}, assuming 18:`, error.message)
+  }
+
+  const token = { address: tokenAddress, symbol: info.symbol, decimals, isAccepted: info.isAccepted }
+  tokenInfoCache[key] = token
+  return token
+}
+
+// Get accepted payment tokens (acceptedTokenCount -> acceptedTokenByIndex -> paymentTokens)
+export async function getAcceptedTokens() {
+  const contract = getContract(false)
+  const count = (await contract.acceptedTokenCount()).toNumber()
+
+  const tokens = []
+  for (let i = 0; i < count; i++) {
+    const address = await contract.acceptedTokenByIndex(i)
+    const token = await getTokenInfo(address)
+    // Tokens are never removed from the index, so skip any that are no longer accepted
+    if (token.isAccepted) tokens.push(token)
+  }
+
+  return tokens
+}
+
+// Get the connected wallet's balance and allowance to the marketplace for a token
+export async function getTokenPaymentStatus(tokenAddress, ownerAddress) {
+  const token = getTokenContract(tokenAddress)
+  const [balance, allowance] = await Promise.all([
+    token.balanceOf(ownerAddress),
+    token.allowance(ownerAddress, CONTRACT_ADDRESS)
+  ])
+  return { balance, allowance }
+}
+
+// Approve the marketplace contract to spend `amount` (raw token units)
+export async function approveToken(tokenAddress, amount) {
+  const token = getTokenContract(tokenAddress, true)
+  const tx = await token.approve(CONTRACT_ADDRESS, amount)
+  console.log('Approval transaction sent:', tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'approve' })
+  return receipt.transactionHash
 }
 
 // Purchase dataset
 export async function purchaseDataset(id, tokenAddress) {
   const contract = getContract(true)
   const tx = await contract.purchaseDataset(id, tokenAddress)
-  await tx.wait()
-  return tx.hash
+  console.log('Purchase transaction sent:', tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'purchase', datasetId: id })
+  return receipt.transactionHash
 }
 
-// Increment views
-export async function incrementViews(id) {
+// Current upgrade price (BigNumber) for holders of an earlier version
+export async function getUpgradePrice(id) {
+  const contract = getContract(false)
+  const lineage = await contract.getLineage(id)
+  if (!lineage.hasParent) {
+    throw new Error(REVERT_MESSAGES['No lineage'])
+  }
+  return lineage.upgradePrice
+}
+
+// Buy a newer version at its upgrade price with access to the earlier version fromId
+export async function purchaseUpgrade(id, fromId, tokenAddress) {
   const contract = getContract(true)
-  const tx = await contract.incrementViews(id)
-  await tx.wait()
+  const tx = await contract.purchaseUpgrade(id, fromId, tokenAddress)
+  console.log('Upgrade transaction sent:', tx.hash)
+  const receipt = await waitForTransaction(tx, { purpose: 'upgrade', datasetId: id })
+  return receipt.transactionHash
+}
+
+// Human-readable messages for the contract's require() reason strings
+const REVERT_MESSAGES = {
+  'Not public': 'This dataset is not publicly listed',
+  'Free': 'This dataset is free, no purchase needed',
+  'Already': 'You already own access to this dataset',
+  'Own': 'You cannot buy your own dataset',
+  'Token': 'This payment token is not accepted by the marketplace',
+  'No view': 'You do not have permission to view this dataset',
+  'No download': 'You need to purchase this dataset before downloading',
+  'Not uploader': 'Only the uploader can do this',
+  'CID exists': 'A dataset with this CID has already been uploaded',
+  'CID empty': 'Dataset CID is empty',
+  'Public+Private': 'A dataset cannot be both public and private',
+  'Private not paid': 'Private datasets cannot be paid',
+  'Price 0': 'Paid datasets need a price above zero',
+  'Private': 'Private datasets cannot be listed on the marketplace',
+  'Unchanged': 'The dataset already has this visibility',
+  'Not latest': 'New versions must build on the latest version of the dataset',
+  'Upgrade price': 'The upgrade price cannot be higher than the full price',
+  'No lineage': 'This dataset has no earlier versions to upgrade from',
+  'Not earlier': 'You can only upgrade from an earlier version of the same dataset',
+  'No access': 'You need access to the earlier version to upgrade',
+  'Price token': 'This dataset is priced in a different token'
+}
+
+// Turn an ethers/MetaMask error into a message the user can act on
+export function decodeContractError(error) {
+  if (!error) return 'Unknown error'
+
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in wallet'
+  }
+
+  const candidates = [
+    error.reason,
+    error.error?.message,
+    error.error?.data?.message,
+    error.data?.message,
+    error.message
+  ].filter(Boolean)
+
+  for (const text of candidates) {
+    const match = text.match(/execution reverted:?\s*([^"\n]+)/i) || text.match(/reverted with reason string '([^']+)'/i)
+    const reason = (match ? match[1] : text).trim()
+    if (REVERT_MESSAGES[reason]) return REVERT_MESSAGES[reason]
+  }
+
+  const all = candidates.join(' ')
+  if (/insufficient allowance|transfer amount exceeds allowance/i.test(all)) {
+    return 'Token allowance is too low for this purchase'
+  }
+  if (/transfer amount exceeds balance|insufficient balance/i.test(all)) {
+    return 'Token balance is too low for this purchase'
+  }
+  if (/insufficient funds/i.test(all)) {
+    return 'Not enough native balance to pay for gas'
+  }
+
+  return candidates[0] || 'Unknown error'
 }
 
-// Get earnings
-export async function getMyEarnings() {
-  // Use signer because getMyEarnings() uses msg.sender
+// Record a download on-chain (canDownload: uploader, free dataset, or purchased)
+export async function incrementDownloads(id) {
   const contract = getContract(true)
-  const earnings = await contract.getMyEarnings()
-  return ethers.utils.formatEther(earnings)
+  const tx = await contract.incrementDownloads(id)
+  const receipt = await waitForTransaction(tx, { purpose: 'download', datasetId: id })
+  return receipt.transactionHash
+}
+
+// Check the canDownload modifier (which also covers the internal hasAccess mapping)
+// by simulating incrementDownloads instead of sending it
+export async function hasDownloadAccess(id) {
+  const contract = getContract(true)
+  try {
+    await contract.callStatic.incrementDownloads(id)
+    return true
+  } catch (error) {
+    if (decodeContractError(error) === REVERT_MESSAGES['No download']) return false
+    throw error
+  }
+}
+
+// Subscribe to new DatasetPurchased events; returns an unsubscribe function
+export function watchPurchases(callback) {
+  const contract = getContract(false)
+  const listener = (id, buyer, publisher, amount, token, event) => {
+    callback({
+      datasetId: id.toNumber(),
+      buyer: buyer.toLowerCase(),
+      publisher: publisher.toLowerCase(),
+      amount: amount.toString(),
+      token,
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash
+    })
+  }
+  contract.on('DatasetPurchased', listener)
+  return () => contract.off('DatasetPurchased', listener)
+}
+
+// Increment views
+export async function incrementViews(id) {
+  const contract = getContract(true)
+  const tx = await contract.incrementViews(id)
+  await waitForTransaction(tx, { purpose: 'view', datasetId: id })
 }
 
 // Get total datasets
@@ -0,0 +1,136 @@
+/**
+ * Marketplace data sources
+ * Every listing the UI shows is tagged with where it came from, so an empty
+ * marketplace can't be mistaken for a broken RPC:
+ *   live    - read from the chain just now
+ *   cached  - the chain couldn't be reached; the last live listing from IndexedDB
+ *   offline - the chain couldn't be reached and nothing is cached
+ *   demo    - sample data, only when VITE_DEMO_MODE=true
+ */
+
+import { CONTRACT_ADDRESS } from '../../config/contract-config'
+import { openDatabase, getRecord, putRecord } from './idb.js'
+
+export const DATA_SOURCE = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  OFFLINE: 'offline',
+  DEMO: 'demo'
+}
+
+// Sample listing for demo mode; the CIDs don't resolve and purchases will fail
+export const DEMO_DATASETS = [
+  {
+    id: 0,
+    datasetCID: 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+    analysisCID: 'bafybeihk5e6jlzhdkm4qfxd6j7jwyqxhqf7l3k5amd6qfxd6j7jwyqxh',
+    uploader: '0x1234...5678',
+    isPublic: true,
+    isPrivate: false,
+    isPaid: true,
+    price: '0.5',
+    priceToken: { address: '0x0000000000000000000000000000000000000000', symbol: 'DEMO', decimals: 18 },
+    views: 124,
+    downloads: 45,
+    timestamp: Math.floor(Date.now() / 1000) - 86400,
+    info: {
+      title: 'Sample dataset (demo)',
+      description: 'Demo mode is on, so this listing is not read from the chain.',
+      license: 'CC0-1.0',
+      tags: ['demo'],
+      category: 'Tabular',
+      format: 'csv',
+      rowCount: 1000
+    }
+  }
+]
+
+let dbPromise = null
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(`quantum-marketplace-${CONTRACT_ADDRESS.toLowerCase()}`, 1, (db) => {
+      db.createObjectStore('snapshots')
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Remember the datasets from a live load for the cached fallback
+ */
+export async function saveListingSnapshot(datasets) {
+  // BigNumbers don't survive structured cloning as BigNumbers; purchases re-read the price on-chain anyway
+  const records = datasets.map(dataset => {
+    const record = { ...dataset }
+    delete record.priceRaw
+    delete record.earningsRaw
+    return record
+  })
+  const db = await getDatabase()
+  await putRecord(db, 'snapshots', { datasets: records, savedAt: Date.now() }, 'public')
+}
+
+/**
+ * The last live listing, or null if there is none
+ * Resolves with { datasets, savedAt }.
+ */
+export async function loadListingSnapshot() {
+  try {
+    const db = await getDatabase()
+    return (await getRecord(db, 'snapshots', 'public')) || null
+  } catch (error) {
+    console.warn('Could not read the cached listing:', error.message)
+    return null
+  }
+}
+
+/**
+ * Turn a failed chain read into { code, title, message, retryable } for the UI
+ */
+export function describeLoadError(error) {
+  const text = `${error?.message || ''} ${error?.error?.message || ''}`
+
+  if (/not configured|Invalid contract address/i.test(text)) {
+    return {
+      code: 'not-configured',
+      title: 'Marketplace contract not configured',
+      message: 'Set CONTRACT_ADDRESS in src/config/contract-config.ts.',
+      retryable: false
+    }
+  }
+  if (/MetaMask is not installed/i.test(text)) {
+    return {
+      code: 'no-wallet',
+      title: 'No wallet provider',
+      message: 'Install or unlock MetaMask to read the marketplace.',
+      retryable: true
+    }
+  }
+  if (error?.code === 'CALL_EXCEPTION') {
+    return {
+      code: 'contract-call-failed',
+      title: 'The marketplace contract did not respond',
+      message: 'Check that your wallet is connected to the network the contract is deployed on.',
+      retryable: true
+    }
+  }
+  if (['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].includes(error?.code) ||
+      (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    return {
+      code: 'rpc-unavailable',
+      title: 'Blockchain RPC unreachable',
+      message: 'The network or RPC endpoint could not be reached.',
+      retryable: true
+    }
+  }
+  return {
+    code: 'unknown',
+    title: 'Could not load the marketplace',
+    message: error?.message || String(error),
+    retryable: true
+  }
+}
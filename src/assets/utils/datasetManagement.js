@@ -0,0 +1,193 @@
+/**
+ * Uploader-side dataset management
+ * Combines the storage operations (TTL, delete) with the contract calls
+ * (price, listing, analysisCID) behind the owner panel in My Datasets.
+ * Metadata edits go through updateDatasetInfo in datasetMetadata.js.
+ */
+
+import { getStorageProvider } from './storage/index.js'
+import { computeFileCID } from './cid.js'
+import { setDatasetListed, updateAnalysisCID, updateDatasetPrice, decodeContractError } from './contract.js'
+import { shouldEncrypt, unwrapDatasetKey } from './encryption.js'
+import { isBundle } from './bundle.js'
+import { readBundleManifest } from './download.js'
+import { analyzeDataset, uploadAnalysisReport } from './analysis.js'
+import { PREVIEW_TYPE } from './preview.js'
+
+const DAY = 24 * 60 * 60
+
+// ttlSeconds counts from now; null keeps the file until it is deleted
+export const TTL_OPTIONS = [
+  { id: '30d', label: '30 days', ttlSeconds: 30 * DAY },
+  { id: '90d', label: '90 days', ttlSeconds: 90 * DAY },
+  { id: '1y', label: '1 year', ttlSeconds: 365 * DAY },
+  { id: 'permanent', label: 'No expiry', ttlSeconds: null }
+]
+
+/**
+ * Message for a failed owner action; storage errors are described here, anything
+ * else (delisting, analysis updates) is decoded as a contract error
+ */
+export function describeStorageError(error) {
+  if (error?.code === 4001 || error?.code === 'ACTION_REJECTED') return 'Signature rejected in wallet'
+  if (error?.code === 'not-found') return 'The file is no longer in storage'
+  if (error?.code === 'unauthorized') return 'Storage refused the request: only the wallet that uploaded the file can change it'
+  if (error?.status) return `Storage request failed: ${error.message}`
+  return decodeContractError(error)
+}
+
+/**
+ * Where the dataset file stands in storage
+ * Returns { status: 'ok', expiresAt, size } | { status: 'missing' } | { status: 'error', message }
+ */
+export async function getStorageStatus(datasetCID, walletAddress) {
+  try {
+    const storage = await getStorageProvider(walletAddress)
+    const [entity] = await storage.query({ cids: [datasetCID], limit: 1 })
+    if (!entity) return { status: 'missing' }
+    return { status: 'ok', expiresAt: entity.expiresAt ?? null, size: entity.size ?? null }
+  } catch (error) {
+    console.error('Storage status lookup failed:', error)
+    return { status: 'error', message: error.message }
+  }
+}
+
+// A bundle's datasetCID is its manifest; the files it lists are separate entities.
+// Resolves with the manifest, or null for a single-file dataset.
+async function readManifest(storage, rootCID, metadata, walletAddress) {
+  if (!isBundle(metadata)) return null
+  const key = metadata.encryption ? await unwrapDatasetKey(metadata.encryption, walletAddress) : null
+  return readBundleManifest(storage, rootCID, key)
+}
+
+/**
+ * Set a new TTL on the dataset file, and on every file of a bundle; resolves with
+ * the new expiresAt (null = no expiry)
+ */
+export async function extendDatasetTTL(dataset, ttlSeconds, walletAddress) {
+  const storage = await getStorageProvider(walletAddress)
+  const manifest = await readManifest(storage, dataset.datasetCID, await storage.getMetadata(dataset.datasetCID), walletAddress)
+  for (const file of manifest?.files || []) {
+    await storage.setTTL(file.cid, ttlSeconds)
+  }
+  const entity = await storage.setTTL(dataset.datasetCID, ttlSeconds)
+  return entity?.expiresAt ?? (ttlSeconds ? Date.now() + ttlSeconds * 1000 : null)
+}
+
+/**
+ * Change what the dataset costs. Paid datasets are stored encrypted and free ones in
+ * the clear, so switching between paid and free is refused: an encrypted file made
+ * free leaves buyers without a key, and a plaintext file made paid stays downloadable.
+ * Either switch takes a new version uploaded with the other setting.
+ */
+export async function changeDatasetPrice(dataset, isPaid, price, priceToken, walletAddress) {
+  const storage = await getStorageProvider(walletAddress)
+  let encrypted
+  try {
+    encrypted = !!(await storage.getMetadata(dataset.datasetCID))?.encryption
+  } catch (error) {
+    if (error.code !== 'not-found') throw error
+    // The file is gone, so go by how a dataset with the current settings is stored
+    encrypted = shouldEncrypt(dataset)
+  }
+
+  if (encrypted && !shouldEncrypt({ isPrivate: dataset.isPrivate, isPaid })) {
+    throw new Error('The dataset file is encrypted, so it cannot be made free. Publish an unencrypted new version instead')
+  }
+  if (!encrypted && shouldEncrypt({ isPrivate: dataset.isPrivate, isPaid })) {
+    throw new Error('The dataset file is stored unencrypted, so it cannot be sold. Publish a paid new version, which is encrypted, instead')
+  }
+  return updateDatasetPrice(dataset.id, isPaid, price, priceToken)
+}
+
+// Check that a locally selected file is the one the dataset was uploaded from,
+// or for a bundle one of the files it lists
+async function assertSameDataset(storage, dataset, file, walletAddress) {
+  const metadata = await storage.getMetadata(dataset.datasetCID)
+  const manifest = await readManifest(storage, dataset.datasetCID, metadata, walletAddress)
+  if (manifest) {
+    // Encrypted files are addressed by their ciphertext, so those are matched by name and size
+    const cid = metadata.encryption ? null : await computeFileCID(file)
+    const found = manifest.files.some(entry => (cid
+      ? entry.cid === cid
+      : entry.size === file.size && entry.path.split('/').pop() === file.name))
+    if (!found) {
+      throw new Error(`${file.name} is not one of the files in this bundle`)
+    }
+  } else if (metadata?.encryption) {
+    // Encrypted uploads are addressed by their ciphertext, so only the size can be compared
+    if (metadata.size !== undefined && metadata.size !== file.size) {
+      throw new Error(`${file.name} is ${file.size} bytes but the dataset was uploaded from a ${metadata.size} byte file`)
+    }
+  } else if (await computeFileCID(file) !== dataset.datasetCID) {
+    throw new Error(`${file.name} is not the file this dataset was uploaded from`)
+  }
+}
+
+/**
+ * Re-run the analysis on the original file, publish the new report and point the
+ * dataset at it on-chain. The previous report entity is deleted afterwards.
+ * Resolves with { analysisCID, report }.
+ */
+export async function replaceAnalysisReport(dataset, file, walletAddress, { onStatus = () => {} } = {}) {
+  const storage = await getStorageProvider(walletAddress)
+
+  onStatus('Checking the file...')
+  await assertSameDataset(storage, dataset, file, walletAddress)
+
+  const report = await analyzeDataset(file, {
+    onProgress: ({ loaded, total }) => {
+      onStatus(`Analyzing dataset... ${total ? Math.round((loaded / total) * 100) : 100}%`)
+    }
+  })
+
+  onStatus('Uploading analysis report...')
+  const analysisCID = await uploadAnalysisReport(report, dataset.datasetCID, walletAddress)
+
+  onStatus('Confirm the analysis update in your wallet...')
+  await updateAnalysisCID(dataset.id, analysisCID)
+
+  if (dataset.analysisCID && dataset.analysisCID !== analysisCID) {
+    try {
+      await storage.delete(dataset.analysisCID)
+    } catch (error) {
+      // Reports from before this uploader's storage account, or already gone
+      console.warn(`Could not delete the previous analysis report ${dataset.analysisCID}:`, error.message)
+    }
+  }
+  return { analysisCID, report }
+}
+
+/**
+ * Delete the dataset file and its previews from storage, delisting it first so the
+ * marketplace never shows a dataset whose file is gone. A bundle's files go before
+ * its manifest, so an interrupted delete can be run again. The on-chain record stays;
+ * existing buyers lose the ability to download.
+ */
+export async function deleteDatasetFile(dataset, walletAddress, { onStatus = () => {} } = {}) {
+  if (dataset.isPublic && !dataset.isPrivate) {
+    onStatus('Confirm delisting in your wallet...')
+    await setDatasetListed(dataset.id, false)
+  }
+
+  const storage = await getStorageProvider(walletAddress)
+  onStatus('Deleting previews...')
+  const previews = await storage.query({ owner: walletAddress, metadata: { type: PREVIEW_TYPE, datasetCID: dataset.datasetCID } })
+  for (const preview of previews) {
+    await storage.delete(preview.cid)
+  }
+
+  const manifest = await readManifest(storage, dataset.datasetCID, await storage.getMetadata(dataset.datasetCID), walletAddress)
+  for (const [index, file] of (manifest?.files || []).entries()) {
+    onStatus(`Deleting file ${index + 1} of ${manifest.files.length} (${file.path})...`)
+    try {
+      await storage.delete(file.cid)
+    } catch (error) {
+      // Already deleted by an earlier, interrupted attempt
+      if (error.code !== 'not-found') throw error
+    }
+  }
+
+  onStatus('Deleting dataset file...')
+  await storage.delete(dataset.datasetCID)
+}
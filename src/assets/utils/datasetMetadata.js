@@ -0,0 +1,180 @@
+/**
+ * Descriptive dataset metadata
+ * The contract only stores CIDs and access flags, so titles, descriptions,
+ * licenses, tags, category, format, row count and the version changelog live in
+ * the dataset file's storage metadata (flat keys, so storage queries can filter
+ * on them) and are joined onto on-chain datasets as dataset.info.
+ */
+
+import { getStorageProvider } from './storage/index.js'
+
+// Common SPDX license identifiers for data; 'other' means see the description
+export const LICENSES = [
+  { id: 'CC0-1.0', name: 'CC0 1.0 (Public Domain)' },
+  { id: 'CC-BY-4.0', name: 'CC BY 4.0' },
+  { id: 'CC-BY-SA-4.0', name: 'CC BY-SA 4.0' },
+  { id: 'CC-BY-NC-4.0', name: 'CC BY-NC 4.0' },
+  { id: 'CC-BY-NC-SA-4.0', name: 'CC BY-NC-SA 4.0' },
+  { id: 'ODbL-1.0', name: 'Open Database License 1.0' },
+  { id: 'ODC-By-1.0', name: 'Open Data Commons Attribution 1.0' },
+  { id: 'PDDL-1.0', name: 'Open Data Commons Public Domain 1.0' },
+  { id: 'CDLA-Permissive-2.0', name: 'Community Data License (Permissive) 2.0' },
+  { id: 'CDLA-Sharing-1.0', name: 'Community Data License (Sharing) 1.0' },
+  { id: 'MIT', name: 'MIT' },
+  { id: 'Apache-2.0', name: 'Apache 2.0' },
+  { id: 'other', name: 'Other / proprietary (see description)' }
+]
+
+export const CATEGORIES = [
+  'Computer Vision',
+  'Natural Language',
+  'Audio',
+  'Tabular',
+  'Time Series',
+  'Finance',
+  'Healthcare',
+  'Geospatial',
+  'Science',
+  'Other'
+]
+
+export const FORMATS = ['csv', 'tsv', 'json', 'jsonl', 'parquet', 'other']
+
+export const METADATA_LIMITS = {
+  title: 120,
+  description: 2000,
+  tags: 10,
+  tag: 32,
+  changelog: 2000
+}
+
+// Storage metadata keys that make up dataset.info
+const INFO_KEYS = ['title', 'description', 'license', 'tags', 'category', 'format', 'rowCount', 'changelog']
+
+const infoCache = new Map()
+
+/**
+ * Guess the format field from a file name (the analysis refines it later)
+ */
+export function guessFormat(fileName) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop()
+  if (extension === 'ndjson') return 'jsonl'
+  if (extension === 'tab') return 'tsv'
+  return FORMATS.includes(extension) ? extension : 'other'
+}
+
+/**
+ * Parse a comma-separated tag list into lowercase, de-duplicated tags
+ */
+export function parseTags(text) {
+  const tags = []
+  for (const raw of String(text || '').split(',')) {
+    const tag = raw.trim().toLowerCase().replace(/\s+/g, '-').slice(0, METADATA_LIMITS.tag)
+    if (tag && !tags.includes(tag)) tags.push(tag)
+  }
+  return tags.slice(0, METADATA_LIMITS.tags)
+}
+
+/**
+ * Validate and normalize descriptive metadata from the upload or edit form
+ * Throws an Error describing the first invalid field.
+ */
+export function normalizeDatasetInfo(input) {
+  const title = String(input.title || '').trim()
+  if (!title) throw new Error('Please enter a title for the dataset')
+  if (title.length > METADATA_LIMITS.title) {
+    throw new Error(`The title must be at most ${METADATA_LIMITS.title} characters`)
+  }
+
+  const description = String(input.description || '').trim()
+  if (description.length > METADATA_LIMITS.description) {
+    throw new Error(`The description must be at most ${METADATA_LIMITS.description} characters`)
+  }
+
+  if (!LICENSES.some(license => license.id === input.license)) {
+    throw new Error('Please choose a license')
+  }
+  if (!CATEGORIES.includes(input.category)) {
+    throw new Error('Please choose a category')
+  }
+  if (!FORMATS.includes(input.format)) {
+    throw new Error('Please choose a format')
+  }
+
+  const changelog = String(input.changelog || '').trim()
+  if (changelog.length > METADATA_LIMITS.changelog) {
+    throw new Error(`The changelog must be at most ${METADATA_LIMITS.changelog} characters`)
+  }
+
+  let rowCount = null
+  if (input.rowCount !== '' && input.rowCount !== null && input.rowCount !== undefined) {
+    rowCount = Number(input.rowCount)
+    if (!Number.isInteger(rowCount) || rowCount < 0) {
+      throw new Error('Row count must be a whole number')
+    }
+  }
+
+  return {
+    title,
+    description,
+    license: input.license,
+    tags: Array.isArray(input.tags) ? parseTags(input.tags.join(',')) : parseTags(input.tags),
+    category: input.category,
+    format: input.format,
+    rowCount,
+    changelog
+  }
+}
+
+// Pick the descriptive fields out of a storage metadata object
+function pickInfo(metadata) {
+  if (!metadata || !metadata.title) return null
+  const info = {}
+  for (const key of INFO_KEYS) info[key] = metadata[key] ?? null
+  if (!Array.isArray(info.tags)) info.tags = []
+  return info
+}
+
+/**
+ * Read a dataset's descriptive metadata (null if it has none, e.g. older uploads)
+ */
+export async function getDatasetInfo(datasetCID, walletAddress) {
+  if (!infoCache.has(datasetCID)) {
+    const pending = getStorageProvider(walletAddress)
+      .then(storage => storage.getMetadata(datasetCID))
+      .then(pickInfo)
+      .catch(error => {
+        infoCache.delete(datasetCID)
+        throw error
+      })
+    infoCache.set(datasetCID, pending)
+  }
+  return infoCache.get(datasetCID)
+}
+
+/**
+ * Attach dataset.info to each dataset; datasets whose metadata can't be read keep info: null
+ */
+export async function joinDatasetInfo(datasets, walletAddress) {
+  if (!walletAddress) return datasets.map(dataset => ({ ...dataset, info: null }))
+
+  return Promise.all(datasets.map(async dataset => {
+    try {
+      return { ...dataset, info: await getDatasetInfo(dataset.datasetCID, walletAddress) }
+    } catch (error) {
+      console.warn(`Could not load metadata for dataset ${dataset.id}:`, error.message)
+      return { ...dataset, info: null }
+    }
+  }))
+}
+
+/**
+ * Update a dataset's descriptive metadata (uploader only)
+ */
+export async function updateDatasetInfo(datasetCID, input, walletAddress) {
+  const info = normalizeDatasetInfo(input)
+  const storage = await getStorageProvider(walletAddress)
+  await storage.updateMetadata(datasetCID, info)
+  infoCache.set(datasetCID, Promise.resolve(info))
+  return info
+}
@@ -0,0 +1,279 @@
+/**
+ * Dataset upload pipeline
+ * Publishing a dataset runs as a resumable pipeline (see pipeline.js):
+ * analyze -> preview -> store -> report -> preview upload -> publish -> refresh.
+ * The analysis report, preview rows and every CID are kept in the saved run, so
+ * once the file is stored a failed report upload or chain transaction can be
+ * retried, even after a reload, without uploading the file again.
+ */
+
+import { getStorageProvider, getStorageBackend } from './storage/index.js'
+import { computeFileCID } from './cid.js'
+import { createChunkedUpload } from './chunkedUpload.js'
+import { bundleName, buildManifest, BUNDLE_MANIFEST_TYPE } from './bundle.js'
+import { encryptFile, generateDatasetKey } from './encryption.js'
+import { uploadAnalysisReport } from './analysis.js'
+import { analysisFailureReport } from './profiler.js'
+import { buildPreview, uploadPreview } from './preview.js'
+import { uploadDataset, uploadDatasetVersion, getMyDatasets } from './contract.js'
+import { TX_CONFIRMATIONS } from '../../config/app-config'
+import { createPipeline, listSavedPipelines } from './pipeline.js'
+
+export const DATASET_UPLOAD = 'dataset-upload'
+
+/**
+ * Upload a file to the configured storage backend (Arkiv or local), encrypting it first if asked
+ * The file goes up in chunks; onUpload receives the controller so the caller can pause, resume or cancel it.
+ * @returns {Promise<string>} the CID
+ */
+export async function uploadToStorage(file, walletAddress, onStatus = () => {}, { encrypt = false, keyWrapping, datasetKey = null, info = null, lineage = null, metadata: extra = null, onUpload = () => {}, onProgress = () => {} } = {}) {
+  try {
+    const storage = await getStorageProvider(walletAddress)
+
+    // Private and paid datasets never leave the browser unencrypted
+    let payload = file
+    let encryption = null
+    if (encrypt) {
+      const encrypted = await encryptFile(file, walletAddress, {
+        keyWrapping,
+        key: datasetKey,
+        onProgress: ({ loaded, total }) => {
+          onStatus(`Encrypting file... ${total ? Math.round((loaded / total) * 100) : 100}%`)
+        }
+      })
+      payload = new File([encrypted.blob], file.name, { type: 'application/octet-stream' })
+      encryption = encrypted.encryption
+    }
+
+    // Content-address the stored bytes in the browser so the on-chain CID can be verified on read
+    const cid = await computeFileCID(payload, {
+      onProgress: ({ loaded, total }) => {
+        onStatus(`Computing content ID... ${total ? Math.round((loaded / total) * 100) : 100}%`)
+      }
+    })
+    console.log('Computed CID:', cid)
+
+    // Upload with metadata; title, description, tags etc. are flat keys so storage queries can filter on them
+    const metadata = {
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      uploadedAt: new Date().toISOString(),
+      encryption: encryption,
+      ...info,
+      ...lineage,
+      ...extra
+    }
+
+    onStatus('')
+    console.log(`Uploading to ${storage.name} storage...`)
+    const upload = createChunkedUpload(storage, payload, {
+      cid: cid,
+      owner: walletAddress,
+      metadata: metadata,
+      ttl: null, // Set TTL if needed (in seconds), null = permanent
+      encrypted: !!encryption,
+      onProgress
+    })
+    onUpload(upload)
+    const storedCID = await upload.start()
+
+    if (storedCID !== cid) {
+      throw new Error(`Storage returned CID ${storedCID} but the file hashes to ${cid}`)
+    }
+
+    console.log(`✓ File uploaded to ${storage.name} storage, CID:`, cid)
+    return cid
+  } catch (error) {
+    if (error.code === 'cancelled') throw error
+    console.error('Storage upload error:', error)
+    throw new Error(`Failed to upload file to ${getStorageBackend()} storage: ${error.message}`)
+  }
+}
+
+/**
+ * Upload several files as one dataset: each file is stored on its own, then the
+ * manifest listing them becomes the root entity whose CID goes on-chain
+ * @returns {Promise<string>} the manifest's CID
+ */
+export async function uploadBundleToStorage(entries, walletAddress, onStatus = () => {}, { encrypt = false, info = null, lineage = null, ...options } = {}) {
+  // One dataset key for every file, so buyers receive a single key as for any other dataset
+  const datasetKey = encrypt ? await generateDatasetKey() : null
+  const name = bundleName(entries)
+  const files = []
+
+  for (const [index, { path, file }] of entries.entries()) {
+    const fileStatus = (status) => onStatus(`File ${index + 1} of ${entries.length} (${path})${status ? `: ${status}` : ''}`)
+    const cid = await uploadToStorage(file, walletAddress, fileStatus, { ...options, encrypt, datasetKey, metadata: { bundlePath: path } })
+    files.push({ path, size: file.size, type: file.type, cid })
+  }
+
+  onStatus('Uploading bundle manifest...')
+  const manifest = buildManifest(name, files)
+  const manifestFile = new File([JSON.stringify(manifest, null, 2)], `${name}.manifest.json`, { type: BUNDLE_MANIFEST_TYPE })
+  return uploadToStorage(manifestFile, walletAddress, onStatus, {
+    ...options,
+    encrypt,
+    datasetKey,
+    info,
+    lineage,
+    metadata: { bundle: true, bundleFiles: files.length, bundleSize: manifest.totalSize }
+  })
+}
+
+function requireFile(inputs) {
+  if (!inputs.file) {
+    throw new Error('The file is no longer selected. Pick it again and start a new upload; stored chunks are reused')
+  }
+}
+
+const STAGES = [
+  {
+    id: 'analyze',
+    label: 'Analyze dataset',
+    async run(context, { inputs, progress }) {
+      requireFile(inputs)
+      progress({ status: 'Waiting for the dataset analysis...' })
+      try {
+        return { report: await inputs.analysis }
+      } catch (error) {
+        // A file the profiler can't read is still published, with a report that says so
+        console.warn('Dataset analysis failed, publishing a report without a profile:', error.message)
+        return { report: await analysisFailureReport(inputs.file, error) }
+      }
+    }
+  },
+  {
+    id: 'preview',
+    label: 'Build free preview',
+    skip: (context) => !context.params.preview,
+    async run(context, { inputs }) {
+      requireFile(inputs)
+      // Sampled from the plaintext, so a bad file fails before anything is published
+      return { preview: await buildPreview(inputs.file, context.params.preview) }
+    }
+  },
+  {
+    id: 'store',
+    label: 'Upload to storage',
+    retries: 1,
+    async run(context, { inputs, signal, progress }) {
+      requireFile(inputs)
+      const { params, owner } = context
+      const upload = inputs.bundle ? uploadBundleToStorage : uploadToStorage
+      const datasetCID = await upload(inputs.bundle || inputs.file, owner, status => progress({ status }), {
+        encrypt: params.encrypt,
+        keyWrapping: params.keyWrapping,
+        info: params.info,
+        lineage: params.lineage,
+        onUpload: (controller) => {
+          if (signal.aborted) controller.cancel()
+          signal.addEventListener('abort', () => controller.cancel(), { once: true })
+          progress({ controller })
+        },
+        onProgress: (upload) => progress({ upload })
+      })
+      return { datasetCID }
+    }
+  },
+  {
+    id: 'report',
+    label: 'Publish analysis report',
+    retries: 2,
+    async run(context, { progress }) {
+      // Runs saved before the analyze stage fell back to a warning report may have no report at all
+      const report = context.report || await analysisFailureReport(
+        { name: context.params.fileName, size: null, type: '' },
+        new Error('The dataset analysis did not finish')
+      )
+      const failed = report.warnings.some(warning => warning.code === 'analysis-failed')
+      progress({ status: failed ? 'Uploading the analysis report (without a profile, see its warning)...' : 'Uploading the analysis report...' })
+      return { analysisCID: await uploadAnalysisReport(report, context.datasetCID, context.owner) }
+    }
+  },
+  {
+    id: 'previewUpload',
+    label: 'Upload free preview',
+    retries: 2,
+    skip: (context) => !context.preview,
+    async run(context) {
+      await uploadPreview(context.preview, context.datasetCID, context.owner)
+    }
+  },
+  {
+    id: 'publish',
+    label: 'Publish on-chain',
+    async run(context, { inputs, attempt, progress }) {
+      const { params, datasetCID, analysisCID } = context
+
+      // An earlier try may have been mined even though it reported an error (or the page closed while waiting)
+      if (attempt > 1) {
+        progress({ status: 'Checking whether the last attempt was published...' })
+        const published = (await getMyDatasets()).find(d => d.datasetCID === datasetCID)
+        if (published) {
+          inputs.onPublished?.(published)
+          return { datasetId: published.id, txHash: null, blockNumber: null }
+        }
+      }
+
+      progress({ status: 'Confirm the transaction in your wallet...' })
+      const waiting = `waiting for ${TX_CONFIRMATIONS} confirmation${TX_CONFIRMATIONS === 1 ? '' : 's'}...`
+      const callbacks = {
+        onSent: (hash) => progress({ status: `Transaction ${hash.slice(0, 10)}... sent, ${waiting}` }),
+        onReplaced: (hash) => progress({ status: `Transaction sped up as ${hash.slice(0, 10)}..., ${waiting}` })
+      }
+      const result = params.parentId
+        ? await uploadDatasetVersion(params.parentId, datasetCID, analysisCID, params.isPublic, params.isPrivate, params.isPaid, params.price, params.upgradePrice, params.priceToken, callbacks)
+        : await uploadDataset(datasetCID, analysisCID, params.isPublic, params.isPrivate, params.isPaid, params.price, params.priceToken, callbacks)
+
+      // Show the exact new dataset now; the refresh stage reconciles it with the listing
+      if (result.dataset) inputs.onPublished?.(result.dataset)
+      return { datasetId: result.datasetId, txHash: result.hash, blockNumber: result.blockNumber }
+    }
+  },
+  {
+    id: 'refresh',
+    label: 'Refresh your datasets',
+    retries: 2,
+    async run(context, { inputs }) {
+      if (inputs.onRefresh) await inputs.onRefresh()
+    }
+  }
+]
+
+/**
+ * Start a dataset upload
+ * params: { title, fileName, encrypt, keyWrapping, info, lineage, preview ({ mode, rows } or null),
+ * parentId, isPublic, isPrivate, isPaid, price, upgradePrice, priceToken }; they are saved with the run.
+ * inputs: { file, bundle, analysis (promise of the report), onPublished(dataset), onRefresh() }.
+ */
+export function createDatasetUpload(owner, params, inputs, { onEvent } = {}) {
+  return createPipeline(STAGES, {
+    kind: DATASET_UPLOAD,
+    owner,
+    context: { owner, params },
+    inputs,
+    onEvent
+  })
+}
+
+/**
+ * Continue a saved dataset upload; without inputs.file only stages after 'store' can run
+ */
+export function resumeDatasetUpload(saved, inputs = {}, { onEvent } = {}) {
+  return createPipeline(STAGES, { saved, inputs, onEvent })
+}
+
+/**
+ * Saved dataset uploads that failed or were interrupted
+ */
+export function listUnfinishedUploads(owner) {
+  return listSavedPipelines(owner, DATASET_UPLOAD)
+}
+
+/**
+ * Whether a saved upload can continue without its file (it has been stored)
+ */
+export function canResumeWithoutFile(saved) {
+  return saved.stages.some(stage => stage.id === 'store' && stage.status === 'done')
+}
@@ -0,0 +1,265 @@
+/**
+ * Dataset download
+ * Checks the contract's canDownload rules, streams the file from storage to disk
+ * under its original filename, verifies the bytes against the on-chain CID,
+ * decrypts private/paid datasets and records the download on-chain.
+ * Multi-file bundles are reassembled from their manifest into a zip.
+ */
+
+import { incrementDownloads, hasDownloadAccess, decodeContractError } from './contract.js'
+import { getStorageProvider } from './storage/index.js'
+import { createCIDVerifier, isVerifiableCID, verifyBlobCID } from './cid.js'
+import { createDecryptor, decryptBlob, unwrapDatasetKey, shouldEncrypt } from './encryption.js'
+import { isBundle, parseManifest, createZipWriter } from './bundle.js'
+import { fetchDeliveredKey } from './keyDelivery.js'
+
+/**
+ * Mirror of the contract's canDownload modifier:
+ * uploader, free dataset, or hasAccess (checked by simulating incrementDownloads)
+ */
+export async function checkCanDownload(dataset, walletAddress) {
+  if (!walletAddress) {
+    return { allowed: false, reason: 'Connect your wallet to download' }
+  }
+  if (dataset.uploader?.toLowerCase() === walletAddress.toLowerCase()) {
+    return { allowed: true, reason: 'uploader' }
+  }
+  if (!dataset.isPaid) {
+    return { allowed: true, reason: 'free' }
+  }
+  if (await hasDownloadAccess(dataset.id)) {
+    return { allowed: true, reason: 'purchased' }
+  }
+  return { allowed: false, reason: 'You need to purchase this dataset before downloading' }
+}
+
+/**
+ * Hand a blob to the browser as a file download
+ */
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function filenameFromDisposition(header) {
+  if (!header) return null
+  const match = header.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)
+  return match ? decodeURIComponent(match[1]) : null
+}
+
+async function readMetadata(dataset, storage) {
+  try {
+    return await storage.getMetadata(dataset.datasetCID)
+  } catch (error) {
+    // Without metadata we can't tell whether the file is encrypted, so don't guess for private/paid data
+    if (shouldEncrypt(dataset)) {
+      throw new Error(`Could not read the encryption metadata for this dataset: ${error.message}`)
+    }
+    console.warn('Could not read storage metadata for filename:', error.message)
+    return null
+  }
+}
+
+/**
+ * Get the AES key for an encrypted dataset
+ * The uploader unwraps the copy stored in the metadata; buyers unseal the copy
+ * the seller delivered to them after the purchase.
+ */
+export async function getDecryptionKey(dataset, encryption, walletAddress) {
+  if (dataset.uploader?.toLowerCase() === walletAddress.toLowerCase()) {
+    return unwrapDatasetKey(encryption, walletAddress)
+  }
+  return fetchDeliveredKey(dataset, walletAddress)
+}
+
+// Ask for a save location up front; null means the browser has no File System Access API
+async function openSaveTarget(filename) {
+  if (!window.showSaveFilePicker) return null
+  try {
+    const handle = await window.showSaveFilePicker({ suggestedName: filename })
+    return await handle.createWritable()
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error('Download cancelled')
+    // e.g. SecurityError when the click activation has expired; fall back to a blob download
+    console.warn('Save picker unavailable, falling back to blob download:', error.message)
+    return null
+  }
+}
+
+// Nothing is committed to disk until the bytes have been checked against the CID:
+// the blob path verifies before saving, and a FileSystemWritable only replaces
+// the target file on close(), so aborting discards the partial download.
+// The verifier sees the stored (possibly encrypted) bytes, the file on disk gets
+// the decrypted plaintext.
+async function streamToDisk(response, filename, { verifier, decryptor }, onProgress) {
+  const total = parseInt(response.headers.get('Content-Length') || '0') || null
+  const writable = await openSaveTarget(filename)
+
+  if (!writable || !response.body) {
+    const blob = await response.blob()
+    onProgress({ loaded: blob.size, total: blob.size })
+    const plainParts = []
+    for (let offset = 0; offset < blob.size; offset += 4 * 1024 * 1024) {
+      const bytes = new Uint8Array(await blob.slice(offset, offset + 4 * 1024 * 1024).arrayBuffer())
+      if (verifier) await verifier.update(bytes)
+      if (decryptor) plainParts.push(...await decryptor.update(bytes))
+    }
+    if (verifier) await verifier.finalize()
+    if (decryptor) plainParts.push(...await decryptor.finalize())
+    saveBlob(decryptor ? new Blob(plainParts) : blob, filename)
+    return
+  }
+
+  const reader = response.body.getReader()
+  let loaded = 0
+  try {
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      if (verifier) await verifier.update(value)
+      for (const part of decryptor ? await decryptor.update(value) : [value]) {
+        await writable.write(part)
+      }
+      loaded += value.byteLength
+      onProgress({ loaded, total })
+    }
+    if (verifier) await verifier.finalize()
+    if (decryptor) {
+      for (const part of await decryptor.finalize()) await writable.write(part)
+    }
+    await writable.close()
+  } catch (error) {
+    await writable.abort().catch(() => {})
+    throw error
+  }
+}
+
+// Verified (and decrypted) bytes of one stored file, chunk by chunk
+async function* readFileChunks(storage, cid, key) {
+  const response = await storage.readStream(cid)
+  const verifier = createCIDVerifier(cid)
+  const decryptor = key ? createDecryptor(key) : null
+  const reader = response.body.getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    await verifier.update(value)
+    yield* decryptor ? await decryptor.update(value) : [value]
+  }
+  await verifier.finalize()
+  if (decryptor) yield* await decryptor.finalize()
+}
+
+/**
+ * Read a bundle's manifest from its root entity, checked against the root CID
+ */
+export async function readBundleManifest(storage, rootCID, key = null) {
+  const blob = await storage.read(rootCID)
+  await verifyBlobCID(blob, rootCID)
+  return parseManifest(await (key ? await decryptBlob(blob, key) : blob).text())
+}
+
+// Every file is verified as it streams into the zip; like streamToDisk, a failure
+// aborts the writable (or skips the blob save) so no partial archive is kept
+async function streamBundleToDisk(storage, manifest, key, onProgress) {
+  const filename = `${manifest.name}.zip`
+  const writable = await openSaveTarget(filename)
+  const parts = []
+  const zip = createZipWriter(bytes => (writable ? writable.write(bytes) : parts.push(bytes)))
+
+  let loaded = 0
+  try {
+    for (const file of manifest.files) {
+      const counted = async function* () {
+        for await (const chunk of readFileChunks(storage, file.cid, key)) {
+          loaded += chunk.length
+          onProgress({ loaded, total: manifest.totalSize, file: file.path })
+          yield chunk
+        }
+      }
+      await zip.addFile(file.path, file.size, counted())
+    }
+    await zip.close()
+  } catch (error) {
+    await writable?.abort().catch(() => {})
+    throw error
+  }
+
+  if (writable) {
+    await writable.close()
+  } else {
+    saveBlob(new Blob(parts, { type: 'application/zip' }), filename)
+  }
+}
+
+async function recordDownload(dataset, onProgress) {
+  // The file is already saved; a failed counter update should not look like a failed download
+  onProgress({ stage: 'recording' })
+  let hash = null
+  try {
+    hash = await incrementDownloads(dataset.id)
+  } catch (error) {
+    console.warn(`Could not record download for dataset ${dataset.id}:`, decodeContractError(error))
+  }
+  onProgress({ stage: 'done' })
+  return hash
+}
+
+/**
+ * Download a dataset file and count it on-chain
+ * onProgress({ stage, loaded, total }) reports 'checking' | 'unlocking' | 'downloading' | 'recording' | 'done'
+ * Returns the incrementDownloads transaction hash (null if recording failed)
+ */
+export async function downloadDataset(dataset, walletAddress, { onProgress = () => {} } = {}) {
+  onProgress({ stage: 'checking' })
+  const access = await checkCanDownload(dataset, walletAddress)
+  if (!access.allowed) {
+    throw new Error(access.reason)
+  }
+
+  const storage = await getStorageProvider(walletAddress)
+  const metadata = await readMetadata(dataset, storage)
+
+  let key = null
+  if (metadata?.encryption) {
+    onProgress({ stage: 'unlocking' })
+    key = await getDecryptionKey(dataset, metadata.encryption, walletAddress)
+  }
+
+  if (isBundle(metadata)) {
+    console.log(`Downloading bundle ${dataset.id} from ${storage.name}:`, dataset.datasetCID)
+    const manifest = await readBundleManifest(storage, dataset.datasetCID, key)
+    onProgress({ stage: 'downloading', loaded: 0, total: manifest.totalSize })
+    await streamBundleToDisk(storage, manifest, key, (progress) => {
+      onProgress({ stage: 'downloading', ...progress })
+    })
+    return recordDownload(dataset, onProgress)
+  }
+
+  const decryptor = key ? createDecryptor(key) : null
+  console.log(`Downloading dataset ${dataset.id} from ${storage.name}:`, dataset.datasetCID)
+  const response = await storage.readStream(dataset.datasetCID)
+  const filename = metadata?.name ||
+    filenameFromDisposition(response.headers.get('Content-Disposition')) ||
+    `dataset-${dataset.id}`
+
+  let verifier = null
+  if (isVerifiableCID(dataset.datasetCID)) {
+    verifier = createCIDVerifier(dataset.datasetCID)
+  } else {
+    console.warn(`Cannot verify legacy CID ${dataset.datasetCID}, skipping integrity check`)
+  }
+
+  onProgress({ stage: 'downloading', loaded: 0, total: null })
+  await streamToDisk(response, filename, { verifier, decryptor }, ({ loaded, total }) => {
+    onProgress({ stage: 'downloading', loaded, total })
+  })
+  return recordDownload(dataset, onProgress)
+}
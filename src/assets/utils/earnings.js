@@ -0,0 +1,176 @@
+/**
+ * Publisher earnings
+ * Revenue is rebuilt from the DatasetPurchased events in the index instead of
+ * the contract's getMyEarnings(), which adds up raw amounts across every payment token.
+ * Views and downloads over time come from DatasetViewed / DatasetDownloaded,
+ * so the charts only cover activity since the contract started emitting them;
+ * the totals on each dataset are the on-chain counters.
+ */
+
+import { ethers } from 'ethers'
+import { getTokenInfo } from './contract.js'
+import { getIndexedSales, getIndexedUploadIds, getIndexedActivity, getBlockTimestamps } from './indexer.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// UTC calendar day of a unix timestamp, e.g. '2025-11-14'
+export function dayOf(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10)
+}
+
+// A token that was delisted from paymentTokens can still have past sales
+async function describeTokens(addresses) {
+  const tokens = new Map()
+  for (const address of new Set(addresses.map(a => a.toLowerCase()))) {
+    try {
+      tokens.set(address, await getTokenInfo(address))
+    } catch (error) {
+      console.warn(`Could not read token ${address}, assuming 18 decimals:`, error.message)
+      tokens.set(address, { address, symbol: `${address.slice(0, 6)}...${address.slice(-4)}`, decimals: 18 })
+    }
+  }
+  return tokens
+}
+
+function formatSale(sale, token) {
+  return {
+    datasetId: sale.datasetId,
+    buyer: sale.buyer,
+    tokenAddress: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    amountRaw: sale.amount,
+    amount: ethers.utils.formatUnits(sale.amount, token.decimals),
+    txHash: sale.txHash
+  }
+}
+
+/**
+ * Earnings per payment token, without timestamps (cheap enough for the header)
+ * Resolves with [{ tokenAddress, symbol, amount, sales }].
+ */
+export async function getEarningsTotals(publisher) {
+  const sales = await getIndexedSales(publisher)
+  const tokens = await describeTokens(sales.map(sale => sale.token))
+  return summarizeEarnings({ sales: sales.map(sale => formatSale(sale, tokens.get(sale.token.toLowerCase()))), activity: [] }).tokens
+}
+
+/**
+ * Every sale and every view/download of the publisher's datasets, oldest first
+ * Resolves with { sales, activity }; each record carries timestamp and day.
+ */
+export async function getEarningsHistory(publisher) {
+  const sales = await getIndexedSales(publisher)
+  const activity = await getIndexedActivity(await getIndexedUploadIds(publisher))
+  const tokens = await describeTokens(sales.map(sale => sale.token))
+  const timestamps = await getBlockTimestamps([...sales, ...activity].map(record => record.blockNumber))
+
+  const dated = (blockNumber) => {
+    const timestamp = timestamps.get(blockNumber)
+    return { timestamp, day: dayOf(timestamp) }
+  }
+
+  return {
+    sales: sales.map(sale => ({ ...formatSale(sale, tokens.get(sale.token.toLowerCase())), ...dated(sale.blockNumber) })),
+    activity: activity.map(({ datasetId, kind, account, blockNumber }) => ({ datasetId, kind, account, ...dated(blockNumber) }))
+  }
+}
+
+// Accumulate token amounts as BigNumbers, keyed by token address
+function addEarning(earnings, sale) {
+  const key = sale.tokenAddress.toLowerCase()
+  const entry = earnings.get(key) || { tokenAddress: sale.tokenAddress, symbol: sale.symbol, decimals: sale.decimals, raw: ethers.BigNumber.from(0), sales: 0 }
+  entry.raw = entry.raw.add(sale.amountRaw)
+  entry.sales += 1
+  earnings.set(key, entry)
+}
+
+function formatEarnings(earnings) {
+  return [...earnings.values()].map(({ tokenAddress, symbol, decimals, raw, sales }) => ({
+    tokenAddress,
+    symbol,
+    amount: ethers.utils.formatUnits(raw, decimals),
+    sales
+  }))
+}
+
+function emptyBucket() {
+  return { earnings: new Map(), sales: 0, views: 0, downloads: 0 }
+}
+
+function countSale(bucket, sale) {
+  addEarning(bucket.earnings, sale)
+  bucket.sales += 1
+}
+
+function countActivity(bucket, record) {
+  if (record.kind === 'view') bucket.views += 1
+  else bucket.downloads += 1
+}
+
+/**
+ * Roll a history up per token, per dataset and per day
+ * Returns { tokens, datasets, days }; days run without gaps from the first to the last record.
+ */
+export function summarizeEarnings({ sales, activity }) {
+  const tokens = new Map()
+  const datasets = new Map()
+  const days = new Map()
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyBucket())
+    return map.get(key)
+  }
+
+  for (const sale of sales) {
+    addEarning(tokens, sale)
+    countSale(bucket(datasets, sale.datasetId), sale)
+    if (sale.day) countSale(bucket(days, sale.day), sale)
+  }
+  for (const record of activity) {
+    countActivity(bucket(datasets, record.datasetId), record)
+    if (record.day) countActivity(bucket(days, record.day), record)
+  }
+
+  const dayKeys = [...days.keys()].sort()
+  const filledDays = []
+  if (dayKeys.length > 0) {
+    const last = Date.parse(dayKeys[dayKeys.length - 1])
+    for (let time = Date.parse(dayKeys[0]); time <= last; time += DAY_MS) {
+      const day = new Date(time).toISOString().slice(0, 10)
+      const { earnings, ...counts } = days.get(day) || emptyBucket()
+      filledDays.push({ day, ...counts, earnings: formatEarnings(earnings) })
+    }
+  }
+
+  return {
+    tokens: formatEarnings(tokens),
+    datasets: [...datasets.entries()]
+      .map(([datasetId, { earnings, ...counts }]) => ({ datasetId, ...counts, earnings: formatEarnings(earnings) }))
+      .sort((a, b) => b.sales - a.sales || a.datasetId - b.datasetId),
+    days: filledDays
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Sales history as CSV for accounting, one row per purchase
+ * titles maps dataset id to a display title.
+ */
+export function earningsToCSV(sales, titles = {}) {
+  const header = ['date', 'tx_hash', 'dataset_id', 'dataset_title', 'buyer', 'token_address', 'token_symbol', 'amount']
+  const rows = sales.map(sale => [
+    sale.timestamp ? new Date(sale.timestamp * 1000).toISOString() : '',
+    sale.txHash,
+    sale.datasetId,
+    titles[sale.datasetId] || '',
+    sale.buyer,
+    sale.tokenAddress,
+    sale.symbol,
+    sale.amount
+  ])
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n'
+}
@@ -0,0 +1,335 @@
+/**
+ * Client-side dataset encryption
+ * Private and paid datasets are encrypted in the browser with a random per-dataset
+ * AES-256-GCM key before they leave the machine. The file is split into 1 MiB
+ * chunks, each sealed separately, so multi-gigabyte files can be encrypted and
+ * decrypted as streams.
+ *
+ * File format:  "QVE1" | chunkSize (uint32 BE) | base nonce (12 bytes) | sealed chunks...
+ * Chunk i uses the base nonce with its last 4 bytes XORed with i, and is
+ * authenticated with (i, isFinal) so chunks can't be reordered or truncated.
+ *
+ * The dataset key is wrapped for the uploader's wallet and the wrapped copy is
+ * stored in the file's storage metadata, so the uploader can always recover it
+ * from any device with the same wallet. Two wrapping schemes exist, recorded as
+ * encryption.keyWrapping so readers pick the matching unwrap path:
+ * - wallet-aes-256-gcm-v1: AES-GCM key derived from a wallet signature (default)
+ * - ml-kem-768-x25519-v1: post-quantum hybrid KEM key pair derived from the same signature
+ */
+
+import { ethers } from 'ethers'
+import { HYBRID_KEM, deriveHybridKeyPair, sealToHybridKey, openWithHybridKey } from './hybridKem.js'
+
+export const ENCRYPTION_SCHEME = 'aes-256-gcm-chunked-v1'
+export const ENCRYPTION_CHUNK_SIZE = 1024 * 1024
+
+export const KEY_WRAPPING = {
+  WALLET: 'wallet-aes-256-gcm-v1',
+  HYBRID: `${HYBRID_KEM}-v1`
+}
+
+const MAGIC = [0x51, 0x56, 0x45, 0x31] // "QVE1"
+const HEADER_SIZE = 20
+const TAG_SIZE = 16
+
+const walletSignatures = {}
+
+export function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+export function base64ToBytes(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+// Hybrid-sealed keys are stored as { kemCiphertext, iv, ciphertext } with base64 fields
+export function encodeHybridSealed(sealed) {
+  return {
+    kemCiphertext: bytesToBase64(sealed.kemCiphertext),
+    iv: bytesToBase64(sealed.iv),
+    ciphertext: bytesToBase64(sealed.ciphertext)
+  }
+}
+
+export function decodeHybridSealed(sealed) {
+  return {
+    kemCiphertext: base64ToBytes(sealed.kemCiphertext),
+    iv: base64ToBytes(sealed.iv),
+    ciphertext: base64ToBytes(sealed.ciphertext)
+  }
+}
+
+/**
+ * Whether a dataset with these access flags is stored encrypted
+ */
+export function shouldEncrypt({ isPrivate, isPaid }) {
+  return Boolean(isPrivate || isPaid)
+}
+
+// Wallet signatures are deterministic (RFC 6979), so the same wallet always gets the same keys
+async function getWalletSignature(walletAddress) {
+  const address = walletAddress.toLowerCase()
+  if (!walletSignatures[address]) {
+    walletSignatures[address] = (async () => {
+      const provider = new ethers.providers.Web3Provider(window.ethereum)
+      const signer = provider.getSigner()
+      const signerAddress = (await signer.getAddress()).toLowerCase()
+      if (signerAddress !== address) {
+        throw new Error('Connected wallet does not match the dataset key owner')
+      }
+
+      const message = [
+        'QuantumVault dataset key',
+        '',
+        'Sign to unlock your encrypted datasets. This does not send a transaction or cost gas.',
+        '',
+        `Address: ${address}`
+      ].join('\n')
+      return ethers.utils.arrayify(await signer.signMessage(message))
+    })().catch(error => {
+      delete walletSignatures[address]
+      throw error
+    })
+  }
+  return walletSignatures[address]
+}
+
+/**
+ * The key-wrapping key for a wallet, derived (HKDF) from a signature over a fixed message
+ */
+export async function getWalletWrappingKey(walletAddress) {
+  const baseKey = await crypto.subtle.importKey('raw', await getWalletSignature(walletAddress), 'HKDF', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode('quantum-vault'),
+      info: new TextEncoder().encode('dataset-key-wrapping-v1')
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  )
+}
+
+/**
+ * The wallet's hybrid (ML-KEM-768 + X25519) key pair for wrapping its own dataset keys
+ */
+export async function getWalletHybridKeyPair(walletAddress) {
+  return deriveHybridKeyPair(await getWalletSignature(walletAddress), 'dataset-key-wrapping')
+}
+
+function wrappingContext(walletAddress) {
+  return new TextEncoder().encode(`quantum-vault:dataset-key:${walletAddress.toLowerCase()}`)
+}
+
+export function generateDatasetKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+}
+
+export async function exportDatasetKey(key) {
+  return new Uint8Array(await crypto.subtle.exportKey('raw', key))
+}
+
+export function importDatasetKey(rawKey) {
+  return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+}
+
+/**
+ * Wrap a dataset key for the uploader's wallet -> { iv, key } or { kemCiphertext, iv, ciphertext } (base64)
+ */
+export async function wrapDatasetKey(datasetKey, walletAddress, keyWrapping = KEY_WRAPPING.WALLET) {
+  if (keyWrapping === KEY_WRAPPING.HYBRID) {
+    const { publicKey } = await getWalletHybridKeyPair(walletAddress)
+    return encodeHybridSealed(await sealToHybridKey(await exportDatasetKey(datasetKey), publicKey, wrappingContext(walletAddress)))
+  }
+  if (keyWrapping !== KEY_WRAPPING.WALLET) {
+    throw new Error(`Unsupported key wrapping scheme "${keyWrapping}"`)
+  }
+
+  const wrappingKey = await getWalletWrappingKey(walletAddress)
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const wrapped = await crypto.subtle.wrapKey('raw', datasetKey, wrappingKey, { name: 'AES-GCM', iv })
+  return { iv: bytesToBase64(iv), key: bytesToBase64(new Uint8Array(wrapped)) }
+}
+
+/**
+ * Recover the dataset key from the uploader's wrapped copy in the storage metadata
+ * Metadata written before hybrid wrapping existed has no keyWrapping field.
+ */
+export async function unwrapDatasetKey(encryption, walletAddress) {
+  if (!encryption?.wrappedKey) {
+    throw new Error('No wrapped key found for this dataset')
+  }
+
+  const keyWrapping = encryption.keyWrapping || KEY_WRAPPING.WALLET
+  if (keyWrapping === KEY_WRAPPING.HYBRID) {
+    const { secretKey } = await getWalletHybridKeyPair(walletAddress)
+    const rawKey = await openWithHybridKey(decodeHybridSealed(encryption.wrappedKey), secretKey, wrappingContext(walletAddress))
+    return importDatasetKey(rawKey)
+  }
+  if (keyWrapping !== KEY_WRAPPING.WALLET) {
+    throw new Error(`Unsupported key wrapping scheme "${keyWrapping}"`)
+  }
+
+  const wrappingKey = await getWalletWrappingKey(walletAddress)
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      base64ToBytes(encryption.wrappedKey.key),
+      wrappingKey,
+      { name: 'AES-GCM', iv: base64ToBytes(encryption.wrappedKey.iv) },
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    )
+  } catch {
+    throw new Error('This wallet cannot unwrap the dataset key')
+  }
+}
+
+function chunkNonce(baseNonce, index) {
+  const nonce = baseNonce.slice()
+  const view = new DataView(nonce.buffer)
+  view.setUint32(8, view.getUint32(8) ^ index)
+  return nonce
+}
+
+function chunkAAD(index, isFinal) {
+  const aad = new Uint8Array(5)
+  new DataView(aad.buffer).setUint32(0, index)
+  aad[4] = isFinal ? 1 : 0
+  return aad
+}
+
+/**
+ * Encrypt a File/Blob with a new dataset key
+ * Returns { blob, key, encryption } where encryption is the metadata to store with the file.
+ * onProgress({ loaded, total }) reports plaintext bytes processed.
+ * keyWrapping picks how the uploader's copy of the key is wrapped (see KEY_WRAPPING).
+ * Pass key to reuse one dataset key across the files of a bundle; each file still gets its own nonce.
+ */
+export async function encryptFile(file, walletAddress, { onProgress = () => {}, keyWrapping = KEY_WRAPPING.WALLET, key: datasetKey = null } = {}) {
+  const key = datasetKey || await generateDatasetKey()
+  const baseNonce = crypto.getRandomValues(new Uint8Array(12))
+
+  const header = new Uint8Array(HEADER_SIZE)
+  header.set(MAGIC, 0)
+  new DataView(header.buffer).setUint32(4, ENCRYPTION_CHUNK_SIZE)
+  header.set(baseNonce, 8)
+
+  const parts = [header]
+  const chunkCount = Math.max(1, Math.ceil(file.size / ENCRYPTION_CHUNK_SIZE))
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * ENCRYPTION_CHUNK_SIZE
+    const plain = new Uint8Array(await file.slice(start, start + ENCRYPTION_CHUNK_SIZE).arrayBuffer())
+    const sealed = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkNonce(baseNonce, index), additionalData: chunkAAD(index, index === chunkCount - 1) },
+      key,
+      plain
+    )
+    parts.push(new Uint8Array(sealed))
+    onProgress({ loaded: Math.min(start + ENCRYPTION_CHUNK_SIZE, file.size), total: file.size })
+  }
+
+  const encryption = {
+    scheme: ENCRYPTION_SCHEME,
+    chunkSize: ENCRYPTION_CHUNK_SIZE,
+    plaintextSize: file.size,
+    keyWrapping,
+    wrappedKey: await wrapDatasetKey(key, walletAddress, keyWrapping)
+  }
+
+  return { blob: new Blob(parts, { type: 'application/octet-stream' }), key, encryption }
+}
+
+/**
+ * Streaming decryptor: update(bytes) and finalize() return arrays of plaintext chunks
+ */
+export function createDecryptor(key) {
+  let buffer = new Uint8Array(0)
+  let header = null
+  let index = 0
+
+  const append = (bytes) => {
+    const next = new Uint8Array(buffer.length + bytes.length)
+    next.set(buffer)
+    next.set(bytes, buffer.length)
+    buffer = next
+  }
+
+  const readHeader = () => {
+    if (header || buffer.length < HEADER_SIZE) return
+    if (!MAGIC.every((byte, i) => buffer[i] === byte)) {
+      throw new Error('Not an encrypted QuantumVault dataset')
+    }
+    header = {
+      chunkSize: new DataView(buffer.buffer, buffer.byteOffset).getUint32(4),
+      baseNonce: buffer.slice(8, HEADER_SIZE)
+    }
+    buffer = buffer.slice(HEADER_SIZE)
+  }
+
+  const openChunk = async (sealed, isFinal) => {
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkNonce(header.baseNonce, index), additionalData: chunkAAD(index, isFinal) },
+        key,
+        sealed
+      )
+      index++
+      return new Uint8Array(plain)
+    } catch {
+      throw new Error('Decryption failed: wrong key or corrupted file')
+    }
+  }
+
+  return {
+    async update(bytes) {
+      append(bytes)
+      readHeader()
+      if (!header) return []
+
+      // Hold back the last full chunk until we know whether it is the final one
+      const sealedSize = header.chunkSize + TAG_SIZE
+      const output = []
+      while (buffer.length > sealedSize) {
+        output.push(await openChunk(buffer.slice(0, sealedSize), false))
+        buffer = buffer.slice(sealedSize)
+      }
+      return output
+    },
+
+    async finalize() {
+      readHeader()
+      if (!header || buffer.length < TAG_SIZE) {
+        throw new Error('Encrypted file is truncated')
+      }
+      const last = await openChunk(buffer, true)
+      buffer = new Uint8Array(0)
+      return [last]
+    }
+  }
+}
+
+/**
+ * Decrypt a whole encrypted Blob
+ */
+export async function decryptBlob(blob, key, type = 'application/octet-stream') {
+  const decryptor = createDecryptor(key)
+  const parts = []
+  const step = 4 * 1024 * 1024
+  for (let offset = 0; offset < blob.size; offset += step) {
+    parts.push(...await decryptor.update(new Uint8Array(await blob.slice(offset, offset + step).arrayBuffer())))
+  }
+  parts.push(...await decryptor.finalize())
+  return new Blob(parts, { type })
+}
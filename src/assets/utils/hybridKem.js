@@ -0,0 +1,80 @@
+/**
+ * Post-quantum hybrid key encapsulation
+ * ML-KEM-768 (CRYSTALS-Kyber) combined with X25519 using the X-Wing construction,
+ * from the pure-JS @noble/post-quantum library. The shared secret stays safe as long
+ * as either ML-KEM or X25519 holds, so a break of one primitive alone is not enough.
+ *
+ * Key pairs are derived from wallet signatures, like the other wallet keys, so they
+ * can be re-derived on any device. Sealed keys are AES-256-GCM encrypted with a key
+ * derived (HKDF) from the encapsulated shared secret.
+ */
+
+import { ml_kem768_x25519 } from '@noble/post-quantum/hybrid.js'
+
+export const HYBRID_KEM = 'ml-kem-768-x25519'
+
+/**
+ * Derive a hybrid key pair from secret bytes (e.g. a wallet signature)
+ * label separates key pairs derived from the same secret for different purposes.
+ * Returns { publicKey, secretKey } as Uint8Arrays.
+ */
+export async function deriveHybridKeyPair(secret, label) {
+  const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits'])
+  const seed = await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode('quantum-vault'),
+      info: new TextEncoder().encode(`${label}-${HYBRID_KEM}-seed`)
+    },
+    baseKey,
+    ml_kem768_x25519.lengths.seed * 8
+  )
+  return ml_kem768_x25519.keygen(new Uint8Array(seed))
+}
+
+async function deriveSealingKey(sharedSecret, usage) {
+  const baseKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode('quantum-vault'),
+      info: new TextEncoder().encode(`${HYBRID_KEM}-key-seal-v1`)
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  )
+}
+
+/**
+ * Seal raw key bytes to a hybrid public key -> { kemCiphertext, iv, ciphertext } (Uint8Arrays)
+ * context is authenticated (AES-GCM additional data) and must match when opening.
+ */
+export async function sealToHybridKey(rawKey, publicKey, context) {
+  const { cipherText, sharedSecret } = ml_kem768_x25519.encapsulate(publicKey)
+  const sealingKey = await deriveSealingKey(sharedSecret, 'encrypt')
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: context }, sealingKey, rawKey)
+  return { kemCiphertext: cipherText, iv, ciphertext: new Uint8Array(ciphertext) }
+}
+
+/**
+ * Open a hybrid-sealed key with the recipient's secret key
+ */
+export async function openWithHybridKey(sealed, secretKey, context) {
+  try {
+    const sharedSecret = ml_kem768_x25519.decapsulate(sealed.kemCiphertext, secretKey)
+    const sealingKey = await deriveSealingKey(sharedSecret, 'decrypt')
+    const rawKey = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.iv, additionalData: context },
+      sealingKey,
+      sealed.ciphertext
+    )
+    return new Uint8Array(rawKey)
+  } catch {
+    throw new Error('This wallet cannot open the hybrid-sealed dataset key')
+  }
+}
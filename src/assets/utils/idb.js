@@ -0,0 +1,89 @@
+/**
+ * Minimal promise wrapper around IndexedDB
+ * Shared by the modules that persist client-side state
+ */
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (and create/upgrade) a database
+ * upgrade(db, oldVersion, transaction) runs inside the versionchange transaction
+ */
+export function openDatabase(name, version, upgrade) {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'))
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(name, version)
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction)
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error(`Database ${name} is open in another tab with an older version`))
+  })
+}
+
+/**
+ * Run fn(storesByName) inside one transaction and resolve with its result once committed
+ */
+export function runTransaction(db, storeNames, mode, fn) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode)
+    const stores = {}
+    for (const name of names) stores[name] = tx.objectStore(name)
+
+    let result
+    Promise.resolve(fn(stores))
+      .then(value => { result = value })
+      .catch(error => {
+        tx.abort()
+        reject(error)
+      })
+
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Read one record by key
+ */
+export function getRecord(db, storeName, key) {
+  return runTransaction(db, storeName, 'readonly', stores => idbRequest(stores[storeName].get(key)))
+}
+
+/**
+ * Read all records, optionally through an index with a key/range query
+ */
+export function getAllRecords(db, storeName, indexName = null, query = undefined) {
+  return runTransaction(db, storeName, 'readonly', stores => {
+    const source = indexName ? stores[storeName].index(indexName) : stores[storeName]
+    return idbRequest(source.getAll(query))
+  })
+}
+
+/**
+ * Write one record
+ */
+export function putRecord(db, storeName, record, key = undefined) {
+  return runTransaction(db, storeName, 'readwrite', stores => idbRequest(stores[storeName].put(record, key)))
+}
+
+/**
+ * Delete one record by key
+ */
+export function deleteRecord(db, storeName, key) {
+  return runTransaction(db, storeName, 'readwrite', stores => idbRequest(stores[storeName].delete(key)))
+}
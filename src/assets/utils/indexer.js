@@ -0,0 +1,317 @@
+/**
+ * Client-side dataset index
+ * Replays DatasetUploaded, PublicDatasetListed, DatasetVisibilityChanged,
+ * DatasetPriceUpdated, DatasetVersioned, DatasetPurchased, DatasetViewed and
+ * DatasetDownloaded logs from the deployment block in chunks and keeps them in
+ * IndexedDB with an incremental cursor, so listings don't need to loop
+ * getDataset over every id on-chain.
+ */
+
+import { ethers } from 'ethers'
+import { CONTRACT_ADDRESS, CONTRACT_ABI, DEPLOYMENT_BLOCK, LOG_CHUNK_SIZE } from '../../config/contract-config'
+import { openDatabase, runTransaction, idbRequest, getRecord, getAllRecords, putRecord } from './idb.js'
+
+const DB_VERSION = 4
+const INDEXED_EVENTS = [
+  'DatasetUploaded',
+  'PublicDatasetListed',
+  'DatasetVisibilityChanged',
+  'DatasetPriceUpdated',
+  'DatasetVersioned',
+  'DatasetPurchased',
+  'DatasetViewed',
+  'DatasetDownloaded'
+]
+const STORES = ['meta', 'datasets', 'purchases', 'activity', 'blocks']
+
+let dbPromise = null
+let syncPromise = null
+
+function getDatabase() {
+  if (!dbPromise) {
+    // One database per contract so redeployments start from a clean index
+    dbPromise = openDatabase(`quantum-index-${CONTRACT_ADDRESS.toLowerCase()}`, DB_VERSION, (db, oldVersion, transaction) => {
+      if (oldVersion < 1) {
+        db.createObjectStore('meta')
+        const datasets = db.createObjectStore('datasets', { keyPath: 'id' })
+        datasets.createIndex('uploader', 'uploader')
+        datasets.createIndex('listed', 'listed')
+        const purchases = db.createObjectStore('purchases', { keyPath: 'key' })
+        purchases.createIndex('buyer', 'buyer')
+        purchases.createIndex('datasetId', 'datasetId')
+      }
+      if (oldVersion < 2) {
+        transaction.objectStore('purchases').createIndex('publisher', 'publisher')
+      }
+      if (oldVersion < 3) {
+        transaction.objectStore('datasets').createIndex('rootId', 'rootId')
+        // Replay from the deployment block so events indexed since version 2 are picked up
+        transaction.objectStore('meta').delete('cursor')
+      }
+      if (oldVersion < 4) {
+        // Views and downloads, one record per log; blocks caches block timestamps by number
+        const activity = db.createObjectStore('activity', { keyPath: 'key' })
+        activity.createIndex('datasetId', 'datasetId')
+        db.createObjectStore('blocks')
+        transaction.objectStore('meta').delete('cursor')
+      }
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+function getReadContract() {
+  if (!window.ethereum) {
+    throw new Error('MetaMask is not installed or not connected')
+  }
+  const provider = new ethers.providers.Web3Provider(window.ethereum)
+  return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider)
+}
+
+function isRangeError(error) {
+  const text = `${error.message || ''} ${error.error?.message || ''} ${error.body || ''}`
+  return /range|too many|limit exceeded|block range|query returned more than|response size/i.test(text)
+}
+
+async function fetchLogs(contract, fromBlock, toBlock) {
+  // Every shape of each event, including those emitted by deployments from before price tokens
+  const topics = Object.values(contract.interface.events)
+    .filter(fragment => INDEXED_EVENTS.includes(fragment.name))
+    .map(fragment => contract.interface.getEventTopic(fragment))
+  const logs = await contract.provider.getLogs({
+    address: CONTRACT_ADDRESS,
+    topics: [topics],
+    fromBlock,
+    toBlock
+  })
+  return logs.map(log => ({ log, event: contract.interface.parseLog(log) }))
+}
+
+// Drop everything indexed so far (e.g. the wallet switched to another chain)
+function resetIndex(db, chainId) {
+  return runTransaction(db, STORES, 'readwrite', async (stores) => {
+    for (const name of STORES) {
+      await idbRequest(stores[name].clear())
+    }
+    await idbRequest(stores.meta.put(chainId, 'chainId'))
+  })
+}
+
+// Apply one chunk of parsed logs and advance the cursor in the same transaction
+function applyLogs(db, entries, toBlock) {
+  return runTransaction(db, ['meta', 'datasets', 'purchases', 'activity'], 'readwrite', async (stores) => {
+    for (const { log, event } of entries) {
+      const id = event.args.id.toNumber()
+
+      if (event.name === 'DatasetUploaded') {
+        const existing = await idbRequest(stores.datasets.get(id))
+        await idbRequest(stores.datasets.put({
+          ...existing,
+          id,
+          uploader: event.args.uploader.toLowerCase(),
+          isPublic: event.args.isPublic,
+          isPaid: event.args.isPaid,
+          price: event.args.price.toString(),
+          priceToken: event.args.priceToken ?? ethers.constants.AddressZero,
+          listed: existing?.listed || 0,
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash
+        }))
+      } else if (event.name === 'PublicDatasetListed') {
+        const existing = await idbRequest(stores.datasets.get(id))
+        await idbRequest(stores.datasets.put({
+          ...existing,
+          id,
+          uploader: event.args.uploader.toLowerCase(),
+          // IndexedDB can't index booleans, so store the listing flag as 0/1
+          listed: 1
+        }))
+      } else if (event.name === 'DatasetVisibilityChanged') {
+        // Relisting also emits PublicDatasetListed; this is what clears the flag on delist
+        const existing = await idbRequest(stores.datasets.get(id))
+        await idbRequest(stores.datasets.put({
+          ...existing,
+          id,
+          isPublic: event.args.isPublic,
+          listed: event.args.isPublic ? 1 : 0
+        }))
+      } else if (event.name === 'DatasetPriceUpdated') {
+        const existing = await idbRequest(stores.datasets.get(id))
+        await idbRequest(stores.datasets.put({
+          ...existing,
+          id,
+          isPaid: event.args.isPaid,
+          price: event.args.price.toString(),
+          priceToken: event.args.priceToken ?? ethers.constants.AddressZero
+        }))
+      } else if (event.name === 'DatasetVersioned') {
+        const existing = await idbRequest(stores.datasets.get(id))
+        await idbRequest(stores.datasets.put({
+          ...existing,
+          id,
+          parentId: event.args.parentId.toNumber(),
+          rootId: event.args.rootId.toNumber(),
+          version: event.args.version,
+          upgradePrice: event.args.upgradePrice.toString()
+        }))
+      } else if (event.name === 'DatasetPurchased') {
+        const buyer = event.args.buyer.toLowerCase()
+        await idbRequest(stores.purchases.put({
+          key: `${id}:${buyer}`,
+          datasetId: id,
+          buyer,
+          publisher: event.args.publisher.toLowerCase(),
+          amount: event.args.amount.toString(),
+          token: event.args.token,
+          blockNumber: log.blockNumber,
+          txHash: log.transactionHash
+        }))
+      } else if (event.name === 'DatasetViewed' || event.name === 'DatasetDownloaded') {
+        await idbRequest(stores.activity.put({
+          key: `${log.transactionHash}:${log.logIndex}`,
+          datasetId: id,
+          kind: event.name === 'DatasetViewed' ? 'view' : 'download',
+          account: event.args[1].toLowerCase(),
+          blockNumber: log.blockNumber
+        }))
+      }
+    }
+    await idbRequest(stores.meta.put(toBlock, 'cursor'))
+  })
+}
+
+async function runSync(onProgress) {
+  const db = await getDatabase()
+  const contract = getReadContract()
+  const { chainId } = await contract.provider.getNetwork()
+
+  if (await getRecord(db, 'meta', 'chainId') !== chainId) {
+    await resetIndex(db, chainId)
+  }
+
+  const lastIndexed = await getRecord(db, 'meta', 'cursor')
+  const latest = await contract.provider.getBlockNumber()
+  let fromBlock = lastIndexed === undefined ? DEPLOYMENT_BLOCK : lastIndexed + 1
+  let chunkSize = LOG_CHUNK_SIZE
+
+  while (fromBlock <= latest) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latest)
+    let entries
+    try {
+      entries = await fetchLogs(contract, fromBlock, toBlock)
+    } catch (error) {
+      if (isRangeError(error) && chunkSize > 1) {
+        chunkSize = Math.max(1, Math.floor(chunkSize / 2))
+        console.warn(`eth_getLogs range rejected, retrying with ${chunkSize} blocks`)
+        continue
+      }
+      throw error
+    }
+
+    await applyLogs(db, entries, toBlock)
+    onProgress({ fromBlock: DEPLOYMENT_BLOCK, indexedBlock: toBlock, latestBlock: latest })
+    fromBlock = toBlock + 1
+  }
+
+  return latest
+}
+
+/**
+ * Bring the index up to the latest block
+ * Concurrent callers share the same run. Resolves with the latest indexed block.
+ */
+export function syncIndex({ onProgress = () => {} } = {}) {
+  if (!syncPromise) {
+    syncPromise = runSync(onProgress).finally(() => {
+      syncPromise = null
+    })
+  }
+  return syncPromise
+}
+
+/**
+ * Dataset ids uploaded by an address, oldest first
+ */
+export async function getIndexedUploadIds(address) {
+  await syncIndex()
+  const db = await getDatabase()
+  const records = await getAllRecords(db, 'datasets', 'uploader', address.toLowerCase())
+  return records.map(r => r.id).sort((a, b) => a - b)
+}
+
+/**
+ * Purchase records (datasetId, amount, token, blockNumber, txHash) for a buyer
+ */
+export async function getIndexedPurchases(buyer) {
+  await syncIndex()
+  const db = await getDatabase()
+  const records = await getAllRecords(db, 'purchases', 'buyer', buyer.toLowerCase())
+  return records.sort((a, b) => a.datasetId - b.datasetId)
+}
+
+/**
+ * Purchase records for datasets sold by a publisher
+ */
+export async function getIndexedSales(publisher) {
+  await syncIndex()
+  const db = await getDatabase()
+  const records = await getAllRecords(db, 'purchases', 'publisher', publisher.toLowerCase())
+  return records.sort((a, b) => a.blockNumber - b.blockNumber)
+}
+
+/**
+ * View and download records ({ datasetId, kind, account, blockNumber }) for a set of datasets, oldest first
+ */
+export async function getIndexedActivity(datasetIds) {
+  await syncIndex()
+  const db = await getDatabase()
+  const records = []
+  for (const id of datasetIds) {
+    records.push(...await getAllRecords(db, 'activity', 'datasetId', id))
+  }
+  return records.sort((a, b) => a.blockNumber - b.blockNumber)
+}
+
+/**
+ * Timestamps (seconds) of the given blocks as a Map, fetched once and cached in the index
+ */
+export async function getBlockTimestamps(blockNumbers) {
+  const db = await getDatabase()
+  const contract = getReadContract()
+  const timestamps = new Map()
+
+  for (const blockNumber of new Set(blockNumbers)) {
+    let timestamp = await getRecord(db, 'blocks', blockNumber)
+    if (timestamp === undefined) {
+      timestamp = (await contract.provider.getBlock(blockNumber)).timestamp
+      await putRecord(db, 'blocks', timestamp, blockNumber)
+    }
+    timestamps.set(blockNumber, timestamp)
+  }
+  return timestamps
+}
+
+/**
+ * Lineage ({ id, parentId, rootId, version, upgradePrice }) of every dataset uploaded as a new version
+ * Datasets without a record are standalone or the first version of their line.
+ */
+export async function getIndexedLineage() {
+  await syncIndex()
+  const db = await getDatabase()
+  // Only records with a rootId appear in the rootId index
+  const records = await getAllRecords(db, 'datasets', 'rootId')
+  return records.map(({ id, parentId, rootId, version, upgradePrice }) => ({ id, parentId, rootId, version, upgradePrice }))
+}
+
+/**
+ * All publicly listed dataset ids, in listing (id) order
+ */
+export async function getIndexedPublicIds() {
+  await syncIndex()
+  const db = await getDatabase()
+  const records = await getAllRecords(db, 'datasets', 'listed', 1)
+  return records.map(r => r.id).sort((a, b) => a - b)
+}
@@ -0,0 +1,390 @@
+/**
+ * Dataset key delivery
+ * After a DatasetPurchased event the seller's client wraps the dataset's AES key
+ * to the buyer and publishes it as a storage entity linked to the dataset id.
+ *
+ * - Buyers derive a secp256k1 key pair from a wallet signature and publish the
+ *   public key (with a signed proof of ownership) as a "buyer-key" entity.
+ * - The seller's relay watches purchases, unwraps its own copy of the dataset key
+ *   and seals it to the buyer with ECIES (ephemeral ECDH + HKDF + AES-256-GCM).
+ *   The delivery record is signed by the seller's wallet.
+ * - The buyer's download path finds the "key-delivery" entity from the seller
+ *   (by owner, or by signature where the backend reports no owner) and unseals it.
+ *
+ * Buyers also publish an ML-KEM-768 + X25519 hybrid public key. Datasets whose
+ * uploader chose hybrid key wrapping are delivered with the hybrid KEM instead of
+ * ECIES, and never downgraded; the delivery records which scheme it used.
+ *
+ * Any storage backend works as the transport; with the local backend the relay
+ * running in the seller's browser is the stand-in for a hosted relay.
+ */
+
+import { ethers } from 'ethers'
+import { CONTRACT_ADDRESS } from '../../config/contract-config'
+import { getStorageProvider, readVerified } from './storage/index.js'
+import { getDatasetById, watchPurchases } from './contract.js'
+import { getIndexedSales } from './indexer.js'
+import {
+  unwrapDatasetKey,
+  exportDatasetKey,
+  importDatasetKey,
+  bytesToBase64,
+  base64ToBytes,
+  encodeHybridSealed,
+  decodeHybridSealed,
+  KEY_WRAPPING
+} from './encryption.js'
+import { HYBRID_KEM, deriveHybridKeyPair, sealToHybridKey, openWithHybridKey } from './hybridKem.js'
+
+export const BUYER_KEY_TYPE = 'quantum-vault/buyer-key'
+export const KEY_DELIVERY_TYPE = 'quantum-vault/key-delivery'
+export const DELIVERY_SCHEME = 'secp256k1-ecies-aes-256-gcm-v1'
+export const HYBRID_DELIVERY_SCHEME = `${HYBRID_KEM}-aes-256-gcm-v1`
+
+const RELAY_RETRY_MS = 60 * 1000
+
+const deliverySignatures = {}
+
+// Keys published before hybrid support were signed without the hybrid line
+function buyerKeyMessage(address, publicKey, hybridPublicKey) {
+  const lines = ['QuantumVault key delivery public key', '', `Address: ${address}`, `Public key: ${publicKey}`]
+  if (hybridPublicKey) lines.push(`Hybrid public key: ${hybridPublicKey}`)
+  return lines.join('\n')
+}
+
+// What the seller signs for a delivery; the sealed key is included by hash
+function deliveryMessage({ scheme, datasetId, datasetCID, buyer, sealed }) {
+  return [
+    'QuantumVault key delivery record',
+    '',
+    `Dataset: ${datasetId}`,
+    `Dataset CID: ${datasetCID}`,
+    `Buyer: ${buyer}`,
+    `Scheme: ${scheme}`,
+    `Sealed key: ${ethers.utils.id(JSON.stringify(sealed))}`
+  ].join('\n')
+}
+
+function deliveryContext(datasetId, buyer) {
+  return new TextEncoder().encode(`${CONTRACT_ADDRESS.toLowerCase()}:${datasetId}:${buyer.toLowerCase()}`)
+}
+
+async function readJsonEntity(storage, cid) {
+  const blob = await readVerified(storage, cid)
+  return JSON.parse(await blob.text())
+}
+
+function jsonFile(data, name) {
+  return new File([JSON.stringify(data)], name, { type: 'application/json' })
+}
+
+// Signature over a fixed message; deterministic, so keys can be re-derived on any device with the same wallet
+async function getDeliverySignature(walletAddress) {
+  const address = walletAddress.toLowerCase()
+  if (!deliverySignatures[address]) {
+    deliverySignatures[address] = (async () => {
+      const provider = new ethers.providers.Web3Provider(window.ethereum)
+      const signer = provider.getSigner()
+      if ((await signer.getAddress()).toLowerCase() !== address) {
+        throw new Error('Connected wallet does not match the key owner')
+      }
+      return signer.signMessage([
+        'QuantumVault key delivery',
+        '',
+        'Sign to receive decryption keys for datasets you buy. This does not send a transaction or cost gas.',
+        '',
+        `Address: ${address}`
+      ].join('\n'))
+    })().catch(error => {
+      delete deliverySignatures[address]
+      throw error
+    })
+  }
+  return deliverySignatures[address]
+}
+
+/**
+ * The wallet's secp256k1 key-delivery key pair
+ */
+export async function getDeliveryKeyPair(walletAddress) {
+  return new ethers.utils.SigningKey(ethers.utils.keccak256(await getDeliverySignature(walletAddress)))
+}
+
+/**
+ * The wallet's hybrid (ML-KEM-768 + X25519) key-delivery key pair
+ */
+export async function getHybridDeliveryKeyPair(walletAddress) {
+  return deriveHybridKeyPair(ethers.utils.arrayify(await getDeliverySignature(walletAddress)), 'dataset-key-delivery')
+}
+
+async function deriveSealingKey(sharedSecret, usage) {
+  const baseKey = await crypto.subtle.importKey('raw', ethers.utils.arrayify(sharedSecret), 'HKDF', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode('quantum-vault'),
+      info: new TextEncoder().encode('dataset-key-delivery-v1')
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  )
+}
+
+/**
+ * Seal raw key bytes to a secp256k1 public key (ECIES)
+ */
+export async function sealToPublicKey(rawKey, recipientPublicKey, context) {
+  const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32))
+  const sealingKey = await deriveSealingKey(ephemeral.computeSharedSecret(recipientPublicKey), 'encrypt')
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: context }, sealingKey, rawKey)
+  return {
+    ephemeralPublicKey: ephemeral.publicKey,
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  }
+}
+
+/**
+ * Open an ECIES-sealed key with the recipient's key pair
+ */
+export async function openWithKeyPair(sealed, keyPair, context) {
+  const sealingKey = await deriveSealingKey(keyPair.computeSharedSecret(sealed.ephemeralPublicKey), 'decrypt')
+  try {
+    const rawKey = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(sealed.iv), additionalData: context },
+      sealingKey,
+      base64ToBytes(sealed.ciphertext)
+    )
+    return new Uint8Array(rawKey)
+  } catch {
+    throw new Error('This wallet cannot open the delivered dataset key')
+  }
+}
+
+/**
+ * Find a buyer's published key-delivery public key (null if not registered)
+ * The entry must be signed by the buyer's wallet, so nobody else can plant a key for them.
+ */
+export async function findBuyerKey(storage, buyer) {
+  const address = buyer.toLowerCase()
+  const entities = await storage.query({ owner: address, metadata: { type: BUYER_KEY_TYPE, address } })
+
+  let found = null
+  for (const entity of entities) {
+    try {
+      const record = await readJsonEntity(storage, entity.cid)
+      const message = buyerKeyMessage(record.address, record.publicKey, record.hybridPublicKey)
+      const signer = ethers.utils.verifyMessage(message, record.signature)
+      if (signer.toLowerCase() === address && record.address === address) {
+        // Prefer a key that also carries a hybrid public key
+        if (record.hybridPublicKey) return record
+        found = found || record
+      }
+    } catch (error) {
+      console.warn(`Ignoring invalid buyer key entity ${entity.cid}:`, error.message)
+    }
+  }
+  return found
+}
+
+/**
+ * Publish the connected wallet's key-delivery public key so sellers can deliver keys to it
+ * Safe to call repeatedly; does nothing if the same key is already published.
+ */
+export async function registerBuyerKey(walletAddress) {
+  const address = walletAddress.toLowerCase()
+  const storage = await getStorageProvider(walletAddress)
+  const keyPair = await getDeliveryKeyPair(walletAddress)
+  const hybridPublicKey = bytesToBase64((await getHybridDeliveryKeyPair(walletAddress)).publicKey)
+
+  const existing = await findBuyerKey(storage, address)
+  if (existing?.publicKey === keyPair.publicKey && existing.hybridPublicKey === hybridPublicKey) {
+    return existing.publicKey
+  }
+
+  const provider = new ethers.providers.Web3Provider(window.ethereum)
+  const signature = await provider.getSigner().signMessage(buyerKeyMessage(address, keyPair.publicKey, hybridPublicKey))
+  await storage.upload(
+    jsonFile(
+      { address, publicKey: keyPair.publicKey, hybridPublicKey, signature, schemes: [DELIVERY_SCHEME, HYBRID_DELIVERY_SCHEME] },
+      `buyer-key-${address}.json`
+    ),
+    { metadata: { type: BUYER_KEY_TYPE, address } }
+  )
+  console.log('✓ Published key-delivery public key for', address)
+  return keyPair.publicKey
+}
+
+/**
+ * Find the seller's key delivery for a buyer (null if there is none)
+ * Only the seller can hand out the key: an entity counts if the backend reports
+ * the seller as its owner or, when it reports no owner, if the record carries the
+ * seller's signature. Look-alike entities from anyone else are ignored.
+ */
+async function findDelivery(storage, datasetId, buyer, seller) {
+  const buyerAddress = buyer.toLowerCase()
+  const sellerAddress = seller.toLowerCase()
+  const entities = await storage.query({
+    metadata: { type: KEY_DELIVERY_TYPE, datasetId, buyer: buyerAddress }
+  })
+
+  for (const entity of entities) {
+    if (entity.owner) {
+      if (entity.owner.toLowerCase() === sellerAddress) return entity
+      continue
+    }
+    try {
+      const record = await readJsonEntity(storage, entity.cid)
+      const signer = ethers.utils.verifyMessage(deliveryMessage(record), record.signature)
+      if (signer.toLowerCase() === sellerAddress && String(record.datasetId) === String(datasetId) && record.buyer === buyerAddress) {
+        return entity
+      }
+    } catch (error) {
+      console.warn(`Ignoring invalid key delivery entity ${entity.cid}:`, error.message)
+    }
+  }
+  return null
+}
+
+/**
+ * Deliver the key for one sale
+ * Returns 'delivered' | 'already-delivered' | 'not-encrypted' | 'waiting-for-buyer-key'
+ */
+export async function deliverDatasetKey(sale, sellerAddress) {
+  const seller = sellerAddress.toLowerCase()
+  const buyer = sale.buyer.toLowerCase()
+  const storage = await getStorageProvider(sellerAddress)
+
+  if (await findDelivery(storage, sale.datasetId, buyer, seller)) {
+    return 'already-delivered'
+  }
+
+  const dataset = await getDatasetById(sale.datasetId)
+  const metadata = await storage.getMetadata(dataset.datasetCID)
+  if (!metadata?.encryption) {
+    return 'not-encrypted'
+  }
+
+  // A hybrid-wrapped dataset only goes out over the hybrid KEM; older buyer keys must be re-published first
+  const hybrid = metadata.encryption.keyWrapping === KEY_WRAPPING.HYBRID
+  const buyerKey = await findBuyerKey(storage, buyer)
+  if (!buyerKey || (hybrid && !buyerKey.hybridPublicKey)) {
+    return 'waiting-for-buyer-key'
+  }
+
+  const datasetKey = await unwrapDatasetKey(metadata.encryption, sellerAddress)
+  const rawKey = await exportDatasetKey(datasetKey)
+  const context = deliveryContext(sale.datasetId, buyer)
+  const scheme = hybrid ? HYBRID_DELIVERY_SCHEME : DELIVERY_SCHEME
+  const sealed = hybrid
+    ? encodeHybridSealed(await sealToHybridKey(rawKey, base64ToBytes(buyerKey.hybridPublicKey), context))
+    : await sealToPublicKey(rawKey, buyerKey.publicKey, context)
+
+  // Signed so the buyer can tell it came from the seller on backends that don't report owners
+  const record = { scheme, datasetId: sale.datasetId, datasetCID: dataset.datasetCID, buyer, sealed }
+  const provider = new ethers.providers.Web3Provider(window.ethereum)
+  const signature = await provider.getSigner().signMessage(deliveryMessage(record))
+  await storage.upload(
+    jsonFile({ ...record, signature }, `key-delivery-${sale.datasetId}-${buyer}.json`),
+    { metadata: { type: KEY_DELIVERY_TYPE, datasetId: sale.datasetId, buyer, datasetCID: dataset.datasetCID, scheme } }
+  )
+  console.log(`✓ Delivered key for dataset ${sale.datasetId} to ${buyer}`)
+  return 'delivered'
+}
+
+/**
+ * Run the seller-side relay: catch up on past sales from the event index, then
+ * deliver on every new DatasetPurchased for this seller. Sales whose buyer has not
+ * published a key yet are retried periodically. Returns a stop function.
+ */
+export function startKeyRelay(sellerAddress, { onDelivery = () => {}, onError = () => {} } = {}) {
+  const seller = sellerAddress.toLowerCase()
+  const settled = new Set()
+  const pending = new Map()
+  let stopped = false
+  let running = Promise.resolve()
+
+  const handleSale = (sale) => {
+    const key = `${sale.datasetId}:${sale.buyer.toLowerCase()}`
+    if (settled.has(key)) return running
+    running = running.then(async () => {
+      if (stopped || settled.has(key)) return
+      try {
+        const result = await deliverDatasetKey(sale, sellerAddress)
+        if (result === 'waiting-for-buyer-key') {
+          pending.set(key, sale)
+        } else {
+          settled.add(key)
+          pending.delete(key)
+        }
+        if (result === 'delivered') onDelivery(sale)
+      } catch (error) {
+        console.error(`Key delivery failed for dataset ${sale.datasetId}:`, error)
+        pending.set(key, sale)
+        onError(error, sale)
+      }
+    })
+    return running
+  }
+
+  getIndexedSales(seller)
+    .then(sales => sales.forEach(handleSale))
+    .catch(error => onError(error, null))
+
+  const unwatch = watchPurchases(sale => {
+    if (sale.publisher === seller) handleSale(sale)
+  })
+
+  const retryTimer = setInterval(() => {
+    for (const sale of pending.values()) handleSale(sale)
+  }, RELAY_RETRY_MS)
+
+  return () => {
+    stopped = true
+    unwatch()
+    clearInterval(retryTimer)
+  }
+}
+
+/**
+ * Buyer side: find and unseal the dataset key the seller delivered
+ */
+export async function fetchDeliveredKey(dataset, buyerAddress) {
+  const buyer = buyerAddress.toLowerCase()
+  const storage = await getStorageProvider(buyerAddress)
+  const entity = await findDelivery(storage, dataset.id, buyer, dataset.uploader)
+  if (!entity) {
+    throw new Error('The seller has not delivered the decryption key yet. Keep this page open or try again shortly.')
+  }
+
+  const record = await readJsonEntity(storage, entity.cid)
+  const context = deliveryContext(dataset.id, buyer)
+  let rawKey
+  if (record.scheme === HYBRID_DELIVERY_SCHEME) {
+    const { secretKey } = await getHybridDeliveryKeyPair(buyerAddress)
+    rawKey = await openWithHybridKey(decodeHybridSealed(record.sealed), secretKey, context)
+  } else if (record.scheme === DELIVERY_SCHEME) {
+    rawKey = await openWithKeyPair(record.sealed, await getDeliveryKeyPair(buyerAddress), context)
+  } else {
+    throw new Error(`Unsupported key delivery scheme "${record.scheme}"`)
+  }
+  return importDatasetKey(rawKey)
+}
+
+/**
+ * Where a buyer's key stands for a purchased dataset
+ * Returns 'not-encrypted' | 'delivered' | 'pending' (usable buyer key published) | 'unregistered'
+ */
+export async function getKeyDeliveryStatus(dataset, buyerAddress) {
+  const storage = await getStorageProvider(buyerAddress)
+  const metadata = await storage.getMetadata(dataset.datasetCID)
+  if (!metadata?.encryption) return 'not-encrypted'
+  if (await findDelivery(storage, dataset.id, buyerAddress, dataset.uploader)) return 'delivered'
+  const buyerKey = await findBuyerKey(storage, buyerAddress)
+  if (buyerKey && (buyerKey.hybridPublicKey || metadata.encryption.keyWrapping !== KEY_WRAPPING.HYBRID)) return 'pending'
+  return 'unregistered'
+}
@@ -0,0 +1,55 @@
+/**
+ * Cursor pagination
+ * Walks a (start, limit) -> { datasets, nextStart } page function, such as
+ * getPublicDatasets, and prefetches the following page as soon as one arrives
+ * so infinite scroll can append it without waiting on the chain.
+ */
+
+/**
+ * Create a pager over fetchPage(start, limit)
+ * initialSize lets a refresh reload everything that was already on screen in one call.
+ */
+export function createPager(fetchPage, { pageSize = 10, initialSize = pageSize } = {}) {
+  let cursor = 0
+  let done = false
+  let loaded = 0
+  let prefetched = null
+
+  const fetchAt = (start, limit) => {
+    const pending = fetchPage(start, limit)
+    // A failed prefetch is retried by the next call to next(), not reported twice
+    pending.catch(() => {})
+    return pending
+  }
+
+  return {
+    get done() {
+      return done
+    },
+
+    get loaded() {
+      return loaded
+    },
+
+    /**
+     * Fetch the next page; resolves with its datasets ([] once the listing is exhausted)
+     */
+    async next() {
+      if (done) return []
+
+      const limit = loaded === 0 ? initialSize : pageSize
+      const pending = prefetched || fetchAt(cursor, limit)
+      prefetched = null
+      const { datasets, nextStart } = await pending
+
+      loaded += datasets.length
+      if (datasets.length < limit || nextStart === 0) {
+        done = true
+      } else {
+        cursor = nextStart
+        prefetched = fetchAt(cursor, pageSize)
+      }
+      return datasets
+    }
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Resumable pipelines
+ * A pipeline is an ordered list of named stages. Each stage reads what earlier
+ * stages produced from a shared context and returns its own outputs, which are
+ * merged in and persisted to IndexedDB after every stage, so a run that fails
+ * (or a page that reloads) continues from the first unfinished stage instead of
+ * starting over. Inputs that can't be persisted, such as File objects, are
+ * passed separately and may be missing when a saved run is resumed.
+ */
+
+import { openDatabase, getAllRecords, putRecord, deleteRecord } from './idb.js'
+
+export const STAGE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  DONE: 'done',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+}
+
+const DB_NAME = 'quantum-pipelines'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore('runs', { keyPath: 'id' }).createIndex('owner', 'owner')
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Persistence is best effort: a browser without IndexedDB still runs pipelines, it just can't resume them
+async function saveRun(state) {
+  try {
+    await putRecord(await getDatabase(), 'runs', state)
+  } catch (error) {
+    console.warn(`Could not save pipeline ${state.id}:`, error.message)
+  }
+}
+
+/**
+ * Saved runs that have not finished, newest first
+ */
+export async function listSavedPipelines(owner, kind) {
+  if (!owner) return []
+  const runs = await getAllRecords(await getDatabase(), 'runs', 'owner', owner.toLowerCase())
+  return runs
+    .filter(run => !kind || run.kind === kind)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export async function discardSavedPipeline(id) {
+  await deleteRecord(await getDatabase(), 'runs', id)
+}
+
+function cancelledError() {
+  return Object.assign(new Error('Cancelled'), { code: 'cancelled' })
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(cancelledError())
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Create a pipeline run over stages: [{ id, label, retries?, retryDelay?, skip?(context), run(context, helpers) }]
+ * run() may return an object of outputs to merge into the context. helpers are
+ * { inputs, signal, attempt, progress(detail) }, where attempt counts tries across
+ * resumes, so a stage can check for side effects of an earlier try. Progress
+ * details are passed through to onEvent. Pass saved (a record from listSavedPipelines) to resume a run.
+ *
+ * onEvent receives { type: 'state', state } on every status change and
+ * { type: 'progress', stage, detail } for stage progress.
+ */
+export function createPipeline(stages, { kind, owner, context = {}, inputs = {}, saved = null, onEvent = () => {} } = {}) {
+  const now = Date.now()
+  const state = saved ? structuredClone(saved) : {
+    id: crypto.randomUUID(),
+    kind,
+    owner: owner.toLowerCase(),
+    status: 'idle',
+    error: null,
+    context,
+    stages: stages.map(({ id, label }) => ({ id, label, status: STAGE_STATUS.PENDING, attempts: 0, error: null })),
+    createdAt: now,
+    updatedAt: now
+  }
+  let controller = null
+
+  const entryOf = (id) => state.stages.find(entry => entry.id === id)
+
+  const update = async (changes = {}) => {
+    Object.assign(state, changes, { updatedAt: Date.now() })
+    onEvent({ type: 'state', state: structuredClone(state) })
+    await saveRun(state)
+  }
+
+  async function runStage(stage, entry, signal) {
+    const retries = stage.retries || 0
+    for (let attempt = 1; ; attempt++) {
+      Object.assign(entry, { status: STAGE_STATUS.RUNNING, attempts: entry.attempts + 1, error: null })
+      await update()
+      try {
+        const outputs = await stage.run(state.context, {
+          inputs,
+          signal,
+          attempt: entry.attempts,
+          progress: (detail) => onEvent({ type: 'progress', stage: stage.id, detail })
+        })
+        if (signal.aborted) throw cancelledError()
+        Object.assign(state.context, outputs)
+        entry.status = STAGE_STATUS.DONE
+        await update()
+        return
+      } catch (error) {
+        if (signal.aborted || error.code === 'cancelled') throw cancelledError()
+        entry.error = error.message
+        if (attempt > retries) {
+          entry.status = STAGE_STATUS.FAILED
+          throw error
+        }
+        console.warn(`Stage "${stage.id}" failed (attempt ${attempt}/${retries + 1}), retrying:`, error.message)
+        entry.status = STAGE_STATUS.RETRYING
+        await update()
+        await wait((stage.retryDelay ?? 2000) * attempt, signal)
+      }
+    }
+  }
+
+  return {
+    get id() {
+      return state.id
+    },
+
+    get state() {
+      return structuredClone(state)
+    },
+
+    /**
+     * Run every stage that hasn't finished; resolves with the final context
+     * Rejects with the failing stage's error (the run stays saved, so run() can be
+     * called again to retry from that stage) or with code 'cancelled' after cancel().
+     */
+    async run() {
+      // A saved run can still say 'running' if the page was closed mid-stage; only this controller counts
+      if (controller) throw new Error('Pipeline is already running')
+      controller = new AbortController()
+      const { signal } = controller
+      await update({ status: 'running', error: null })
+
+      try {
+        for (const stage of stages) {
+          const entry = entryOf(stage.id)
+          if (entry.status === STAGE_STATUS.DONE || entry.status === STAGE_STATUS.SKIPPED) continue
+          if (signal.aborted) throw cancelledError()
+          if (stage.skip?.(state.context)) {
+            entry.status = STAGE_STATUS.SKIPPED
+            await update()
+            continue
+          }
+          await runStage(stage, entry, signal)
+        }
+      } catch (error) {
+        if (error.code === 'cancelled') {
+          state.status = 'cancelled'
+          onEvent({ type: 'state', state: structuredClone(state) })
+          await discardSavedPipeline(state.id).catch(() => {})
+          throw error
+        }
+        await update({ status: 'failed', error: error.message })
+        throw error
+      } finally {
+        controller = null
+      }
+
+      state.status = 'done'
+      onEvent({ type: 'state', state: structuredClone(state) })
+      await discardSavedPipeline(state.id).catch(() => {})
+      return state.context
+    },
+
+    /**
+     * Stop the run at the next opportunity and forget it; stages see signal abort
+     */
+    cancel() {
+      controller?.abort()
+    }
+  }
+}
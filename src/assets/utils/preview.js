@@ -0,0 +1,215 @@
+/**
+ * Free dataset previews
+ * Uploaders of paid datasets can publish a small, unencrypted sample of their
+ * CSV/TSV or JSON Lines file (the first N rows or a uniform random sample) as a
+ * separate storage entity linked to the dataset by its CID. Anyone can read it,
+ * so buyers see real rows before paying without needing on-chain access.
+ *
+ * Previews are capped in rows, cell length and total size so they stay a sample.
+ */
+
+import { getStorageProvider, readVerified, uploadVerified } from './storage/index.js'
+import { createCsvParser, detectDelimiter, readText } from './profiler.js'
+
+export const PREVIEW_TYPE = 'quantum-vault/dataset-preview'
+export const PREVIEW_SCHEMA = 'quantum-vault/dataset-preview'
+export const PREVIEW_VERSION = 1
+
+export const PREVIEW_DEFAULT_ROWS = 100
+export const PREVIEW_MAX_ROWS = 1000
+const PREVIEW_MAX_BYTES = 256 * 1024
+const PREVIEW_MAX_CELL = 200
+
+/**
+ * The preview format for a file, or null if previews aren't supported for it
+ * Returns 'csv' | 'tsv' | 'jsonl' | null
+ */
+export function getPreviewFormat(file) {
+  const name = (file.name || '').toLowerCase()
+  if (name.endsWith('.tsv') || name.endsWith('.tab')) return 'tsv'
+  if (name.endsWith('.csv') || file.type === 'text/csv') return 'csv'
+  if (name.endsWith('.jsonl') || name.endsWith('.ndjson')) return 'jsonl'
+  return null
+}
+
+function toCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return text.length > PREVIEW_MAX_CELL ? `${text.slice(0, PREVIEW_MAX_CELL - 1)}…` : text
+}
+
+// Keep the first `limit` rows, or a uniform random sample of `limit` rows (reservoir sampling)
+function createSampler(mode, limit) {
+  const rows = []
+  let seen = 0
+  return {
+    add(row) {
+      seen++
+      if (rows.length < limit) {
+        rows.push(row)
+      } else if (mode === 'random') {
+        const slot = Math.floor(Math.random() * seen)
+        if (slot < limit) rows[slot] = row
+      }
+    },
+    // In 'first' mode there is nothing more to collect once the sample is full
+    get full() {
+      return mode === 'first' && rows.length >= limit
+    },
+    rows,
+    get seen() {
+      return seen
+    }
+  }
+}
+
+async function sampleCsv(file, format, sampler) {
+  let header = null
+  let parser = null
+  const onRow = (fields) => {
+    if (!header) {
+      header = fields.map((name, index) => name.trim() || `column_${index + 1}`)
+    } else if (!sampler.full) {
+      sampler.add(header.map((_, index) => toCell(fields[index])))
+    }
+  }
+
+  for await (let text of readText(file)) {
+    if (!parser) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1)
+      const delimiter = format === 'tsv' ? '\t' : detectDelimiter(text.split(/\r?\n/, 1)[0])
+      parser = createCsvParser(delimiter, onRow)
+    }
+    parser.push(text)
+    if (sampler.full) break
+  }
+  if (parser && !sampler.full) parser.end()
+  return header || []
+}
+
+async function sampleJsonLines(file, sampler) {
+  let buffer = ''
+  const handleLine = (line) => {
+    if (!line.trim() || sampler.full) return
+    try {
+      const value = JSON.parse(line)
+      sampler.add(value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { value })
+    } catch {
+      // Invalid lines are reported by the analysis, not the preview
+    }
+  }
+
+  for await (const text of readText(file)) {
+    buffer += text
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(handleLine)
+    if (sampler.full) break
+  }
+  handleLine(buffer)
+
+  // Columns are the union of keys across the sampled objects, in first-seen order
+  const columns = []
+  for (const row of sampler.rows) {
+    for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key)
+  }
+  sampler.rows.forEach((row, index) => {
+    sampler.rows[index] = columns.map(column => toCell(row[column]))
+  })
+  return columns
+}
+
+/**
+ * Build a preview sample from a CSV/TSV or JSON Lines file
+ * mode is 'first' (first N rows) or 'random' (uniform sample, reads the whole file).
+ */
+export async function buildPreview(file, { mode = 'first', rows = PREVIEW_DEFAULT_ROWS } = {}) {
+  const format = getPreviewFormat(file)
+  if (!format) {
+    throw new Error('Previews are only supported for CSV, TSV and JSON Lines files')
+  }
+  const limit = Math.min(PREVIEW_MAX_ROWS, Math.max(1, Math.floor(rows)))
+  const sampler = createSampler(mode, limit)
+
+  const columns = format === 'jsonl'
+    ? await sampleJsonLines(file, sampler)
+    : await sampleCsv(file, format, sampler)
+
+  const preview = {
+    schema: PREVIEW_SCHEMA,
+    version: PREVIEW_VERSION,
+    format,
+    mode,
+    columns,
+    rows: sampler.rows,
+    // Only a full pass knows the total; 'first' mode stops reading early
+    totalRows: mode === 'random' ? sampler.seen : null,
+    truncated: false
+  }
+
+  // Drop rows from the end until the serialized preview fits the size cap
+  const encoder = new TextEncoder()
+  while (preview.rows.length > 0 && encoder.encode(JSON.stringify(preview)).length > PREVIEW_MAX_BYTES) {
+    preview.rows = preview.rows.slice(0, Math.floor(preview.rows.length * 0.8))
+    preview.truncated = true
+  }
+  return preview
+}
+
+/**
+ * Publish a preview linked to its dataset; returns the preview CID
+ */
+export async function uploadPreview(preview, datasetCID, walletAddress) {
+  const storage = await getStorageProvider(walletAddress)
+  const file = new File(
+    [JSON.stringify({ ...preview, datasetCID })],
+    `preview-${datasetCID}.json`,
+    { type: 'application/json' }
+  )
+  const cid = await uploadVerified(storage, file, {
+    metadata: { type: PREVIEW_TYPE, datasetCID, version: PREVIEW_VERSION, rows: preview.rows.length },
+    ttl: null
+  })
+  console.log('✓ Preview uploaded, CID:', cid)
+  return cid
+}
+
+function isValidPreview(preview, datasetCID) {
+  return Boolean(
+    preview &&
+    preview.schema === PREVIEW_SCHEMA &&
+    preview.version === PREVIEW_VERSION &&
+    preview.datasetCID === datasetCID &&
+    Array.isArray(preview.columns) &&
+    Array.isArray(preview.rows) &&
+    preview.rows.every(row => Array.isArray(row) && row.length === preview.columns.length)
+  )
+}
+
+/**
+ * Find and load a dataset's preview; no on-chain access is needed
+ * Returns { status: 'ok', preview } | { status: 'none' } | { status: 'error', message }
+ */
+export async function fetchPreview(dataset, walletAddress) {
+  try {
+    const storage = await getStorageProvider(walletAddress)
+    const entities = await storage.query({ metadata: { type: PREVIEW_TYPE, datasetCID: dataset.datasetCID } })
+
+    // Only the uploader can publish the preview for their dataset
+    const uploader = dataset.uploader.toLowerCase()
+    for (const entity of entities) {
+      if (entity.owner && entity.owner.toLowerCase() !== uploader) continue
+      try {
+        const preview = JSON.parse(await (await readVerified(storage, entity.cid)).text())
+        if (isValidPreview(preview, dataset.datasetCID)) return { status: 'ok', preview }
+        console.warn(`Ignoring malformed preview entity ${entity.cid}`)
+      } catch (error) {
+        console.warn(`Could not load preview entity ${entity.cid}:`, error.message)
+      }
+    }
+    return { status: 'none' }
+  } catch (error) {
+    console.error('Preview lookup failed:', error)
+    return { status: 'error', message: `Could not load the preview: ${error.message}` }
+  }
+}
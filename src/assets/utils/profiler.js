@@ -0,0 +1,675 @@
+/**
+ * Dataset profiler
+ * Streams CSV/TSV, JSON, JSON Lines and Parquet files row by row and builds the
+ * analysis report: inferred schema, row count, null ratios, duplicate rows,
+ * numeric distributions, outliers and an overall quality score.
+ *
+ * Runs inside the analysis Web Worker (see analysis.worker.js), so nothing here
+ * touches the DOM. Memory stays bounded on large files: numeric distributions come
+ * from a fixed-size reservoir sample and duplicate detection keeps one 53-bit hash
+ * per row up to a cap.
+ *
+ * Reports never contain raw rows or category values, only aggregates, because they
+ * are published unencrypted next to private and paid datasets.
+ */
+
+import { parquetMetadataAsync, parquetReadObjects } from 'hyparquet'
+
+export const ANALYSIS_REPORT_SCHEMA = 'quantum-vault/analysis-report'
+export const ANALYSIS_REPORT_VERSION = 1
+
+const RESERVOIR_SIZE = 10000
+const HISTOGRAM_BINS = 20
+const DISTINCT_LIMIT = 1000
+const DUPLICATE_TRACKING_LIMIT = 1000000
+const MAX_COLUMNS = 500
+const MAX_JSON_DOCUMENT_SIZE = 256 * 1024 * 1024
+const PARQUET_BATCH_ROWS = 10000
+
+const NULL_TOKENS = new Set(['', 'na', 'n/a', 'nan', 'null', 'none', '-'])
+const INTEGER_RE = /^[-+]?\d+$/
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/
+const DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+// Thresholds for report warnings
+const HIGH_NULL_RATIO = 0.2
+const HIGH_DUPLICATE_RATIO = 0.01
+const HIGH_OUTLIER_RATIO = 0.05
+const LOW_TYPE_CONSISTENCY = 0.95
+
+/**
+ * Detect the profiler format from the file name, MIME type and (for Parquet) magic bytes
+ * Returns 'csv' | 'tsv' | 'json' | 'jsonl' | 'parquet' | null
+ */
+export async function detectFormat(file) {
+  const name = (file.name || '').toLowerCase()
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : ''
+
+  if (extension === 'parquet') return 'parquet'
+  if (extension === 'tsv' || extension === 'tab') return 'tsv'
+  if (extension === 'csv' || file.type === 'text/csv') return 'csv'
+  if (extension === 'jsonl' || extension === 'ndjson') return 'jsonl'
+  if (extension === 'json' || file.type === 'application/json') return 'json'
+
+  if (file.size >= 8) {
+    const head = new Uint8Array(await file.slice(0, 4).arrayBuffer())
+    if (String.fromCharCode(...head) === 'PAR1') return 'parquet'
+  }
+  return null
+}
+
+// 53-bit string hash (cyrb53), enough to tell rows apart without keeping them
+function hashString(text) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+function valueKey(value) {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'object') {
+    try {
+      return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v))
+    } catch {
+      return String(value)
+    }
+  }
+  return String(value)
+}
+
+/**
+ * Classify a single value -> { type, number }
+ * type is 'null' | 'integer' | 'number' | 'boolean' | 'date' | 'string' | 'object' | 'array'
+ */
+export function classifyValue(value) {
+  if (value === null || value === undefined) return { type: 'null' }
+  if (typeof value === 'bigint') return { type: 'integer', number: Number(value) }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return { type: 'null' }
+    return { type: Number.isInteger(value) ? 'integer' : 'number', number: value }
+  }
+  if (typeof value === 'boolean') return { type: 'boolean' }
+  if (value instanceof Date) return { type: 'date' }
+  if (Array.isArray(value)) return { type: 'array' }
+  if (typeof value === 'object') return { type: 'object' }
+
+  const text = String(value).trim()
+  if (NULL_TOKENS.has(text.toLowerCase())) return { type: 'null' }
+  if (INTEGER_RE.test(text)) return { type: 'integer', number: Number(text) }
+  if (NUMBER_RE.test(text)) return { type: 'number', number: Number(text) }
+  const lower = text.toLowerCase()
+  if (lower === 'true' || lower === 'false') return { type: 'boolean' }
+  if (DATE_RE.test(text) && !Number.isNaN(Date.parse(text))) return { type: 'date' }
+  return { type: 'string', length: text.length }
+}
+
+function createColumn(name) {
+  return {
+    name,
+    seen: 0,
+    nulls: 0,
+    types: {},
+    distinct: new Set(),
+    distinctCapped: false,
+    numeric: { count: 0, mean: 0, m2: 0, min: Infinity, max: -Infinity, reservoir: [] },
+    minLength: Infinity,
+    maxLength: 0
+  }
+}
+
+function addToColumn(column, value) {
+  column.seen++
+  const { type, number, length } = classifyValue(value)
+  if (type === 'null') {
+    column.nulls++
+    return
+  }
+  column.types[type] = (column.types[type] || 0) + 1
+
+  if (!column.distinctCapped) {
+    column.distinct.add(valueKey(value))
+    if (column.distinct.size > DISTINCT_LIMIT) {
+      column.distinctCapped = true
+      column.distinct = null
+    }
+  }
+
+  if (number !== undefined) {
+    // Welford's running mean/variance plus a reservoir sample for quantiles and histograms
+    const stats = column.numeric
+    stats.count++
+    const delta = number - stats.mean
+    stats.mean += delta / stats.count
+    stats.m2 += delta * (number - stats.mean)
+    if (number < stats.min) stats.min = number
+    if (number > stats.max) stats.max = number
+    if (stats.reservoir.length < RESERVOIR_SIZE) {
+      stats.reservoir.push(number)
+    } else {
+      const slot = Math.floor(Math.random() * stats.count)
+      if (slot < RESERVOIR_SIZE) stats.reservoir[slot] = number
+    }
+  }
+
+  if (length !== undefined) {
+    if (length < column.minLength) column.minLength = length
+    if (length > column.maxLength) column.maxLength = length
+  }
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+function round(value, digits = 4) {
+  if (value === null || !Number.isFinite(value)) return null
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+// Collapse type counts into one inferred type; integer + number columns are numeric
+function inferType(types) {
+  const entries = Object.entries(types)
+  if (entries.length === 0) return { type: 'null', matching: 0 }
+
+  const numericCount = (types.integer || 0) + (types.number || 0)
+  const [dominant, dominantCount] = entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))
+  if (numericCount >= dominantCount) {
+    return { type: types.number ? 'number' : 'integer', matching: numericCount }
+  }
+  return { type: dominant, matching: dominantCount }
+}
+
+function summarizeNumeric(stats, inferredType) {
+  if (stats.count === 0 || (inferredType !== 'integer' && inferredType !== 'number')) return null
+
+  const sorted = stats.reservoir.slice().sort((a, b) => a - b)
+  const q1 = quantile(sorted, 0.25)
+  const q3 = quantile(sorted, 0.75)
+  const iqr = q3 - q1
+  const lowerFence = q1 - 1.5 * iqr
+  const upperFence = q3 + 1.5 * iqr
+  const sampleOutliers = sorted.filter(v => v < lowerFence || v > upperFence).length
+
+  // Histogram over [min, max], scaled from the sample to the full column
+  const bins = new Array(HISTOGRAM_BINS).fill(0)
+  const width = (stats.max - stats.min) / HISTOGRAM_BINS
+  for (const value of sorted) {
+    const bin = width > 0 ? Math.min(HISTOGRAM_BINS - 1, Math.floor((value - stats.min) / width)) : 0
+    bins[bin]++
+  }
+  const scale = stats.count / sorted.length
+
+  return {
+    min: round(stats.min),
+    max: round(stats.max),
+    mean: round(stats.mean),
+    stdDev: round(stats.count > 1 ? Math.sqrt(stats.m2 / (stats.count - 1)) : 0),
+    p25: round(q1),
+    median: round(quantile(sorted, 0.5)),
+    p75: round(q3),
+    outliers: {
+      method: 'iqr-1.5',
+      lowerFence: round(lowerFence),
+      upperFence: round(upperFence),
+      ratio: round(sampleOutliers / sorted.length),
+      count: Math.round(sampleOutliers * scale)
+    },
+    histogram: {
+      min: round(stats.min),
+      max: round(stats.max),
+      bins: width > 0 ? bins.map(count => Math.round(count * scale)) : [stats.count]
+    },
+    sampled: stats.count > sorted.length
+  }
+}
+
+/**
+ * Row-by-row profiler: addRow(record) for each row (a plain object), then finish() for the report body
+ */
+export function createProfiler() {
+  const columns = new Map()
+  const rowHashes = new Set()
+  let rowCount = 0
+  let duplicateRows = 0
+  let duplicatesTracked = true
+  let droppedColumns = 0
+
+  return {
+    addRow(record) {
+      rowCount++
+      let key = ''
+      for (const name of Object.keys(record)) {
+        let column = columns.get(name)
+        if (!column) {
+          if (columns.size >= MAX_COLUMNS) {
+            droppedColumns++
+            continue
+          }
+          column = createColumn(name)
+          columns.set(name, column)
+        }
+        const value = record[name]
+        addToColumn(column, value)
+        key += `${name}\u0001${valueKey(value)}\u0002`
+      }
+
+      if (duplicatesTracked) {
+        const hash = hashString(key)
+        if (rowHashes.has(hash)) {
+          duplicateRows++
+        } else if (rowHashes.size < DUPLICATE_TRACKING_LIMIT) {
+          rowHashes.add(hash)
+        } else {
+          duplicatesTracked = false
+          rowHashes.clear()
+        }
+      }
+    },
+
+    get rowCount() {
+      return rowCount
+    },
+
+    finish() {
+      const summaries = [...columns.values()].map(column => {
+        // Rows that never mentioned the column (e.g. sparse JSON) count as nulls
+        const nulls = column.nulls + (rowCount - column.seen)
+        const nonNull = rowCount - nulls
+        const { type, matching } = inferType(column.types)
+        return {
+          name: column.name,
+          type,
+          types: column.types,
+          nonNull,
+          nulls,
+          nullRatio: rowCount ? round(nulls / rowCount) : 0,
+          typeConsistency: nonNull ? round(matching / nonNull) : 1,
+          distinct: column.distinctCapped ? null : column.distinct.size,
+          distinctAtLeast: column.distinctCapped ? DISTINCT_LIMIT + 1 : undefined,
+          numeric: summarizeNumeric(column.numeric, type),
+          text: column.maxLength > 0 ? { minLength: column.minLength, maxLength: column.maxLength } : null
+        }
+      })
+
+      return {
+        rowCount,
+        columnCount: summaries.length,
+        droppedColumns,
+        duplicateRows,
+        duplicateRatio: rowCount ? round(duplicateRows / rowCount) : 0,
+        duplicatesExact: duplicatesTracked,
+        columns: summaries
+      }
+    }
+  }
+}
+
+/**
+ * Quality score (0-100) and warnings for a profile
+ * Weighted: completeness 40%, uniqueness 25%, type consistency 25%, outliers 10%.
+ */
+export function scoreProfile(profile, extraWarnings = []) {
+  const warnings = [...extraWarnings]
+  const { columns, rowCount } = profile
+
+  if (rowCount === 0 || columns.length === 0) {
+    warnings.push({ code: 'empty', message: 'The dataset has no rows to analyze' })
+    return { qualityScore: 0, scoreBreakdown: null, warnings }
+  }
+
+  const totalCells = rowCount * columns.length
+  const totalNulls = columns.reduce((sum, column) => sum + column.nulls, 0)
+  const numericColumns = columns.filter(column => column.numeric)
+  const breakdown = {
+    completeness: 1 - totalNulls / totalCells,
+    uniqueness: 1 - profile.duplicateRatio,
+    consistency: columns.reduce((sum, column) => sum + column.typeConsistency, 0) / columns.length,
+    outliers: numericColumns.length
+      ? 1 - numericColumns.reduce((sum, column) => sum + column.numeric.outliers.ratio, 0) / numericColumns.length
+      : 1
+  }
+  const score = 40 * breakdown.completeness + 25 * breakdown.uniqueness + 25 * breakdown.consistency + 10 * breakdown.outliers
+
+  if (profile.duplicateRatio > HIGH_DUPLICATE_RATIO) {
+    warnings.push({
+      code: 'duplicates',
+      message: `${profile.duplicateRows} duplicate rows (${(profile.duplicateRatio * 100).toFixed(1)}%)`
+    })
+  }
+  if (!profile.duplicatesExact) {
+    warnings.push({ code: 'duplicates-estimated', message: 'Duplicate detection stopped after 1,000,000 unique rows' })
+  }
+  if (profile.droppedColumns > 0) {
+    warnings.push({ code: 'too-many-columns', message: `Only the first ${MAX_COLUMNS} columns were profiled` })
+  }
+
+  for (const column of columns) {
+    if (column.nullRatio > HIGH_NULL_RATIO) {
+      warnings.push({
+        code: 'high-nulls',
+        column: column.name,
+        message: `${(column.nullRatio * 100).toFixed(1)}% of values are missing`
+      })
+    }
+    if (column.nonNull > 0 && column.typeConsistency < LOW_TYPE_CONSISTENCY) {
+      warnings.push({
+        code: 'mixed-types',
+        column: column.name,
+        message: `Mixed value types: ${Object.entries(column.types).map(([type, count]) => `${type} ${count}`).join(', ')}`
+      })
+    }
+    if (column.numeric && column.numeric.outliers.ratio > HIGH_OUTLIER_RATIO) {
+      warnings.push({
+        code: 'outliers',
+        column: column.name,
+        message: `${(column.numeric.outliers.ratio * 100).toFixed(1)}% of values fall outside the IQR fences`
+      })
+    }
+    if (column.nonNull > 1 && column.distinct === 1) {
+      warnings.push({ code: 'constant', column: column.name, message: 'Every value is the same' })
+    }
+  }
+
+  const scoreBreakdown = {}
+  for (const [name, value] of Object.entries(breakdown)) scoreBreakdown[name] = round(value)
+  return { qualityScore: Math.round(score), scoreBreakdown, warnings }
+}
+
+/**
+ * Streaming CSV parser (RFC 4180 quoting); push(text) as chunks arrive, end() at EOF
+ * onRow(fields) gets each row as an array of strings.
+ */
+export function createCsvParser(delimiter, onRow) {
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let quotePending = false
+  let fieldQuoted = false
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+    fieldQuoted = false
+  }
+
+  const endRow = () => {
+    endField()
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') onRow(row)
+    row = []
+  }
+
+  return {
+    push(text) {
+      let i = 0
+      while (i < text.length) {
+        if (inQuotes) {
+          if (quotePending) {
+            quotePending = false
+            if (text[i] === '"') {
+              field += '"'
+              i++
+              continue
+            }
+            inQuotes = false
+            continue
+          }
+          const close = text.indexOf('"', i)
+          if (close === -1) {
+            field += text.slice(i)
+            break
+          }
+          field += text.slice(i, close)
+          quotePending = true
+          i = close + 1
+          continue
+        }
+
+        const ch = text[i]
+        if (ch === delimiter) {
+          endField()
+        } else if (ch === '\n') {
+          endRow()
+        } else if (ch === '\r') {
+          // \r\n and bare \r both end the row; a \n split off into the next chunk is skipped as a blank line
+          endRow()
+          if (text[i + 1] === '\n') i++
+        } else if (ch === '"' && field === '' && !fieldQuoted) {
+          inQuotes = true
+          fieldQuoted = true
+        } else {
+          // Copy the run of plain characters in one slice
+          let end = i + 1
+          while (end < text.length) {
+            const next = text[end]
+            if (next === delimiter || next === '\n' || next === '\r' || next === '"') break
+            end++
+          }
+          field += text.slice(i, end)
+          i = end
+          continue
+        }
+        i++
+      }
+    },
+
+    end() {
+      if (quotePending) {
+        quotePending = false
+        inQuotes = false
+      }
+      if (field !== '' || row.length > 0) endRow()
+      return { unterminatedQuote: inQuotes }
+    }
+  }
+}
+
+// Pick the delimiter that splits the header line into the most fields
+export function detectDelimiter(firstLine) {
+  let best = ','
+  let bestCount = 0
+  for (const candidate of [',', '\t', ';', '|']) {
+    const count = firstLine.split(candidate).length - 1
+    if (count > bestCount) {
+      best = candidate
+      bestCount = count
+    }
+  }
+  return best
+}
+
+// Decode a file as a stream of text chunks
+export async function* readText(file, onProgress = () => {}) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader()
+  let loaded = 0
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      // Decoded text length approximates bytes read; exact for ASCII data
+      loaded = Math.min(file.size, loaded + value.length)
+      yield value
+      onProgress({ loaded, total: file.size })
+    }
+  } finally {
+    // Stop reading the file if the caller breaks out early
+    reader.cancel().catch(() => {})
+  }
+}
+
+async function profileCsv(file, format, profiler, onProgress) {
+  const warnings = []
+  let header = null
+  let raggedRows = 0
+  let parser = null
+
+  const onRow = (fields) => {
+    if (!header) {
+      header = fields.map((name, index) => name.trim() || `column_${index + 1}`)
+      return
+    }
+    if (fields.length !== header.length) raggedRows++
+    const record = {}
+    for (let index = 0; index < header.length; index++) record[header[index]] = fields[index]
+    profiler.addRow(record)
+  }
+
+  for await (let text of readText(file, onProgress)) {
+    if (!parser) {
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1)
+      const delimiter = format === 'tsv' ? '\t' : detectDelimiter(text.split(/\r?\n/, 1)[0])
+      parser = createCsvParser(delimiter, onRow)
+    }
+    parser.push(text)
+  }
+
+  if (parser && parser.end().unterminatedQuote) {
+    warnings.push({ code: 'parse-error', message: 'The file ends inside a quoted field' })
+  }
+  if (raggedRows > 0) {
+    warnings.push({ code: 'ragged-rows', message: `${raggedRows} row${raggedRows === 1 ? ' has' : 's have'} a different number of fields than the header` })
+  }
+  return warnings
+}
+
+function toRecord(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { value }
+}
+
+async function profileJsonLines(file, profiler, onProgress) {
+  let buffer = ''
+  let invalidLines = 0
+
+  const handleLine = (line) => {
+    if (!line.trim()) return
+    try {
+      profiler.addRow(toRecord(JSON.parse(line)))
+    } catch {
+      invalidLines++
+    }
+  }
+
+  for await (const text of readText(file, onProgress)) {
+    buffer += text
+    const lines = buffer.split('\n')
+    buffer = lines.pop()
+    lines.forEach(handleLine)
+  }
+  handleLine(buffer)
+
+  return invalidLines > 0 ? [{ code: 'parse-error', message: `${invalidLines} line${invalidLines === 1 ? ' is' : 's are'} not valid JSON` }] : []
+}
+
+async function profileJson(file, profiler, onProgress) {
+  if (file.size > MAX_JSON_DOCUMENT_SIZE) {
+    throw new Error('JSON documents over 256 MB cannot be profiled; use JSON Lines instead')
+  }
+
+  let document
+  try {
+    document = JSON.parse(await file.text())
+  } catch {
+    // Many ".json" exports are really one object per line
+    return profileJsonLines(file, profiler, onProgress)
+  }
+  onProgress({ loaded: file.size, total: file.size })
+
+  // Accept a top-level array, or the first array property of a wrapper object ({ data: [...] })
+  let rows = document
+  if (!Array.isArray(rows) && rows && typeof rows === 'object') {
+    rows = Object.values(rows).find(Array.isArray) || [rows]
+  }
+  if (!Array.isArray(rows)) rows = [rows]
+  rows.forEach(row => profiler.addRow(toRecord(row)))
+  return []
+}
+
+async function profileParquet(file, profiler, onProgress) {
+  const asyncBuffer = {
+    byteLength: file.size,
+    slice: (start, end) => file.slice(start, end).arrayBuffer()
+  }
+  const metadata = await parquetMetadataAsync(asyncBuffer)
+  const total = Number(metadata.num_rows)
+
+  for (let rowStart = 0; rowStart < total; rowStart += PARQUET_BATCH_ROWS) {
+    const rowEnd = Math.min(total, rowStart + PARQUET_BATCH_ROWS)
+    const rows = await parquetReadObjects({ file: asyncBuffer, metadata, rowStart, rowEnd })
+    rows.forEach(row => profiler.addRow(row))
+    onProgress({ loaded: Math.round((rowEnd / total) * file.size), total: file.size })
+  }
+  return []
+}
+
+function baseReport(file, format) {
+  return {
+    schema: ANALYSIS_REPORT_SCHEMA,
+    version: ANALYSIS_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    file: { name: file.name, size: file.size, type: file.type || null, format }
+  }
+}
+
+// A report with no profile, only the warning saying why
+function emptyReport(report, warning) {
+  return {
+    ...report,
+    rowCount: null,
+    columnCount: null,
+    columns: [],
+    qualityScore: null,
+    scoreBreakdown: null,
+    warnings: [warning]
+  }
+}
+
+/**
+ * Report for a file the profiler could not get through (a JSON document too large
+ * to parse, a corrupt Parquet file...), so the dataset can still be published
+ * file can be { name, size, type } when the File itself is no longer selected.
+ */
+export async function analysisFailureReport(file, error) {
+  const format = await detectFormat(file).catch(() => null)
+  return emptyReport(baseReport(file, format), { code: 'analysis-failed', message: error.message })
+}
+
+/**
+ * Profile a file and build the complete analysis report
+ * onProgress({ loaded, total }) reports approximate bytes processed.
+ */
+export async function analyzeFile(file, { onProgress = () => {} } = {}) {
+  const format = await detectFormat(file)
+  const report = baseReport(file, format)
+
+  if (!format) {
+    return emptyReport(report, { code: 'unsupported-format', message: 'Only CSV, TSV, JSON, JSON Lines and Parquet files can be profiled' })
+  }
+
+  const profiler = createProfiler()
+  let parseWarnings
+  if (format === 'csv' || format === 'tsv') {
+    parseWarnings = await profileCsv(file, format, profiler, onProgress)
+  } else if (format === 'jsonl') {
+    parseWarnings = await profileJsonLines(file, profiler, onProgress)
+  } else if (format === 'json') {
+    parseWarnings = await profileJson(file, profiler, onProgress)
+  } else {
+    parseWarnings = await profileParquet(file, profiler, onProgress)
+  }
+
+  const profile = profiler.finish()
+  return { ...report, ...profile, ...scoreProfile(profile, parseWarnings) }
+}
@@ -0,0 +1,99 @@
+/**
+ * Dataset purchase flow
+ * QuantumAi.purchaseDataset pulls the price with ERC-20 transferFrom in the
+ * dataset's price token, so the buyer must hold enough of that token and have
+ * approved the marketplace first.
+ * Afterwards the buyer publishes a key-delivery public key so the seller can
+ * send the dataset's decryption key.
+ *
+ * Holders of an earlier version can instead upgrade with purchaseUpgrade at the
+ * version's upgrade price (which may be zero).
+ */
+
+import {
+  getDatasetById,
+  getTokenPaymentStatus,
+  approveToken,
+  purchaseDataset,
+  purchaseUpgrade,
+  getUpgradePrice,
+  decodeContractError
+} from './contract.js'
+import { registerBuyerKey } from './keyDelivery.js'
+
+export const PURCHASE_STEPS = [
+  { key: 'check', label: 'Check balance & allowance' },
+  { key: 'approve', label: 'Approve token spending' },
+  { key: 'purchase', label: 'Purchase dataset' },
+  { key: 'key', label: 'Share key-delivery public key' }
+]
+
+/**
+ * Run the full purchase: verify the listing, check balance and allowance,
+ * approve if needed, buy, then share the buyer's key-delivery public key.
+ * Pass upgradeFrom (the id of an earlier version the buyer owns) to upgrade instead.
+ * onStep(stepKey, status, detail) is called with status 'active' | 'done' | 'skipped' | 'error'
+ */
+export async function purchaseWithApproval(dataset, tokenAddress, buyerAddress, onStep = () => {}, { upgradeFrom = null } = {}) {
+  let step = 'check'
+
+  try {
+    onStep('check', 'active')
+
+    // Re-read the dataset so we pay the current on-chain price for the right id
+    const onChain = await getDatasetById(dataset.id)
+    if (onChain.datasetCID !== dataset.datasetCID) {
+      throw new Error('This listing is out of date, please refresh the marketplace')
+    }
+    if (!onChain.isPaid) {
+      throw new Error('This dataset is free, no purchase needed')
+    }
+    if (onChain.uploader.toLowerCase() === buyerAddress.toLowerCase()) {
+      throw new Error('You cannot buy your own dataset')
+    }
+
+    if (onChain.priceToken && onChain.priceToken.address.toLowerCase() !== tokenAddress.toLowerCase()) {
+      throw new Error(`This dataset is priced in ${onChain.priceToken.symbol}`)
+    }
+
+    const price = upgradeFrom === null ? onChain.priceRaw : await getUpgradePrice(dataset.id)
+    const { balance, allowance } = await getTokenPaymentStatus(tokenAddress, buyerAddress)
+    if (balance.lt(price)) {
+      throw new Error('Token balance is too low for this purchase')
+    }
+    onStep('check', 'done', { balance, allowance, price })
+
+    step = 'approve'
+    if (allowance.lt(price)) {
+      onStep('approve', 'active')
+      const approveHash = await approveToken(tokenAddress, price)
+      onStep('approve', 'done', { hash: approveHash })
+    } else {
+      onStep('approve', 'skipped')
+    }
+
+    step = 'purchase'
+    onStep('purchase', 'active')
+    const hash = upgradeFrom === null
+      ? await purchaseDataset(dataset.id, tokenAddress)
+      : await purchaseUpgrade(dataset.id, upgradeFrom, tokenAddress)
+    onStep('purchase', 'done', { hash })
+
+    // Access is already paid for; a failed key registration can be retried from My Purchases
+    onStep('key', 'active')
+    try {
+      await registerBuyerKey(buyerAddress)
+      onStep('key', 'done')
+    } catch (error) {
+      console.warn('Could not publish key-delivery public key:', error)
+      onStep('key', 'error', { message: 'Could not share your public key. Retry from My Purchases.' })
+    }
+
+    return hash
+  } catch (error) {
+    console.error(`Purchase failed at step "${step}":`, error)
+    const message = decodeContractError(error)
+    onStep(step, 'error', { message })
+    throw new Error(message)
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Marketplace search
+ * Metadata predicates (category, license) and quality scores come from storage
+ * queries (queryArkiv on the Arkiv backend); full-text matching runs over the
+ * joined dataset.info, and counters, prices and dates come from the chain data.
+ */
+
+import { getStorageProvider } from './storage/index.js'
+import { ANALYSIS_REPORT_TYPE } from './analysis.js'
+
+export const SORT_OPTIONS = [
+  { id: 'listed', label: 'Listing order' },
+  { id: 'newest', label: 'Newest' },
+  { id: 'downloads', label: 'Most downloaded' },
+  { id: 'views', label: 'Most viewed' },
+  { id: 'price-asc', label: 'Price: low to high' },
+  { id: 'price-desc', label: 'Price: high to low' }
+]
+
+export const DEFAULT_CRITERIA = {
+  text: '',
+  access: 'all', // 'all' | 'free' | 'paid'
+  minPrice: '',
+  maxPrice: '',
+  category: '',
+  license: '',
+  uploader: '',
+  minQuality: '',
+  // Listing order is the order pages arrive in, so infinite scroll only ever appends
+  sort: 'listed'
+}
+
+// Analysis reports are immutable, so a dataset's score never changes once read
+const qualityScores = new Map()
+
+function ownedBy(entity, address) {
+  return !entity.owner || entity.owner.toLowerCase() === address.toLowerCase()
+}
+
+/**
+ * Whether any filter differs from the defaults (sorting doesn't count)
+ */
+export function hasActiveFilters(criteria) {
+  return Object.keys(DEFAULT_CRITERIA).some(key => key !== 'sort' && criteria[key] !== DEFAULT_CRITERIA[key])
+}
+
+/**
+ * Whether the criteria need every page loaded to give complete results
+ * (any filter, or a sort other than listing order)
+ */
+export function needsFullCatalog(criteria) {
+  return hasActiveFilters(criteria) || criteria.sort !== DEFAULT_CRITERIA.sort
+}
+
+// Quality scores from the analysis report entities the datasets point at on-chain
+async function loadQualityScores(storage, datasets) {
+  const missing = datasets.filter(d => d.analysisCID && !qualityScores.has(d.analysisCID))
+  if (missing.length > 0) {
+    const entities = await storage.query({
+      cids: missing.map(d => d.analysisCID),
+      metadata: { type: ANALYSIS_REPORT_TYPE }
+    })
+    for (const dataset of missing) {
+      const entity = entities.find(e => e.cid === dataset.analysisCID && ownedBy(e, dataset.uploader))
+      const score = entity?.metadata?.qualityScore
+      qualityScores.set(dataset.analysisCID, typeof score === 'number' ? score : null)
+    }
+  }
+  return datasets.map(d => ({ ...d, qualityScore: qualityScores.get(d.analysisCID) ?? null }))
+}
+
+// CIDs of datasets whose storage metadata matches the category/license predicates
+async function queryMetadataMatches(storage, datasets, criteria) {
+  const metadata = {}
+  if (criteria.category) metadata.category = criteria.category
+  if (criteria.license) metadata.license = criteria.license
+  if (Object.keys(metadata).length === 0) return null
+
+  const entities = await storage.query({ cids: datasets.map(d => d.datasetCID), metadata })
+  const uploaders = new Map(datasets.map(d => [d.datasetCID, d.uploader]))
+  return new Set(entities.filter(e => uploaders.has(e.cid) && ownedBy(e, uploaders.get(e.cid))).map(e => e.cid))
+}
+
+function matchesText(dataset, text) {
+  const info = dataset.info
+  if (!info) return false
+  const haystack = [info.title, info.description, info.category, ...info.tags].join(' ').toLowerCase()
+  return text.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term))
+}
+
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null
+  const number = parseFloat(value)
+  return Number.isNaN(number) ? null : number
+}
+
+function compareDatasets(sort) {
+  const price = (d) => (d.isPaid ? parseFloat(d.price) : 0)
+  switch (sort) {
+    case 'downloads': return (a, b) => b.downloads - a.downloads || b.timestamp - a.timestamp
+    case 'views': return (a, b) => b.views - a.views || b.timestamp - a.timestamp
+    case 'price-asc': return (a, b) => price(a) - price(b) || b.timestamp - a.timestamp
+    case 'price-desc': return (a, b) => price(b) - price(a) || b.timestamp - a.timestamp
+    case 'newest': return (a, b) => b.timestamp - a.timestamp || b.id - a.id
+    default: return (a, b) => a.id - b.id
+  }
+}
+
+/**
+ * Filter and sort datasets by the given criteria (see DEFAULT_CRITERIA)
+ * Returns new dataset objects with qualityScore attached.
+ */
+export async function searchDatasets(datasets, criteria, walletAddress) {
+  let candidates = datasets
+  let metadataMatches = null
+
+  try {
+    const storage = await getStorageProvider(walletAddress)
+    metadataMatches = await queryMetadataMatches(storage, datasets, criteria)
+    candidates = await loadQualityScores(storage, datasets)
+  } catch (error) {
+    // Fall back to the metadata already joined onto the datasets
+    console.warn('Storage query failed, filtering on joined metadata only:', error.message)
+    candidates = datasets.map(d => ({ ...d, qualityScore: qualityScores.get(d.analysisCID) ?? null }))
+  }
+
+  const minPrice = toNumber(criteria.minPrice)
+  const maxPrice = toNumber(criteria.maxPrice)
+  const minQuality = toNumber(criteria.minQuality)
+  const uploader = criteria.uploader.trim().toLowerCase()
+  const text = criteria.text.trim()
+
+  const results = candidates.filter(d => {
+    if (metadataMatches) {
+      if (!metadataMatches.has(d.datasetCID)) return false
+    } else {
+      if (criteria.category && d.info?.category !== criteria.category) return false
+      if (criteria.license && d.info?.license !== criteria.license) return false
+    }
+    if (criteria.access === 'free' && d.isPaid) return false
+    if (criteria.access === 'paid' && !d.isPaid) return false
+
+    const price = d.isPaid ? parseFloat(d.price) : 0
+    if (minPrice !== null && price < minPrice) return false
+    if (maxPrice !== null && price > maxPrice) return false
+
+    if (uploader && !d.uploader.toLowerCase().startsWith(uploader)) return false
+    if (minQuality !== null && (d.qualityScore === null || d.qualityScore < minQuality)) return false
+    if (text && !matchesText(d, text)) return false
+    return true
+  })
+
+  return results.sort(compareDatasets(criteria.sort))
+}
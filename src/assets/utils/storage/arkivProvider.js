@@ -0,0 +1,48 @@
+/**
+ * Arkiv storage provider
+ * Adapts the Arkiv REST client in arkiv.js to the StorageProvider interface
+ */
+
+import {
+  initArkivClient,
+  uploadToArkiv,
+  startArkivUpload,
+  uploadArkivChunk,
+  getArkivUploadStatus,
+  completeArkivUpload,
+  abortArkivUpload,
+  readFromArkiv,
+  readStreamFromArkiv,
+  getArkivMetadata,
+  updateArkivMetadata,
+  deleteFromArkiv,
+  queryArkiv,
+  setArkivTTL,
+  subscribeToArkiv
+} from '../arkiv.js'
+
+/**
+ * @returns {Promise<import('./index.js').StorageProvider>}
+ */
+export async function createArkivProvider(walletAddress, signer) {
+  const client = await initArkivClient(walletAddress, signer)
+
+  return {
+    name: 'arkiv',
+    client,
+    upload: (file, options = {}) => uploadToArkiv(file, client, options),
+    startUpload: (session) => startArkivUpload(session, client),
+    uploadChunk: (uploadId, index, chunk, sha256, options = {}) => uploadArkivChunk(uploadId, index, chunk, sha256, client, options),
+    getUploadStatus: (uploadId) => getArkivUploadStatus(uploadId, client),
+    completeUpload: (uploadId, options = {}) => completeArkivUpload(uploadId, options, client),
+    abortUpload: (uploadId) => abortArkivUpload(uploadId, client),
+    read: (cid) => readFromArkiv(cid, client),
+    readStream: (cid) => readStreamFromArkiv(cid, client),
+    getMetadata: (cid) => getArkivMetadata(cid, client),
+    updateMetadata: (cid, metadata) => updateArkivMetadata(cid, metadata, client),
+    delete: (cid) => deleteFromArkiv(cid, client),
+    query: (query) => queryArkiv(query, client),
+    setTTL: (cid, ttlSeconds) => setArkivTTL(cid, ttlSeconds, client),
+    subscribe: (cid, callback) => subscribeToArkiv(cid, callback, client)
+  }
+}
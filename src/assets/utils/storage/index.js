@@ -0,0 +1,104 @@
+/**
+ * Storage provider selection
+ * The backend is chosen by STORAGE_BACKEND in src/config/storage-config.ts,
+ * never by falling back when one of them fails.
+ */
+
+import { ethers } from 'ethers'
+import { STORAGE_BACKEND } from '../../../config/storage-config'
+import { verifyBlobCID, isVerifiableCID, computeFileCID } from '../cid.js'
+
+/**
+ * @typedef {Object} StorageProvider
+ * @property {string} name - 'arkiv' | 'local'
+ * @property {(file: Blob, options?: { metadata?: Object, ttl?: number|null, cid?: string }) => Promise<string>} upload - returns the CID (options.cid is the precomputed content CID)
+ * @property {(session: { cid: string, name: string, size: number, chunkSize: number, ttl?: number|null }) => Promise<{ uploadId: string }>} startUpload - opens a chunked upload session
+ * @property {(uploadId: string, index: number, chunk: Blob, sha256: string, options?: { signal?: AbortSignal }) => Promise<void>} uploadChunk - sha256 is the chunk's hex digest, checked by the backend
+ * @property {(uploadId: string) => Promise<{ receivedChunks: number[] }>} getUploadStatus
+ * @property {(uploadId: string, options?: { metadata?: Object }) => Promise<string>} completeUpload - returns the CID
+ * @property {(uploadId: string) => Promise<void>} abortUpload
+ * @property {(cid: string) => Promise<Blob>} read
+ * @property {(cid: string) => Promise<Response>} readStream - response.body streams the file
+ * @property {(cid: string) => Promise<Object>} getMetadata
+ * @property {(cid: string, metadata: Object) => Promise<Object>} updateMetadata
+ * @property {(cid: string) => Promise<Object>} delete
+ * @property {(query: Object) => Promise<Object[]>} query
+ * @property {(cid: string, ttlSeconds: number|null) => Promise<Object>} setTTL
+ * @property {(cid: string, callback: Function) => Promise<Function>} subscribe - resolves with an unsubscribe function
+ *
+ * read/readStream failures carry error.code 'not-found' or 'expired' when the backend can tell;
+ * upload session calls use 'not-found' for unknown sessions and 'hash-mismatch' for corrupt chunks.
+ */
+
+const providers = {}
+
+export function getStorageBackend() {
+  return STORAGE_BACKEND
+}
+
+/**
+ * Get the configured storage provider for a wallet (cached per backend + address)
+ * Providers are loaded lazily so the Arkiv client never blocks app start-up.
+ * @returns {Promise<StorageProvider>}
+ */
+export async function getStorageProvider(walletAddress) {
+  if (!walletAddress) {
+    throw new Error('Wallet not connected')
+  }
+
+  const key = `${STORAGE_BACKEND}:${walletAddress.toLowerCase()}`
+  if (!providers[key]) {
+    providers[key] = createProvider(walletAddress).catch(error => {
+      delete providers[key]
+      throw error
+    })
+  }
+  return providers[key]
+}
+
+/**
+ * Read a file and check that its bytes hash to the CID it was requested by
+ * CIDs we can't recompute (legacy or non-sha2-256) are returned unverified with a warning.
+ * @returns {Promise<Blob>}
+ */
+export async function readVerified(storage, cid) {
+  const blob = await storage.read(cid)
+  if (isVerifiableCID(cid)) {
+    await verifyBlobCID(blob, cid)
+  } else {
+    console.warn(`Cannot verify legacy CID ${cid}, skipping integrity check`)
+  }
+  return blob
+}
+
+/**
+ * Upload a file under its content CID (computed here) and check the backend stored it
+ * under the same CID
+ * @returns {Promise<string>} the CID
+ */
+export async function uploadVerified(storage, file, options = {}) {
+  const cid = await computeFileCID(file)
+  const storedCID = await storage.upload(file, { ...options, cid })
+  if (storedCID !== cid) {
+    throw new Error(`Storage returned CID ${storedCID} but ${file.name || 'the file'} hashes to ${cid}`)
+  }
+  return cid
+}
+
+async function createProvider(walletAddress) {
+  if (STORAGE_BACKEND === 'local') {
+    const { createLocalProvider } = await import('./localProvider.js')
+    return createLocalProvider(walletAddress)
+  }
+
+  if (STORAGE_BACKEND === 'arkiv') {
+    if (!window.ethereum) {
+      throw new Error('Wallet not connected')
+    }
+    const { createArkivProvider } = await import('./arkivProvider.js')
+    const provider = new ethers.providers.Web3Provider(window.ethereum)
+    return createArkivProvider(walletAddress, provider.getSigner())
+  }
+
+  throw new Error(`Unknown storage backend "${STORAGE_BACKEND}". Use 'arkiv' or 'local' in src/config/storage-config.ts`)
+}
@@ -0,0 +1,267 @@
+/**
+ * Local storage provider
+ * Deterministic, IndexedDB-backed stand-in for Arkiv used in development and tests.
+ * Files are content-addressed with real CIDv1 identifiers, so the same bytes always
+ * get the same CID, and metadata, TTL, queries and subscriptions behave like Arkiv.
+ */
+
+import { openDatabase, runTransaction, idbRequest, getRecord, getAllRecords, deleteRecord } from '../idb.js'
+import { computeFileCID, sha256Hex } from '../cid.js'
+
+const DB_NAME = 'quantum-local-storage'
+const DB_VERSION = 2
+
+let dbPromise = null
+const listeners = {}
+let channel = null
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+      if (oldVersion < 1) {
+        const entities = db.createObjectStore('entities', { keyPath: 'cid' })
+        entities.createIndex('owner', 'owner')
+      }
+      if (oldVersion < 2) {
+        // Chunked upload sessions and the chunks received for them
+        db.createObjectStore('uploads', { keyPath: 'uploadId' })
+        db.createObjectStore('chunks', { keyPath: 'key' }).createIndex('uploadId', 'uploadId')
+      }
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Subscriptions also reach other tabs through a BroadcastChannel
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(DB_NAME)
+    channel.onmessage = (event) => deliver(event.data)
+  }
+  return channel
+}
+
+function deliver(update) {
+  for (const callback of listeners[update.cid] || []) {
+    try {
+      callback(update)
+    } catch (error) {
+      console.error('Local storage subscriber error:', error)
+    }
+  }
+}
+
+function notify(update) {
+  deliver(update)
+  getChannel()?.postMessage(update)
+}
+
+function isExpired(entity) {
+  return entity.expiresAt !== null && entity.expiresAt <= Date.now()
+}
+
+function describe(entity) {
+  return {
+    cid: entity.cid,
+    owner: entity.owner,
+    metadata: entity.metadata,
+    size: entity.blob.size,
+    createdAt: entity.createdAt,
+    updatedAt: entity.updatedAt,
+    expiresAt: entity.expiresAt
+  }
+}
+
+function matchesQuery(entity, query) {
+  if (query.owner && entity.owner !== query.owner.toLowerCase()) return false
+  if (query.cids && !query.cids.includes(entity.cid)) return false
+  for (const [key, value] of Object.entries(query.metadata || {})) {
+    if (entity.metadata?.[key] !== value) return false
+  }
+  return true
+}
+
+/**
+ * @returns {Promise<import('./index.js').StorageProvider>}
+ */
+export async function createLocalProvider(walletAddress) {
+  if (!walletAddress) {
+    throw new Error('Wallet not connected')
+  }
+  const owner = walletAddress.toLowerCase()
+  const db = await getDatabase()
+
+  async function getLiveEntity(cid) {
+    const entity = await getRecord(db, 'entities', cid)
+    if (!entity) {
+      throw Object.assign(new Error(`No file stored for CID ${cid}`), { code: 'not-found' })
+    }
+    if (isExpired(entity)) {
+      await deleteRecord(db, 'entities', cid)
+      throw Object.assign(new Error(`File ${cid} has expired`), { code: 'expired' })
+    }
+    return entity
+  }
+
+  async function getOwnedEntity(cid) {
+    const entity = await getLiveEntity(cid)
+    if (entity.owner !== owner) {
+      throw new Error('Only the uploader can modify this file')
+    }
+    return entity
+  }
+
+  async function storeEntity(cid, blob, options) {
+    const now = Date.now()
+    await runTransaction(db, 'entities', 'readwrite', async (stores) => {
+      let existing = await idbRequest(stores.entities.get(cid))
+      if (existing && isExpired(existing)) existing = null
+      // Re-uploading identical bytes keeps the original owner, like any content-addressed store.
+      // Another wallet's upload leaves the owner's metadata and TTL as they were.
+      if (existing && existing.owner !== owner) return
+      await idbRequest(stores.entities.put({
+        cid,
+        owner,
+        blob,
+        metadata: { ...existing?.metadata, ...options.metadata },
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        expiresAt: options.ttl ? now + options.ttl * 1000 : existing?.expiresAt ?? null
+      }))
+    })
+    notify({ cid, action: 'upload' })
+  }
+
+  async function getSession(uploadId) {
+    const session = await getRecord(db, 'uploads', uploadId)
+    if (!session || session.owner !== owner) {
+      throw Object.assign(new Error(`No upload session ${uploadId}`), { code: 'not-found' })
+    }
+    return session
+  }
+
+  async function discardSession(uploadId) {
+    await runTransaction(db, ['uploads', 'chunks'], 'readwrite', async (stores) => {
+      const keys = await idbRequest(stores.chunks.index('uploadId').getAllKeys(uploadId))
+      for (const key of keys) stores.chunks.delete(key)
+      stores.uploads.delete(uploadId)
+    })
+  }
+
+  return {
+    name: 'local',
+
+    async upload(file, options = {}) {
+      const cid = options.cid || await computeFileCID(file)
+      await storeEntity(cid, file instanceof Blob ? file : new Blob([file]), options)
+      return cid
+    },
+
+    async startUpload({ cid, name, size, chunkSize, ttl = null }) {
+      const uploadId = crypto.randomUUID()
+      await runTransaction(db, 'uploads', 'readwrite', stores => idbRequest(stores.uploads.put({
+        uploadId, owner, cid, name, size, chunkSize, ttl, createdAt: Date.now()
+      })))
+      return { uploadId }
+    },
+
+    async uploadChunk(uploadId, index, chunk, sha256) {
+      await getSession(uploadId)
+      if (await sha256Hex(await chunk.arrayBuffer()) !== sha256) {
+        throw Object.assign(new Error(`Chunk ${index} does not match its hash`), { code: 'hash-mismatch' })
+      }
+      await runTransaction(db, 'chunks', 'readwrite', stores => idbRequest(stores.chunks.put({
+        key: `${uploadId}:${index}`, uploadId, index, blob: chunk
+      })))
+    },
+
+    async getUploadStatus(uploadId) {
+      await getSession(uploadId)
+      const chunks = await getAllRecords(db, 'chunks', 'uploadId', uploadId)
+      return { receivedChunks: chunks.map(chunk => chunk.index) }
+    },
+
+    async completeUpload(uploadId, { metadata = {} } = {}) {
+      const session = await getSession(uploadId)
+      const chunks = (await getAllRecords(db, 'chunks', 'uploadId', uploadId)).sort((a, b) => a.index - b.index)
+      const expected = Math.ceil(session.size / session.chunkSize)
+      if (chunks.length !== expected) {
+        throw new Error(`Upload is missing ${expected - chunks.length} of ${expected} chunks`)
+      }
+
+      const blob = new Blob(chunks.map(chunk => chunk.blob))
+      if (await computeFileCID(blob) !== session.cid) {
+        throw Object.assign(new Error('Assembled file does not match its CID'), { code: 'hash-mismatch' })
+      }
+      await storeEntity(session.cid, blob, { metadata, ttl: session.ttl })
+      await discardSession(uploadId)
+      return session.cid
+    },
+
+    async abortUpload(uploadId) {
+      await discardSession(uploadId)
+    },
+
+    async read(cid) {
+      return (await getLiveEntity(cid)).blob
+    },
+
+    async readStream(cid) {
+      const entity = await getLiveEntity(cid)
+      const headers = { 'Content-Length': String(entity.blob.size) }
+      if (entity.metadata?.name) {
+        headers['Content-Disposition'] = `attachment; filename="${entity.metadata.name}"`
+      }
+      return new Response(entity.blob, { headers })
+    },
+
+    async getMetadata(cid) {
+      return (await getLiveEntity(cid)).metadata
+    },
+
+    async updateMetadata(cid, metadata) {
+      const entity = await getOwnedEntity(cid)
+      const updated = { ...entity, metadata: { ...entity.metadata, ...metadata }, updatedAt: Date.now() }
+      await runTransaction(db, 'entities', 'readwrite', stores => idbRequest(stores.entities.put(updated)))
+      notify({ cid, action: 'update', metadata: updated.metadata })
+      return describe(updated)
+    },
+
+    async delete(cid) {
+      await getOwnedEntity(cid)
+      await deleteRecord(db, 'entities', cid)
+      notify({ cid, action: 'delete' })
+      return { cid, deleted: true }
+    },
+
+    async query(query = {}) {
+      const all = query.owner
+        ? await getAllRecords(db, 'entities', 'owner', query.owner.toLowerCase())
+        : await getAllRecords(db, 'entities')
+      const results = all
+        .filter(entity => !isExpired(entity) && matchesQuery(entity, query))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(describe)
+      return query.limit ? results.slice(0, query.limit) : results
+    },
+
+    async setTTL(cid, ttlSeconds) {
+      const entity = await getOwnedEntity(cid)
+      const updated = { ...entity, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null, updatedAt: Date.now() }
+      await runTransaction(db, 'entities', 'readwrite', stores => idbRequest(stores.entities.put(updated)))
+      notify({ cid, action: 'ttl', expiresAt: updated.expiresAt })
+      return describe(updated)
+    },
+
+    async subscribe(cid, callback) {
+      getChannel()
+      listeners[cid] = [...(listeners[cid] || []), callback]
+      return () => {
+        listeners[cid] = (listeners[cid] || []).filter(cb => cb !== callback)
+      }
+    }
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Transaction tracker
+ * Every transaction the app sends is recorded in IndexedDB with what it was for
+ * (its purpose and dataset id) and followed until it is confirmed, fails or is
+ * replaced in the wallet. Records survive reloads: pending hashes are watched
+ * again when the wallet reconnects, and the activity drawer lists them all.
+ */
+
+import { ethers } from 'ethers'
+import { openDatabase, getRecord, getAllRecords, putRecord, deleteRecord } from './idb.js'
+import { NETWORK_CONFIG } from '../../config/contract-config'
+import { TX_CONFIRMATIONS } from '../../config/app-config'
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced'
+}
+
+export const TX_PURPOSES = {
+  publish: 'Publish dataset',
+  'publish-version': 'Publish new version',
+  price: 'Update price',
+  list: 'List on marketplace',
+  delist: 'Delist from marketplace',
+  analysis: 'Update analysis report',
+  approve: 'Approve token spending',
+  purchase: 'Purchase dataset',
+  upgrade: 'Upgrade to new version',
+  download: 'Record download',
+  view: 'Record view'
+}
+
+const DB_NAME = 'quantum-transactions'
+const DB_VERSION = 1
+// How long a resumed watch waits before checking whether the transaction was dropped
+const WATCH_INTERVAL_MS = 60 * 1000
+// Checks in a row that find neither a receipt nor the transaction before it counts as dropped
+const MAX_MISSING_CHECKS = 3
+
+let dbPromise = null
+let channel = null
+const listeners = new Set()
+// Hashes something in this tab is already waiting on
+const watching = new Set()
+
+function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore('transactions', { keyPath: 'hash' }).createIndex('account', 'account')
+    }).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+// Changes also reach other tabs through a BroadcastChannel
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(DB_NAME)
+    channel.onmessage = (event) => deliver(event.data)
+  }
+  return channel
+}
+
+function deliver(record) {
+  for (const callback of listeners) {
+    try {
+      callback(record)
+    } catch (error) {
+      console.error('Transaction subscriber error:', error)
+    }
+  }
+}
+
+// Tracking is best effort: a transaction that can't be recorded is still sent and waited on
+async function saveRecord(record) {
+  try {
+    await putRecord(await getDatabase(), 'transactions', record)
+  } catch (error) {
+    console.warn(`Could not record transaction ${record.hash}:`, error.message)
+  }
+  deliver(record)
+  getChannel()?.postMessage(record)
+  return record
+}
+
+/**
+ * Call callback(record) whenever a transaction is recorded or changes status, in any tab
+ * Returns an unsubscribe function.
+ */
+export function subscribeTransactions(callback) {
+  getChannel()
+  listeners.add(callback)
+  return () => listeners.delete(callback)
+}
+
+/**
+ * Transactions sent from account, newest first
+ */
+export async function listTransactions(account) {
+  if (!account) return []
+  const records = await getAllRecords(await getDatabase(), 'transactions', 'account', account.toLowerCase())
+  return records.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+/**
+ * Forget account's transactions that are no longer pending
+ */
+export async function clearFinishedTransactions(account) {
+  const db = await getDatabase()
+  for (const record of await listTransactions(account)) {
+    if (record.status !== TX_STATUS.PENDING) await deleteRecord(db, 'transactions', record.hash)
+  }
+}
+
+/**
+ * Record a transaction that was just sent, as pending
+ */
+export async function trackTransaction(tx, { purpose, datasetId = null } = {}) {
+  watching.add(tx.hash)
+  const now = Date.now()
+  return saveRecord({
+    hash: tx.hash,
+    account: tx.from.toLowerCase(),
+    nonce: tx.nonce,
+    purpose,
+    datasetId,
+    status: TX_STATUS.PENDING,
+    blockNumber: null,
+    replacedBy: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  })
+}
+
+/**
+ * Merge changes into a recorded transaction; a status other than pending stops watching it
+ */
+export async function updateTransaction(hash, changes) {
+  if (changes.status && changes.status !== TX_STATUS.PENDING) watching.delete(hash)
+  let record = null
+  try {
+    record = await getRecord(await getDatabase(), 'transactions', hash)
+  } catch (error) {
+    console.warn(`Could not read transaction ${hash}:`, error.message)
+  }
+  if (!record) return null
+  return saveRecord({ ...record, ...changes, updatedAt: Date.now() })
+}
+
+/**
+ * Settle a recorded transaction from its receipt (status 0 means it reverted)
+ */
+export function settleTransaction(hash, receipt) {
+  return updateTransaction(hash, receipt.status === 0
+    ? { status: TX_STATUS.FAILED, blockNumber: receipt.blockNumber, error: 'Transaction reverted' }
+    : { status: TX_STATUS.CONFIRMED, blockNumber: receipt.blockNumber })
+}
+
+// Without the original TransactionResponse, a replacement shows up as the hash
+// disappearing while the account's nonce moves past it. A hash that stays gone
+// without the nonce moving was dropped by the network and is marked failed.
+async function watchTransaction(provider, record) {
+  watching.add(record.hash)
+  let missingChecks = 0
+  try {
+    for (;;) {
+      try {
+        const receipt = await provider.waitForTransaction(record.hash, TX_CONFIRMATIONS, WATCH_INTERVAL_MS)
+        await settleTransaction(record.hash, receipt)
+        return
+      } catch (error) {
+        if (error.code !== ethers.errors.TIMEOUT) throw error
+      }
+      if (!watching.has(record.hash)) return
+      const [tx, nonce] = await Promise.all([
+        provider.getTransaction(record.hash),
+        provider.getTransactionCount(record.account, 'latest')
+      ])
+      if (tx) {
+        missingChecks = 0
+        continue
+      }
+      if (nonce > record.nonce) {
+        await updateTransaction(record.hash, { status: TX_STATUS.REPLACED, error: 'Dropped or replaced in the wallet' })
+        return
+      }
+      if (++missingChecks >= MAX_MISSING_CHECKS) {
+        await updateTransaction(record.hash, { status: TX_STATUS.FAILED, error: 'Dropped by the network before it was mined' })
+        return
+      }
+    }
+  } catch (error) {
+    console.warn(`Stopped watching transaction ${record.hash}:`, error.message)
+  } finally {
+    watching.delete(record.hash)
+  }
+}
+
+/**
+ * Watch account's pending transactions left over from an earlier session until they settle
+ */
+export async function resumePendingTransactions(account) {
+  if (!account || !window.ethereum) return
+  const provider = new ethers.providers.Web3Provider(window.ethereum)
+  const pending = (await listTransactions(account))
+    .filter(record => record.status === TX_STATUS.PENDING && !watching.has(record.hash))
+  for (const record of pending) watchTransaction(provider, record)
+}
+
+/**
+ * Block explorer link for a transaction
+ */
+export function explorerTxUrl(hash) {
+  const [explorer] = NETWORK_CONFIG.blockExplorerUrls || []
+  return explorer ? `${explorer.replace(/\/$/, '')}/tx/${hash}` : null
+}
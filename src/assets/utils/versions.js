@@ -0,0 +1,90 @@
+/**
+ * Dataset versions
+ * A new upload can declare a parent dataset; the contract records the lineage
+ * (parent, root, version, upgrade price) and the file's storage metadata carries
+ * parentId, parentCID, rootId, version and a changelog. The marketplace shows
+ * one listing per line of versions, and holders of an earlier version can
+ * upgrade at the version's upgrade price.
+ */
+
+import { getDatasetVersions, hasDownloadAccess } from './contract.js'
+
+// Datasets from older snapshots (or the demo) may have no lineage attached
+export function lineageOf(dataset) {
+  return dataset.lineage || { rootId: dataset.id, parentId: null, version: 1, upgradePrice: null }
+}
+
+/**
+ * Storage metadata recording where a new version comes from
+ */
+export function buildLineageMetadata(parent) {
+  const lineage = lineageOf(parent)
+  return {
+    parentId: parent.id,
+    parentCID: parent.datasetCID,
+    rootId: lineage.rootId,
+    version: lineage.version + 1
+  }
+}
+
+/**
+ * The datasets a new version can build on: the latest version of each of the uploader's lines
+ */
+export function latestVersions(datasets) {
+  const superseded = new Set(datasets.map(d => lineageOf(d).parentId).filter(id => id !== null))
+  return datasets.filter(d => !superseded.has(d.id))
+}
+
+/**
+ * Collapse versions of the same dataset into one entry, keeping the order of the input
+ * Each entry is the newest version present, with dataset.versions listing every
+ * version present (newest first).
+ */
+export function groupVersions(datasets) {
+  const groups = new Map()
+  for (const dataset of datasets) {
+    const rootId = lineageOf(dataset).rootId
+    if (!groups.has(rootId)) groups.set(rootId, [])
+    groups.get(rootId).push(dataset)
+  }
+
+  return [...groups.values()].map(members => {
+    const versions = [...members].sort((a, b) => lineageOf(b).version - lineageOf(a).version)
+    return { ...versions[0], versions }
+  })
+}
+
+/**
+ * An earlier paid version of the same line the connected wallet has access to, or null
+ * versions is the full line from getDatasetVersions.
+ */
+export async function findOwnedEarlierVersion(dataset, versions) {
+  const current = lineageOf(dataset).version
+  const earlier = versions
+    .filter(v => v.isPaid && lineageOf(v).version < current)
+    .sort((a, b) => lineageOf(b).version - lineageOf(a).version)
+
+  for (const version of earlier) {
+    try {
+      if (await hasDownloadAccess(version.id)) return version
+    } catch (error) {
+      console.warn(`Could not check access to dataset ${version.id}:`, error.message)
+    }
+  }
+  return null
+}
+
+/**
+ * The newest listed version of a purchased dataset that the buyer doesn't have yet
+ * Returns { latest, free } or null when the purchase is already the newest version.
+ */
+export async function findUpgrade(purchase) {
+  const versions = await getDatasetVersions(purchase)
+  const listed = versions.filter(v => v.isPublic && !v.isPrivate)
+  const latest = listed[listed.length - 1]
+  if (!latest || lineageOf(latest).version <= lineageOf(purchase).version) return null
+
+  if (!latest.isPaid) return { latest, free: true }
+  if (await hasDownloadAccess(latest.id)) return null
+  return { latest, free: false }
+}
@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { AlertTriangle, Loader2, FileQuestion } from 'lucide-react'
+import { fetchAnalysisReport } from '../assets/utils/analysis.js'
+
+function scoreColor(score) {
+  if (score >= 80) return 'text-green-400'
+  if (score >= 60) return 'text-yellow-400'
+  return 'text-red-400'
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return '-'
+  return Math.abs(value) >= 1e6 || (value !== 0 && Math.abs(value) < 1e-3)
+    ? value.toExponential(2)
+    : value.toLocaleString(undefined, { maximumFractionDigits: 3 })
+}
+
+function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`
+}
+
+// Histogram - bar chart of a numeric column's distribution
+function Histogram({ histogram }) {
+  const peak = Math.max(...histogram.bins, 1)
+  return (
+    <div>
+      <div className="flex items-end gap-px h-10">
+        {histogram.bins.map((count, index) => (
+          <div
+            key={index}
+            title={count.toLocaleString()}
+            className="flex-1 bg-cyan-500/70 rounded-t-sm"
+            style={{ height: `${Math.max(2, (count / peak) * 100)}%` }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-[10px] text-gray-500 mt-0.5">
+        <span>{formatNumber(histogram.min)}</span>
+        <span>{formatNumber(histogram.max)}</span>
+      </div>
+    </div>
+  )
+}
+
+function ColumnSummary({ column }) {
+  const { numeric, text } = column
+  return (
+    <div className="p-3 bg-gray-800/60 rounded-lg">
+      <div className="flex justify-between items-baseline gap-2">
+        <p className="font-semibold text-xs truncate" title={column.name}>{column.name}</p>
+        <span className="text-[10px] px-2 py-0.5 bg-gray-700 rounded-full text-gray-300 shrink-0">{column.type}</span>
+      </div>
+      <div className="grid grid-cols-2 gap-x-2 text-[11px] text-gray-400 mt-1">
+        <span>Missing: {formatPercent(column.nullRatio)}</span>
+        <span>Distinct: {column.distinct ?? `>${(column.distinctAtLeast ?? 1) - 1}`}</span>
+        {numeric && (
+          <>
+            <span>Mean: {formatNumber(numeric.mean)}</span>
+            <span>Median: {formatNumber(numeric.median)}</span>
+            <span>Std dev: {formatNumber(numeric.stdDev)}</span>
+            <span>Outliers: {formatPercent(numeric.outliers.ratio)}</span>
+          </>
+        )}
+        {text && <span className="col-span-2">Length: {text.minLength}-{text.maxLength} chars</span>}
+      </div>
+      {numeric && numeric.histogram.bins.length > 1 && (
+        <div className="mt-2">
+          <Histogram histogram={numeric.histogram} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Analysis Report - loads and renders a dataset's analysis report in the details panel
+function AnalysisReport({ dataset, walletAddress }) {
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchAnalysisReport(dataset, walletAddress).then(loaded => {
+      if (!cancelled) setResult(loaded)
+    })
+    return () => { cancelled = true }
+  }, [dataset, walletAddress])
+
+  if (!result) {
+    return (
+      <p className="text-gray-400 flex items-center gap-2">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading analysis report...
+      </p>
+    )
+  }
+
+  if (result.status !== 'ok') {
+    return (
+      <div className="flex items-start gap-2 p-3 bg-gray-800 rounded-lg text-xs text-gray-400">
+        <FileQuestion className="w-4 h-4 shrink-0" />
+        <div>
+          <p>{result.message}</p>
+          <p className="font-mono text-[10px] text-gray-500 break-all mt-1">{dataset.analysisCID}</p>
+        </div>
+      </div>
+    )
+  }
+
+  const { report } = result
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-gray-400 text-xs">Quality score</p>
+          {report.qualityScore === null ? (
+            <p className="text-gray-500">Not scored</p>
+          ) : (
+            <p className={`text-2xl font-bold ${scoreColor(report.qualityScore)}`}>
+              {report.qualityScore}<span className="text-sm text-gray-500">/100</span>
+            </p>
+          )}
+        </div>
+        <div className="text-right text-xs text-gray-400">
+          <p>{report.file.format ? report.file.format.toUpperCase() : 'Unknown format'}</p>
+          {report.rowCount !== null && (
+            <p>{report.rowCount.toLocaleString()} rows × {report.columnCount} columns</p>
+          )}
+          {report.duplicateRows > 0 && <p>{report.duplicateRows.toLocaleString()} duplicate rows</p>}
+        </div>
+      </div>
+
+      {report.scoreBreakdown && (
+        <div className="grid grid-cols-4 gap-2 text-[11px]">
+          {Object.entries(report.scoreBreakdown).map(([name, value]) => (
+            <div key={name}>
+              <p className="text-gray-400 capitalize">{name}</p>
+              <div className="h-1.5 bg-gray-700 rounded-full mt-1">
+                <div className="h-1.5 bg-purple-500 rounded-full" style={{ width: formatPercent(value) }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {report.warnings.length > 0 && (
+        <ul className="space-y-1">
+          {report.warnings.map((warning, index) => (
+            <li key={index} className="flex items-start gap-2 text-xs text-yellow-400">
+              <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+              <span>{warning.column && <strong>{warning.column}: </strong>}{warning.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report.columns.length > 0 && (
+        <div className="grid sm:grid-cols-2 gap-2 max-h-96 overflow-y-auto pr-1">
+          {report.columns.map(column => (
+            <ColumnSummary key={column.name} column={column} />
+          ))}
+        </div>
+      )}
+
+      <p className="text-[10px] text-gray-500">
+        Report v{report.version}, generated {new Date(report.generatedAt).toLocaleString()} ·{' '}
+        <span className="font-mono break-all">{dataset.analysisCID}</span>
+      </p>
+    </div>
+  )
+}
+
+export default AnalysisReport
@@ -0,0 +1,64 @@
+import { AlertTriangle, CloudOff, FlaskConical, History, Radio, RefreshCw } from 'lucide-react'
+import { DATA_SOURCE } from '../assets/utils/dataSource.js'
+
+const STYLES = {
+  [DATA_SOURCE.LIVE]: 'bg-green-900/20 border-green-500/30 text-green-300',
+  [DATA_SOURCE.CACHED]: 'bg-yellow-900/30 border-yellow-500/40 text-yellow-200',
+  [DATA_SOURCE.OFFLINE]: 'bg-red-900/30 border-red-500/40 text-red-200',
+  [DATA_SOURCE.DEMO]: 'bg-purple-900/40 border-purple-400/50 text-purple-200'
+}
+
+function formatAge(savedAt) {
+  const minutes = Math.round((Date.now() - savedAt) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours} h ago`
+  return new Date(savedAt).toLocaleDateString()
+}
+
+// Data Source Banner - says whether the marketplace listing is live, cached, offline or demo data
+function DataSourceBanner({ source, error, savedAt, loading, onRetry }) {
+  if (!source) return null
+
+  const retryButton = onRetry && source !== DATA_SOURCE.DEMO && (!error || error.retryable) && (
+    <button
+      onClick={onRetry}
+      disabled={loading}
+      className="ml-auto px-3 py-1 bg-gray-800 hover:bg-gray-700 rounded-lg text-xs text-white flex items-center gap-1 disabled:opacity-50"
+    >
+      <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} />
+      {source === DATA_SOURCE.LIVE ? 'Refresh' : 'Retry'}
+    </button>
+  )
+
+  return (
+    <div className={`mb-6 px-4 py-3 rounded-xl border text-sm flex items-start gap-3 ${STYLES[source]}`}>
+      {source === DATA_SOURCE.LIVE && <Radio className="w-4 h-4 mt-0.5 shrink-0" />}
+      {source === DATA_SOURCE.CACHED && <History className="w-4 h-4 mt-0.5 shrink-0" />}
+      {source === DATA_SOURCE.OFFLINE && <CloudOff className="w-4 h-4 mt-0.5 shrink-0" />}
+      {source === DATA_SOURCE.DEMO && <FlaskConical className="w-4 h-4 mt-0.5 shrink-0" />}
+
+      <div className="min-w-0">
+        {source === DATA_SOURCE.LIVE && <p>Live data from the marketplace contract.</p>}
+        {source === DATA_SOURCE.CACHED && (
+          <p className="font-semibold">Showing a cached listing from {formatAge(savedAt)}. Prices and counters may be out of date.</p>
+        )}
+        {source === DATA_SOURCE.OFFLINE && <p className="font-semibold">The marketplace is unavailable and nothing is cached yet.</p>}
+        {source === DATA_SOURCE.DEMO && (
+          <p className="font-semibold">Demo mode: these are sample datasets, not read from the chain. Turn it off by unsetting VITE_DEMO_MODE.</p>
+        )}
+        {error && (
+          <p className="mt-1 flex items-center gap-1 text-xs opacity-90">
+            <AlertTriangle className="w-3 h-3 shrink-0" />
+            <span>{error.title}: {error.message}</span>
+          </p>
+        )}
+      </div>
+
+      {retryButton}
+    </div>
+  )
+}
+
+export default DataSourceBanner
@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { Download, Loader2 } from 'lucide-react'
+import { downloadDataset } from '../assets/utils/download.js'
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`
+}
+
+function progressLabel(progress) {
+  if (!progress) return 'Downloading...'
+  if (progress.stage === 'checking') return 'Checking access...'
+  if (progress.stage === 'unlocking') return 'Unlocking dataset key...'
+  if (progress.stage === 'recording') return 'Recording download...'
+  if (progress.stage === 'downloading' && progress.loaded) {
+    return progress.total
+      ? `${Math.round((progress.loaded / progress.total) * 100)}% of ${formatBytes(progress.total)}`
+      : `${formatBytes(progress.loaded)} downloaded`
+  }
+  return 'Downloading...'
+}
+
+// Download Button - runs the access check, streamed download and on-chain count
+function DownloadButton({ dataset, walletAddress, label = 'Download', onDownloaded, className = '' }) {
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState('')
+
+  const handleDownload = async () => {
+    setError('')
+    setProgress({ stage: 'checking' })
+    try {
+      await downloadDataset(dataset, walletAddress, { onProgress: setProgress })
+      if (onDownloaded) await onDownloaded(dataset)
+    } catch (err) {
+      console.error('Download error:', err)
+      setError(err.message)
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className={`flex-1 ${className}`}>
+      <button
+        onClick={handleDownload}
+        disabled={!!progress || !walletAddress}
+        className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-lg font-semibold text-sm transition flex items-center justify-center gap-2 disabled:opacity-50"
+      >
+        {progress ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+        {progress ? progressLabel(progress) : label}
+      </button>
+      {error && <p className="mt-2 text-red-400 text-xs">{error}</p>}
+    </div>
+  )
+}
+
+export default DownloadButton
@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback } from 'react'
+import { DollarSign, Download, Eye, FileDown, Loader2, RefreshCw, ShoppingCart, Wallet } from 'lucide-react'
+import { getEarningsHistory, summarizeEarnings, earningsToCSV } from '../assets/utils/earnings.js'
+import { saveBlob } from '../assets/utils/download.js'
+
+const RANGES = [
+  { id: '30', label: 'Last 30 days', days: 30 },
+  { id: '90', label: 'Last 90 days', days: 90 },
+  { id: 'all', label: 'All time', days: null }
+]
+
+function formatEarnings(earnings) {
+  return earnings.length > 0 ? earnings.map(e => `${e.amount} ${e.symbol}`).join(' · ') : '-'
+}
+
+// Daily Chart - one bar per day; value(day) picks the number to plot
+function DailyChart({ title, icon, days, value, color, format = (v) => v.toLocaleString() }) {
+  const values = days.map(value)
+  const peak = Math.max(...values, 0)
+  const total = values.reduce((sum, v) => sum + v, 0)
+
+  return (
+    <div className="p-4 bg-gray-800/60 rounded-xl">
+      <div className="flex justify-between items-center mb-3 text-sm">
+        <p className="font-semibold flex items-center gap-2">{icon}{title}</p>
+        <p className="text-gray-400">{format(total)}</p>
+      </div>
+      {peak === 0 ? (
+        <p className="h-24 flex items-center justify-center text-xs text-gray-500">Nothing in this period</p>
+      ) : (
+        <div className="flex items-end gap-px h-24">
+          {days.map((day, index) => (
+            <div
+              key={day.day}
+              title={`${day.day}: ${format(values[index])}`}
+              className={`flex-1 rounded-t-sm ${color}`}
+              style={{ height: `${values[index] > 0 ? Math.max(4, (values[index] / peak) * 100) : 0}%` }}
+            />
+          ))}
+        </div>
+      )}
+      {days.length > 0 && (
+        <div className="flex justify-between text-[10px] text-gray-500 mt-1">
+          <span>{days[0].day}</span>
+          <span>{days[days.length - 1].day}</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Earnings Dashboard - publisher revenue per token, per dataset and per day, rebuilt from purchase events
+function EarningsDashboard({ walletAddress, datasets }) {
+  const [history, setHistory] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [rangeId, setRangeId] = useState('30')
+  const [tokenAddress, setTokenAddress] = useState('')
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      setHistory(await getEarningsHistory(walletAddress))
+    } catch (err) {
+      console.error('Error loading earnings history:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [walletAddress])
+
+  useEffect(() => {
+    if (walletAddress) loadHistory()
+  }, [walletAddress, loadHistory])
+
+  if (!walletAddress) {
+    return (
+      <div className="text-center py-20">
+        <Wallet className="w-16 h-16 mx-auto mb-4 text-gray-600" />
+        <p className="text-xl text-gray-400">Connect your wallet to see your earnings</p>
+      </div>
+    )
+  }
+
+  const titles = Object.fromEntries(datasets.map(d => [d.id, d.info?.title || `Dataset #${d.id}`]))
+
+  const handleExport = () => {
+    const csv = earningsToCSV(history.sales, titles)
+    saveBlob(new Blob([csv], { type: 'text/csv' }), `earnings-${walletAddress.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.csv`)
+  }
+
+  const summary = history && summarizeEarnings(history)
+  const range = RANGES.find(r => r.id === rangeId)
+  const since = range.days ? new Date(Date.now() - range.days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) : ''
+  const days = summary ? summary.days.filter(day => day.day >= since) : []
+  const token = summary && (summary.tokens.find(t => t.tokenAddress === tokenAddress) || summary.tokens[0])
+  const counters = Object.fromEntries(datasets.map(d => [d.id, d]))
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6 gap-3 flex-wrap">
+        <h2 className="text-2xl font-bold">Earnings</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            disabled={!history || history.sales.length === 0}
+            className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg font-semibold text-sm transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <FileDown className="w-4 h-4" />
+            Export CSV
+          </button>
+          <button
+            onClick={loadHistory}
+            disabled={loading}
+            className="px-4 py-2 bg-cyan-600 hover:bg-cyan-700 rounded-lg font-semibold text-sm transition disabled:opacity-50 flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-900/30 border border-red-500/50 rounded-lg">
+          <p className="text-red-400 text-sm">Could not load earnings: {error}</p>
+        </div>
+      )}
+
+      {!summary ? (
+        !error && (
+          <p className="text-gray-400 flex items-center gap-2">
+            <Loader2 className="w-4 h-4 animate-spin" /> Reading purchase history...
+          </p>
+        )
+      ) : (
+        <div className="space-y-6">
+          <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-4">
+            {summary.tokens.length === 0 ? (
+              <div className="p-4 bg-gray-800/60 rounded-xl text-sm text-gray-400">No sales yet</div>
+            ) : summary.tokens.map(t => (
+              <div key={t.tokenAddress} className="p-4 bg-gradient-to-br from-green-900/30 to-cyan-900/30 rounded-xl border border-green-500/30">
+                <p className="text-2xl font-bold text-green-400">{t.amount} {t.symbol}</p>
+                <p className="text-xs text-gray-400 mt-1">{t.sales} {t.sales === 1 ? 'sale' : 'sales'}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-3 flex-wrap text-sm">
+            <select
+              value={rangeId}
+              onChange={(e) => setRangeId(e.target.value)}
+              className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+            >
+              {RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+            {summary.tokens.length > 1 && (
+              <select
+                value={token.tokenAddress}
+                onChange={(e) => setTokenAddress(e.target.value)}
+                className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+              >
+                {summary.tokens.map(t => <option key={t.tokenAddress} value={t.tokenAddress}>{t.symbol}</option>)}
+              </select>
+            )}
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-4">
+            <DailyChart
+              title={token ? `Earnings (${token.symbol})` : 'Earnings'}
+              icon={<DollarSign className="w-4 h-4 text-green-400" />}
+              days={days}
+              value={day => Number(day.earnings.find(e => e.tokenAddress.toLowerCase() === token?.tokenAddress.toLowerCase())?.amount || 0)}
+              color="bg-green-500/70"
+              format={v => v.toLocaleString(undefined, { maximumFractionDigits: 4 })}
+            />
+            <DailyChart
+              title="Downloads"
+              icon={<Download className="w-4 h-4 text-pink-400" />}
+              days={days}
+              value={day => day.downloads}
+              color="bg-pink-500/70"
+            />
+            <DailyChart
+              title="Views"
+              icon={<Eye className="w-4 h-4 text-purple-400" />}
+              days={days}
+              value={day => day.views}
+              color="bg-purple-500/70"
+            />
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-gray-400 border-b border-gray-700">
+                <tr>
+                  <th className="py-2 pr-4 font-semibold">Dataset</th>
+                  <th className="py-2 pr-4 font-semibold"><ShoppingCart className="w-4 h-4 inline" /> Sales</th>
+                  <th className="py-2 pr-4 font-semibold">Earnings</th>
+                  <th className="py-2 pr-4 font-semibold"><Download className="w-4 h-4 inline" /> Downloads</th>
+                  <th className="py-2 font-semibold"><Eye className="w-4 h-4 inline" /> Views</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.datasets.length === 0 ? (
+                  <tr><td colSpan={5} className="py-4 text-gray-400">No sales, views or downloads recorded yet</td></tr>
+                ) : summary.datasets.map(row => (
+                  <tr key={row.datasetId} className="border-b border-gray-800">
+                    <td className="py-2 pr-4">{titles[row.datasetId] || `Dataset #${row.datasetId}`}</td>
+                    <td className="py-2 pr-4">{row.sales}</td>
+                    <td className="py-2 pr-4 text-green-400">{formatEarnings(row.earnings)}</td>
+                    {/* On-chain counters include activity from before the contract emitted events */}
+                    <td className="py-2 pr-4">{counters[row.datasetId]?.downloads ?? row.downloads}</td>
+                    <td className="py-2">{counters[row.datasetId]?.views ?? row.views}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EarningsDashboard
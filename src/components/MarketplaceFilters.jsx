@@ -0,0 +1,84 @@
+import { Search, X } from 'lucide-react'
+import { CATEGORIES, LICENSES } from '../assets/utils/datasetMetadata.js'
+import { SORT_OPTIONS, DEFAULT_CRITERIA, hasActiveFilters } from '../assets/utils/search.js'
+
+const inputClass = 'px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm'
+
+// Marketplace Filters - search box, filters and sort order for the marketplace
+function MarketplaceFilters({ criteria, onChange }) {
+  const update = (key) => (e) => onChange({ ...criteria, [key]: e.target.value })
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-500 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={criteria.text}
+            onChange={update('text')}
+            placeholder="Search titles, descriptions and tags"
+            className={`${inputClass} w-full pl-9`}
+          />
+        </div>
+        <select value={criteria.sort} onChange={update('sort')} className={inputClass}>
+          {SORT_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-2">
+        <select value={criteria.access} onChange={update('access')} className={inputClass}>
+          <option value="all">Free & paid</option>
+          <option value="free">Free only</option>
+          <option value="paid">Paid only</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          value={criteria.minPrice}
+          onChange={update('minPrice')}
+          placeholder="Min price"
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="0"
+          value={criteria.maxPrice}
+          onChange={update('maxPrice')}
+          placeholder="Max price"
+          className={inputClass}
+        />
+        <select value={criteria.category} onChange={update('category')} className={inputClass}>
+          <option value="">Any category</option>
+          {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select value={criteria.license} onChange={update('license')} className={inputClass}>
+          <option value="">Any license</option>
+          {LICENSES.map(l => <option key={l.id} value={l.id}>{l.id}</option>)}
+        </select>
+        <input
+          type="text"
+          value={criteria.uploader}
+          onChange={update('uploader')}
+          placeholder="Uploader 0x..."
+          className={inputClass}
+        />
+        <select value={criteria.minQuality} onChange={update('minQuality')} className={inputClass}>
+          <option value="">Any quality</option>
+          <option value="50">Quality 50+</option>
+          <option value="70">Quality 70+</option>
+          <option value="90">Quality 90+</option>
+        </select>
+        <button
+          onClick={() => onChange({ ...DEFAULT_CRITERIA, sort: criteria.sort })}
+          disabled={!hasActiveFilters(criteria)}
+          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm transition flex items-center justify-center gap-1 disabled:opacity-40"
+        >
+          <X className="w-4 h-4" /> Clear
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default MarketplaceFilters
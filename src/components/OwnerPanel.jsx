@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react'
+import { Loader2, Save, Clock, FileBarChart, Trash2, Eye, EyeOff, DollarSign } from 'lucide-react'
+import { LICENSES, CATEGORIES, FORMATS, METADATA_LIMITS, updateDatasetInfo } from '../assets/utils/datasetMetadata.js'
+import { TTL_OPTIONS, getStorageStatus, extendDatasetTTL, changeDatasetPrice, replaceAnalysisReport, deleteDatasetFile, describeStorageError } from '../assets/utils/datasetManagement.js'
+import { setDatasetListed, decodeContractError, getAcceptedTokens } from '../assets/utils/contract.js'
+
+const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none text-sm'
+const buttonClass = 'px-4 py-2 rounded-lg text-sm font-semibold transition flex items-center gap-2 disabled:opacity-50'
+
+function Section({ title, children }) {
+  return (
+    <div className="space-y-2">
+      <h4 className="text-sm font-semibold text-gray-300">{title}</h4>
+      {children}
+    </div>
+  )
+}
+
+function formatExpiry(storageStatus) {
+  if (!storageStatus) return 'Checking storage...'
+  if (storageStatus.status === 'missing') return 'The file is no longer in storage'
+  if (storageStatus.status === 'error') return `Could not read the storage status: ${storageStatus.message}`
+  if (storageStatus.expiresAt === null) return 'Stored with no expiry'
+  return `Expires ${new Date(storageStatus.expiresAt).toLocaleString()}`
+}
+
+// Owner Panel - uploader actions for one dataset: details, price, listing, storage TTL, analysis and deletion
+function OwnerPanel({ dataset, walletAddress, onChanged }) {
+  const info = dataset.info
+  const [form, setForm] = useState({
+    title: info?.title || '',
+    description: info?.description || '',
+    license: info?.license || '',
+    category: info?.category || '',
+    tags: (info?.tags || []).join(', '),
+    format: info?.format || 'other',
+    rowCount: info?.rowCount ?? '',
+    changelog: info?.changelog || ''
+  })
+  const [price, setPrice] = useState(dataset.isPaid ? dataset.price : '')
+  const [priceTokens, setPriceTokens] = useState([])
+  const [priceToken, setPriceToken] = useState(dataset.priceToken?.address || '')
+  const [ttlOption, setTtlOption] = useState(TTL_OPTIONS[2].id)
+  const [storageStatus, setStorageStatus] = useState(null)
+  const [analysisFile, setAnalysisFile] = useState(null)
+  const [busy, setBusy] = useState(null)
+  const [status, setStatus] = useState('')
+  const [message, setMessage] = useState(null)
+  const [confirming, setConfirming] = useState(null)
+  const [confirmText, setConfirmText] = useState('')
+
+  const listable = !dataset.isPrivate
+  const fileGone = storageStatus?.status === 'missing'
+
+  useEffect(() => {
+    let cancelled = false
+    getStorageStatus(dataset.datasetCID, walletAddress).then(loaded => {
+      if (!cancelled) setStorageStatus(loaded)
+    })
+    return () => { cancelled = true }
+  }, [dataset.datasetCID, walletAddress])
+
+  useEffect(() => {
+    let cancelled = false
+    getAcceptedTokens()
+      .then(tokens => {
+        if (cancelled) return
+        setPriceTokens(tokens)
+        setPriceToken(prev => prev || tokens[0]?.address || '')
+      })
+      .catch(error => console.error('Could not load payment tokens:', error))
+    return () => { cancelled = true }
+  }, [])
+
+  const updateForm = (key) => (e) => setForm({ ...form, [key]: e.target.value })
+
+  // Run one owner action; refresh the listings afterwards unless it only touched storage TTL.
+  // Actions that touch storage pass describeStorageError to explain signing and storage failures.
+  const run = async (action, fn, successText, { refresh = true, describe = decodeContractError } = {}) => {
+    setBusy(action)
+    setMessage(null)
+    setStatus('')
+    try {
+      await fn()
+      setMessage({ type: 'success', text: successText })
+      setConfirming(null)
+      setConfirmText('')
+      if (refresh && onChanged) onChanged()
+    } catch (error) {
+      console.error(`Owner action ${action} failed:`, error)
+      setMessage({ type: 'error', text: describe(error) })
+    } finally {
+      setBusy(null)
+      setStatus('')
+    }
+  }
+
+  const handleSaveDetails = () => run(
+    'details',
+    () => updateDatasetInfo(dataset.datasetCID, form, walletAddress),
+    'Listing details saved',
+    { describe: describeStorageError }
+  )
+
+  const handleSavePrice = () => {
+    if (!price || parseFloat(price) <= 0) {
+      setMessage({ type: 'error', text: 'Please enter a price above zero' })
+      return
+    }
+    const token = priceTokens.find(t => t.address === priceToken)
+    if (!token) {
+      setMessage({ type: 'error', text: 'Please choose the token the dataset is priced in' })
+      return
+    }
+    run(
+      'price',
+      () => changeDatasetPrice(dataset, true, price, priceToken, walletAddress),
+      `Price set to ${price} ${token.symbol}`,
+      { describe: describeStorageError }
+    )
+  }
+
+  const handleListing = () => {
+    if (dataset.isPublic && confirming !== 'delist') {
+      setConfirming('delist')
+      return
+    }
+    run(
+      'listing',
+      () => setDatasetListed(dataset.id, !dataset.isPublic),
+      dataset.isPublic ? 'Dataset removed from the marketplace' : 'Dataset listed on the marketplace'
+    )
+  }
+
+  const handleExtendTTL = () => {
+    const option = TTL_OPTIONS.find(o => o.id === ttlOption)
+    run('ttl', async () => {
+      const expiresAt = await extendDatasetTTL(dataset, option.ttlSeconds, walletAddress)
+      setStorageStatus(current => ({ ...current, status: 'ok', expiresAt }))
+    }, option.ttlSeconds === null ? 'The file no longer expires' : `Storage extended by ${option.label}`, { refresh: false, describe: describeStorageError })
+  }
+
+  const handleReplaceAnalysis = () => run('analysis', async () => {
+    await replaceAnalysisReport(dataset, analysisFile, walletAddress, { onStatus: setStatus })
+    setAnalysisFile(null)
+  }, 'Analysis report replaced', { describe: describeStorageError })
+
+  const handleDelete = () => run('delete', async () => {
+    await deleteDatasetFile(dataset, walletAddress, { onStatus: setStatus })
+    setStorageStatus({ status: 'missing' })
+  }, 'Dataset file deleted from storage', { describe: describeStorageError })
+
+  const priceUnchanged = parseFloat(price) === parseFloat(dataset.price) && priceToken === dataset.priceToken?.address
+
+  return (
+    <div className="mt-4 p-4 bg-gray-900/60 rounded-xl border border-gray-700 space-y-5">
+      {/* Listing details */}
+      <Section title="Listing details">
+        <input type="text" value={form.title} onChange={updateForm('title')} maxLength={METADATA_LIMITS.title} placeholder="Title" className={inputClass} />
+        <textarea value={form.description} onChange={updateForm('description')} maxLength={METADATA_LIMITS.description} rows={3} placeholder="Description" className={inputClass} />
+        <div className="grid grid-cols-2 gap-2">
+          <select value={form.category} onChange={updateForm('category')} className={inputClass}>
+            <option value="">Category...</option>
+            {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <select value={form.license} onChange={updateForm('license')} className={inputClass}>
+            <option value="">License (SPDX)...</option>
+            {LICENSES.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+          <select value={form.format} onChange={updateForm('format')} className={inputClass}>
+            {FORMATS.map(f => <option key={f} value={f}>{f === 'other' ? 'Other format' : f.toUpperCase()}</option>)}
+          </select>
+          <input type="number" min="0" value={form.rowCount} onChange={updateForm('rowCount')} placeholder="Row count" className={inputClass} />
+        </div>
+        <input type="text" value={form.tags} onChange={updateForm('tags')} placeholder={`Tags, comma separated (up to ${METADATA_LIMITS.tags})`} className={inputClass} />
+        {dataset.lineage?.version > 1 && (
+          <textarea value={form.changelog} onChange={updateForm('changelog')} maxLength={METADATA_LIMITS.changelog} rows={2} placeholder="Changelog: what changed in this version" className={inputClass} />
+        )}
+        <button onClick={handleSaveDetails} disabled={busy !== null || fileGone} className={`${buttonClass} bg-cyan-600 hover:bg-cyan-700`}>
+          {busy === 'details' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+          Save details
+        </button>
+      </Section>
+
+      {/* Price and visibility */}
+      <Section title="Price and visibility">
+        {listable ? (
+          <>
+            {/* Paid files are stored encrypted and free ones in the clear, so switching takes a new version */}
+            {dataset.isPaid ? (
+              <>
+                <div className="flex items-center gap-3">
+                  <input type="number" min="0" step="0.01" value={price} onChange={(e) => setPrice(e.target.value)} placeholder="Price" className={`${inputClass} max-w-[10rem]`} />
+                  <select value={priceToken} onChange={(e) => setPriceToken(e.target.value)} className={`${inputClass} max-w-[8rem]`}>
+                    {priceTokens.map(t => <option key={t.address} value={t.address}>{t.symbol}</option>)}
+                  </select>
+                  <button onClick={handleSavePrice} disabled={busy !== null || priceUnchanged} className={`${buttonClass} bg-green-700 hover:bg-green-600`}>
+                    {busy === 'price' ? <Loader2 className="w-4 h-4 animate-spin" /> : <DollarSign className="w-4 h-4" />}
+                    Update price
+                  </button>
+                </div>
+                <p className="text-xs text-gray-400">
+                  Buyers who already purchased keep their access. The file is encrypted for buyers;
+                  to offer it for free, publish an unencrypted new version.
+                </p>
+              </>
+            ) : (
+              <p className="text-xs text-gray-400">
+                Free dataset. The file is stored unencrypted; to sell it, publish a paid new version, which is encrypted.
+              </p>
+            )}
+
+            <div className="flex items-center gap-3 flex-wrap">
+              <span className="text-sm">{dataset.isPublic ? 'Listed on the marketplace' : 'Not listed'}</span>
+              <button
+                onClick={handleListing}
+                disabled={busy !== null || (!dataset.isPublic && fileGone)}
+                className={`${buttonClass} ${dataset.isPublic ? 'bg-yellow-700 hover:bg-yellow-600' : 'bg-purple-700 hover:bg-purple-600'}`}
+              >
+                {busy === 'listing' ? <Loader2 className="w-4 h-4 animate-spin" /> : dataset.isPublic ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                {dataset.isPublic ? (confirming === 'delist' ? 'Confirm delisting' : 'Delist') : 'List publicly'}
+              </button>
+              {confirming === 'delist' && busy === null && (
+                <button onClick={() => setConfirming(null)} className={`${buttonClass} bg-gray-700 hover:bg-gray-600`}>Cancel</button>
+              )}
+            </div>
+            {confirming === 'delist' && (
+              <p className="text-xs text-yellow-300">Delisting hides the dataset from the marketplace. Buyers keep their access.</p>
+            )}
+          </>
+        ) : (
+          <p className="text-xs text-gray-400">Private datasets can't be listed or sold.</p>
+        )}
+      </Section>
+
+      {/* Storage */}
+      <Section title="Storage">
+        <p className="text-xs text-gray-400 flex items-center gap-2">
+          <Clock className="w-4 h-4 text-cyan-400" /> {formatExpiry(storageStatus)}
+        </p>
+        {!fileGone && (
+          <div className="flex items-center gap-2">
+            <select value={ttlOption} onChange={(e) => setTtlOption(e.target.value)} className={`${inputClass} max-w-[12rem]`}>
+              {TTL_OPTIONS.map(o => <option key={o.id} value={o.id}>{o.ttlSeconds === null ? o.label : `Keep for ${o.label} from now`}</option>)}
+            </select>
+            <button onClick={handleExtendTTL} disabled={busy !== null} className={`${buttonClass} bg-cyan-700 hover:bg-cyan-600`}>
+              {busy === 'ttl' && <Loader2 className="w-4 h-4 animate-spin" />}
+              Apply
+            </button>
+          </div>
+        )}
+      </Section>
+
+      {/* Analysis report */}
+      <Section title="Analysis report">
+        <p className="text-xs text-gray-400">Select the original dataset file (for a bundle, one of its files) to re-run the analysis and replace the published report.</p>
+        <div className="flex items-center gap-2">
+          <input type="file" onChange={(e) => setAnalysisFile(e.target.files[0] || null)} className="text-xs text-gray-300 flex-1" />
+          <button onClick={handleReplaceAnalysis} disabled={busy !== null || !analysisFile || fileGone} className={`${buttonClass} bg-purple-700 hover:bg-purple-600`}>
+            {busy === 'analysis' ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileBarChart className="w-4 h-4" />}
+            Replace report
+          </button>
+        </div>
+      </Section>
+
+      {/* Danger zone */}
+      {!fileGone && (
+        <Section title="Delete">
+          {confirming !== 'delete' ? (
+            <button onClick={() => setConfirming('delete')} disabled={busy !== null} className={`${buttonClass} bg-red-800 hover:bg-red-700`}>
+              <Trash2 className="w-4 h-4" /> Delete file from storage
+            </button>
+          ) : (
+            <div className="space-y-2 p-3 bg-red-900/30 border border-red-500/40 rounded-lg">
+              <p className="text-xs text-red-200">
+                This permanently deletes the file and its previews{dataset.isPublic && !dataset.isPrivate && ' and delists the dataset'}.
+                Buyers will no longer be able to download it. Type <span className="font-mono">delete</span> to confirm.
+              </p>
+              <div className="flex items-center gap-2">
+                <input type="text" value={confirmText} onChange={(e) => setConfirmText(e.target.value)} className={`${inputClass} max-w-[10rem]`} />
+                <button onClick={handleDelete} disabled={busy !== null || confirmText !== 'delete'} className={`${buttonClass} bg-red-700 hover:bg-red-600`}>
+                  {busy === 'delete' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                  Delete permanently
+                </button>
+                <button
+                  onClick={() => { setConfirming(null); setConfirmText('') }}
+                  disabled={busy !== null}
+                  className={`${buttonClass} bg-gray-700 hover:bg-gray-600`}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </Section>
+      )}
+
+      {status && (
+        <p className="text-xs text-cyan-300 flex items-center gap-2">
+          <Loader2 className="w-4 h-4 animate-spin" /> {status}
+        </p>
+      )}
+      {message && (
+        <p className={`text-sm ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
+
+export default OwnerPanel
@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react'
+import { Loader2, Table } from 'lucide-react'
+import { fetchPreview } from '../assets/utils/preview.js'
+
+// Preview Table - shows the free sample rows an uploader published for a dataset
+function PreviewTable({ dataset, walletAddress }) {
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetchPreview(dataset, walletAddress).then(loaded => {
+      if (!cancelled) setResult(loaded)
+    })
+    return () => { cancelled = true }
+  }, [dataset, walletAddress])
+
+  if (!result) {
+    return (
+      <p className="text-gray-400 flex items-center gap-2">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading preview...
+      </p>
+    )
+  }
+
+  if (result.status === 'none') {
+    return <p className="text-xs text-gray-400">The uploader has not published a preview for this dataset.</p>
+  }
+
+  if (result.status === 'error') {
+    return <p className="text-xs text-red-400">{result.message}</p>
+  }
+
+  const { preview } = result
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-400 flex items-center gap-2">
+        <Table className="w-4 h-4 text-cyan-400" />
+        {preview.mode === 'random' ? 'Random sample' : 'First rows'}: {preview.rows.length} rows
+        {preview.totalRows !== null && ` of ${preview.totalRows.toLocaleString()}`}
+        {preview.truncated && ' (trimmed to fit the preview size limit)'}
+      </p>
+      <div className="max-h-72 overflow-auto border border-gray-700 rounded-lg">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-800 sticky top-0">
+            <tr>
+              {preview.columns.map(column => (
+                <th key={column} className="px-2 py-1 text-left font-semibold whitespace-nowrap">{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-t border-gray-800">
+                {row.map((cell, cellIndex) => (
+                  <td key={cellIndex} className="px-2 py-1 font-mono text-gray-300 whitespace-nowrap max-w-xs truncate" title={cell}>
+                    {cell}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default PreviewTable
@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { Check, Loader2, X, Minus } from 'lucide-react'
+import { getAcceptedTokens, decodeContractError, formatPrice } from '../assets/utils/contract.js'
+import { PURCHASE_STEPS, purchaseWithApproval } from '../assets/utils/purchase.js'
+
+// Purchase Panel - token selection and step-by-step approve + buy (or upgrade from an earlier version)
+function PurchasePanel({ dataset, walletAddress, onPurchased, onClose, upgradeFrom = null }) {
+  const [tokens, setTokens] = useState([])
+  const [tokenAddress, setTokenAddress] = useState('')
+  const [loadingTokens, setLoadingTokens] = useState(true)
+  const [steps, setSteps] = useState({})
+  const [details, setDetails] = useState(null)
+  const [error, setError] = useState('')
+  const [running, setRunning] = useState(false)
+  const [txHash, setTxHash] = useState('')
+  const [keyWarning, setKeyWarning] = useState('')
+  const priceTokenAddress = dataset.priceToken?.address.toLowerCase()
+
+  useEffect(() => {
+    let cancelled = false
+    getAcceptedTokens()
+      .then(list => {
+        if (cancelled) return
+        // Datasets priced in a token can only be paid in that token
+        const payable = priceTokenAddress ? list.filter(t => t.address.toLowerCase() === priceTokenAddress) : list
+        setTokens(payable)
+        if (payable.length > 0) setTokenAddress(payable[0].address)
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not load payment tokens: ${decodeContractError(err)}`)
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingTokens(false)
+      })
+    return () => { cancelled = true }
+  }, [priceTokenAddress])
+
+  const selectedToken = tokens.find(t => t.address === tokenAddress)
+
+  const formatAmount = (amount) => {
+    if (!selectedToken || !amount) return '-'
+    return `${ethers.utils.formatUnits(amount, selectedToken.decimals)} ${selectedToken.symbol}`
+  }
+
+  // What the purchase will charge, shown before the on-chain check confirms it
+  const expectedCharge = () => {
+    const amount = upgradeFrom === null ? dataset.price : dataset.lineage?.upgradePrice
+    if (!amount) return '-'
+    if (dataset.priceToken) return formatPrice(dataset, amount)
+    // Datasets without a price token charge the raw amount in whichever token is chosen
+    return formatAmount(ethers.utils.parseUnits(amount, 18))
+  }
+
+  const handleBuy = async () => {
+    if (!tokenAddress) return
+    setRunning(true)
+    setError('')
+    setSteps({})
+    setDetails(null)
+    setKeyWarning('')
+
+    try {
+      const hash = await purchaseWithApproval(dataset, tokenAddress, walletAddress, (key, status, detail) => {
+        setSteps(prev => ({ ...prev, [key]: status }))
+        if (key === 'check' && status === 'done') setDetails(detail)
+        if (key === 'key' && status === 'error') setKeyWarning(detail.message)
+      }, { upgradeFrom })
+      setTxHash(hash)
+      if (onPurchased) await onPurchased(dataset)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 text-sm space-y-3">
+      <div className="flex justify-between items-center">
+        <p className="font-semibold">
+          {upgradeFrom === null ? 'Buy access to' : 'Upgrade to'} {dataset.info?.title || `Dataset #${dataset.id}`}
+          {upgradeFrom !== null && ` v${dataset.lineage?.version}`}
+        </p>
+        <button onClick={onClose} disabled={running} className="p-1 bg-transparent hover:bg-gray-800 rounded">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loadingTokens ? (
+        <p className="text-gray-400 flex items-center gap-2">
+          <Loader2 className="w-4 h-4 animate-spin" /> Loading payment tokens...
+        </p>
+      ) : tokens.length === 0 ? (
+        <p className="text-yellow-400">
+          {dataset.priceToken
+            ? `${dataset.priceToken.symbol}, the token this dataset is priced in, is no longer accepted by the marketplace.`
+            : 'The marketplace has no accepted payment tokens yet.'}
+        </p>
+      ) : (
+        <>
+          <label className="block">
+            <span className="block text-xs text-gray-400 mb-1">Pay with</span>
+            <select
+              value={tokenAddress}
+              onChange={(e) => setTokenAddress(e.target.value)}
+              disabled={running || !!txHash}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-cyan-500 outline-none"
+            >
+              {tokens.map(t => (
+                <option key={t.address} value={t.address}>
+                  {t.symbol} ({t.address.slice(0, 6)}...{t.address.slice(-4)})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <p className="text-xs">
+            <span className="text-gray-400">You will be charged </span>
+            <span className="font-mono">{expectedCharge()}</span>
+          </p>
+
+          {details && (
+            <div className="grid grid-cols-3 gap-2 text-xs">
+              <div>
+                <p className="text-gray-400">Price</p>
+                <p className="font-mono">{formatAmount(details.price)}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Balance</p>
+                <p className="font-mono">{formatAmount(details.balance)}</p>
+              </div>
+              <div>
+                <p className="text-gray-400">Allowance</p>
+                <p className="font-mono">{formatAmount(details.allowance)}</p>
+              </div>
+            </div>
+          )}
+
+          <ol className="space-y-1">
+            {PURCHASE_STEPS.map(step => (
+              <li key={step.key} className="flex items-center gap-2">
+                <StepIcon status={steps[step.key]} />
+                <span className={steps[step.key] === 'skipped' ? 'text-gray-500 line-through' : ''}>
+                  {step.label}
+                </span>
+              </li>
+            ))}
+          </ol>
+
+          {error && (
+            <div className="p-3 bg-red-900/30 border border-red-500/50 rounded-lg">
+              <p className="text-red-400 text-xs">{error}</p>
+            </div>
+          )}
+
+          {txHash ? (
+            <div className="p-3 bg-green-900/30 border border-green-500/50 rounded-lg">
+              <p className="text-green-400 text-xs">
+                {upgradeFrom === null ? 'Purchase' : 'Upgrade'} complete! Transaction: {txHash.slice(0, 10)}...{txHash.slice(-8)}
+              </p>
+              {keyWarning && <p className="text-yellow-400 text-xs mt-1">{keyWarning}</p>}
+            </div>
+          ) : (
+            <button
+              onClick={handleBuy}
+              disabled={running || !tokenAddress}
+              className="w-full px-4 py-2 bg-green-600 hover:bg-green-700 rounded-lg font-semibold text-sm transition disabled:opacity-50"
+            >
+              {running ? 'Confirm in your wallet...' : error ? 'Retry Purchase' : upgradeFrom === null ? 'Approve & Buy' : 'Approve & Upgrade'}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+function StepIcon({ status }) {
+  if (status === 'active') return <Loader2 className="w-4 h-4 animate-spin text-cyan-400" />
+  if (status === 'done') return <Check className="w-4 h-4 text-green-400" />
+  if (status === 'skipped') return <Minus className="w-4 h-4 text-gray-500" />
+  if (status === 'error') return <X className="w-4 h-4 text-red-400" />
+  return <span className="w-4 h-4 rounded-full border border-gray-600 inline-block" />
+}
+
+export default PurchasePanel
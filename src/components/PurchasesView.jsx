@@ -0,0 +1,226 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ShoppingCart, Wallet, Download, Database, KeyRound, GitBranch } from 'lucide-react'
+import { getMyPurchases, decodeContractError, formatPrice } from '../assets/utils/contract.js'
+import { getKeyDeliveryStatus, registerBuyerKey } from '../assets/utils/keyDelivery.js'
+import { findUpgrade, lineageOf } from '../assets/utils/versions.js'
+import DownloadButton from './DownloadButton.jsx'
+import PurchasePanel from './PurchasePanel.jsx'
+
+// Purchases View - datasets bought by the connected wallet
+function PurchasesView({ walletAddress }) {
+  const [purchases, setPurchases] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const loadPurchases = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const data = await getMyPurchases()
+      setPurchases(data)
+    } catch (err) {
+      console.error('Error loading purchases:', err)
+      setError(decodeContractError(err))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (walletAddress) loadPurchases()
+  }, [walletAddress, loadPurchases])
+
+  if (!walletAddress) {
+    return (
+      <div className="text-center py-20">
+        <Wallet className="w-16 h-16 mx-auto mb-4 text-gray-600" />
+        <p className="text-xl text-gray-400">Connect your wallet to view your purchases</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">My Purchased Datasets</h2>
+        <button
+          onClick={loadPurchases}
+          disabled={loading}
+          className="px-4 py-2 bg-cyan-600 hover:bg-cyan-700 rounded-lg font-semibold text-sm transition disabled:opacity-50 flex items-center gap-2"
+        >
+          <Database className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-900/30 border border-red-500/50 rounded-lg">
+          <p className="text-red-400 text-sm">Could not load purchases: {error}</p>
+        </div>
+      )}
+
+      {purchases.length === 0 ? (
+        <div className="text-center py-20">
+          <ShoppingCart className="w-16 h-16 mx-auto mb-4 text-gray-600" />
+          <p className="text-gray-400">{loading ? 'Loading purchases...' : 'No purchases yet'}</p>
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-6">
+          {purchases.map(purchase => (
+            <PurchaseCard key={purchase.id} purchase={purchase} walletAddress={walletAddress} onDownloaded={loadPurchases} onUpgraded={loadPurchases} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Purchase Card
+function PurchaseCard({ purchase, walletAddress, onDownloaded, onUpgraded }) {
+  return (
+    <div className="bg-gradient-to-br from-purple-900/30 to-pink-900/30 p-6 rounded-xl border border-purple-500/30">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold">{purchase.info?.title || `Dataset #${purchase.id}`}</h3>
+          <p className="text-xs text-gray-400 mt-1">
+            {lineageOf(purchase).version > 1 && `v${lineageOf(purchase).version} · `}sold by {purchase.uploader}
+          </p>
+        </div>
+        <div className="bg-green-900/30 px-3 py-1 rounded-full">
+          <p className="text-green-400 font-bold">
+            {purchase.pricePaid !== null ? `${purchase.pricePaid} ${purchase.tokenSymbol}` : formatPrice(purchase)}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2 mb-4 text-sm">
+        <div className="flex items-center gap-2 text-gray-400">
+          <Database className="w-4 h-4 text-cyan-400" />
+          <span className="font-mono text-xs break-all">{purchase.datasetCID.slice(0, 40)}...</span>
+        </div>
+        <p className="text-xs text-gray-400">
+          Purchased {purchase.purchasedAt ? new Date(purchase.purchasedAt * 1000).toLocaleString() : 'at an unknown date'}
+          {purchase.tokenAddress && (
+            <> with <span className="font-mono">{purchase.tokenAddress.slice(0, 6)}...{purchase.tokenAddress.slice(-4)}</span></>
+          )}
+        </p>
+        <div className="flex items-center gap-1 text-xs">
+          <Download className="w-3 h-3 text-pink-400" />
+          <span>{purchase.downloads} downloads</span>
+        </div>
+      </div>
+
+      <KeyStatus purchase={purchase} walletAddress={walletAddress} />
+
+      <DownloadButton dataset={purchase} walletAddress={walletAddress} onDownloaded={onDownloaded} />
+
+      <UpgradeOffer purchase={purchase} walletAddress={walletAddress} onUpgraded={onUpgraded} />
+    </div>
+  )
+}
+
+// Upgrade Offer - points a buyer at a newer version of a dataset they bought
+function UpgradeOffer({ purchase, walletAddress, onUpgraded }) {
+  const [upgrade, setUpgrade] = useState(null)
+  const [upgrading, setUpgrading] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    findUpgrade(purchase)
+      .then(found => {
+        if (!cancelled) setUpgrade(found)
+      })
+      .catch(err => console.warn(`Could not check for newer versions of dataset ${purchase.id}:`, err.message))
+    return () => { cancelled = true }
+  }, [purchase])
+
+  if (!upgrade) return null
+
+  const { latest, free } = upgrade
+  const { version, upgradePrice } = lineageOf(latest)
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700 text-sm space-y-2">
+      <p className="text-xs text-cyan-200 flex items-center gap-2">
+        <GitBranch className="w-3 h-3" />
+        Version {version} is out{free ? ' and free to download' : ''}.
+      </p>
+      {latest.info?.changelog && <p className="text-xs text-gray-300 whitespace-pre-line">{latest.info.changelog}</p>}
+      {free ? (
+        <DownloadButton dataset={latest} walletAddress={walletAddress} label={`Download v${version}`} onDownloaded={onUpgraded} />
+      ) : upgrading ? (
+        <PurchasePanel
+          dataset={latest}
+          walletAddress={walletAddress}
+          upgradeFrom={purchase.id}
+          onPurchased={onUpgraded}
+          onClose={() => setUpgrading(false)}
+        />
+      ) : (
+        <button
+          onClick={() => setUpgrading(true)}
+          className="w-full px-4 py-2 bg-cyan-600 hover:bg-cyan-700 rounded-lg font-semibold text-sm transition"
+        >
+          Upgrade to v{version} {upgradePrice && Number(upgradePrice) > 0 ? `for ${formatPrice(latest, upgradePrice)}` : 'for free'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+const KEY_STATUS_LABELS = {
+  delivered: 'Decryption key delivered',
+  pending: 'Waiting for the seller to deliver the decryption key',
+  unregistered: 'Share your public key so the seller can deliver the decryption key'
+}
+
+// Key Status - delivery state of the decryption key for an encrypted purchase
+function KeyStatus({ purchase, walletAddress }) {
+  const [status, setStatus] = useState(null)
+  const [registering, setRegistering] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    getKeyDeliveryStatus(purchase, walletAddress)
+      .then(result => { if (!cancelled) setStatus(result) })
+      .catch(err => console.warn(`Could not check key delivery for dataset ${purchase.id}:`, err.message))
+    return () => { cancelled = true }
+  }, [purchase, walletAddress])
+
+  const handleRegister = async () => {
+    setRegistering(true)
+    setError('')
+    try {
+      await registerBuyerKey(walletAddress)
+      setStatus(await getKeyDeliveryStatus(purchase, walletAddress))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRegistering(false)
+    }
+  }
+
+  if (!status || status === 'not-encrypted') return null
+
+  return (
+    <div className="mb-4 text-xs">
+      <p className={`flex items-center gap-2 ${status === 'delivered' ? 'text-green-400' : 'text-yellow-400'}`}>
+        <KeyRound className="w-3 h-3" />
+        {KEY_STATUS_LABELS[status]}
+      </p>
+      {status === 'unregistered' && (
+        <button
+          onClick={handleRegister}
+          disabled={registering}
+          className="mt-2 px-3 py-1 bg-yellow-600 hover:bg-yellow-700 rounded-lg font-semibold text-xs transition disabled:opacity-50"
+        >
+          {registering ? 'Sign in your wallet...' : 'Share Public Key'}
+        </button>
+      )}
+      {error && <p className="mt-1 text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default PurchasesView
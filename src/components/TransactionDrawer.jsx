@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+import { Activity, CheckCircle, ExternalLink, Loader2, Repeat, X, XCircle } from 'lucide-react'
+import { listTransactions, subscribeTransactions, clearFinishedTransactions, explorerTxUrl, TX_STATUS, TX_PURPOSES } from '../assets/utils/transactions.js'
+
+function StatusIcon({ status }) {
+  if (status === TX_STATUS.CONFIRMED) return <CheckCircle className="w-4 h-4 text-green-400 shrink-0" />
+  if (status === TX_STATUS.FAILED) return <XCircle className="w-4 h-4 text-red-400 shrink-0" />
+  if (status === TX_STATUS.REPLACED) return <Repeat className="w-4 h-4 text-gray-500 shrink-0" />
+  return <Loader2 className="w-4 h-4 text-cyan-400 animate-spin shrink-0" />
+}
+
+const STATUS_LABELS = {
+  [TX_STATUS.PENDING]: 'Pending',
+  [TX_STATUS.CONFIRMED]: 'Confirmed',
+  [TX_STATUS.FAILED]: 'Failed',
+  [TX_STATUS.REPLACED]: 'Replaced'
+}
+
+function TransactionLink({ hash }) {
+  const url = explorerTxUrl(hash)
+  const short = `${hash.slice(0, 10)}...${hash.slice(-6)}`
+  if (!url) return <span className="font-mono">{short}</span>
+  return (
+    <a href={url} target="_blank" rel="noreferrer" className="font-mono text-cyan-400 hover:underline inline-flex items-center gap-1">
+      {short} <ExternalLink className="w-3 h-3" />
+    </a>
+  )
+}
+
+// Transaction Drawer - header button and activity feed of the wallet's transactions
+function TransactionDrawer({ walletAddress }) {
+  const [open, setOpen] = useState(false)
+  const [transactions, setTransactions] = useState([])
+
+  useEffect(() => {
+    let active = true
+    const load = () => listTransactions(walletAddress)
+      .then(records => { if (active) setTransactions(records) })
+      .catch(error => console.warn('Could not load transactions:', error.message))
+
+    load()
+    const unsubscribe = subscribeTransactions((record) => {
+      if (record.account === walletAddress?.toLowerCase()) load()
+    })
+    return () => {
+      active = false
+      unsubscribe()
+    }
+  }, [walletAddress])
+
+  const handleClear = async () => {
+    try {
+      await clearFinishedTransactions(walletAddress)
+      setTransactions(prev => prev.filter(tx => tx.status === TX_STATUS.PENDING))
+    } catch (error) {
+      console.warn('Could not clear transactions:', error.message)
+    }
+  }
+
+  const pending = transactions.filter(tx => tx.status === TX_STATUS.PENDING).length
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 bg-gray-800/60 hover:bg-gray-700 rounded-lg"
+        title="Transactions"
+      >
+        <Activity className="w-5 h-5" />
+        {pending > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 bg-cyan-500 rounded-full text-xs font-bold flex items-center justify-center">
+            {pending}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-gray-900 border border-gray-700 rounded-lg shadow-xl z-20 text-left">
+          <div className="flex justify-between items-center p-3 border-b border-gray-700">
+            <p className="font-semibold">Transactions</p>
+            <div className="flex items-center gap-2">
+              {transactions.length > pending && (
+                <button onClick={handleClear} className="text-xs text-gray-400 hover:text-white">
+                  Clear finished
+                </button>
+              )}
+              <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          {transactions.length === 0 ? (
+            <p className="p-4 text-sm text-gray-400">No transactions yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-800">
+              {transactions.map(tx => (
+                <li key={tx.hash} className="p-3 text-sm space-y-1">
+                  <p className="flex items-center gap-2">
+                    <StatusIcon status={tx.status} />
+                    <span className="flex-1">
+                      {TX_PURPOSES[tx.purpose] || tx.purpose || 'Transaction'}
+                      {tx.datasetId != null && <span className="text-gray-400"> · Dataset #{tx.datasetId}</span>}
+                    </span>
+                    <span className="text-xs text-gray-500">{STATUS_LABELS[tx.status]}</span>
+                  </p>
+                  <p className="ml-6 text-xs text-gray-400 flex flex-wrap gap-x-2">
+                    <TransactionLink hash={tx.hash} />
+                    <span>{new Date(tx.createdAt).toLocaleString()}</span>
+                    {tx.blockNumber != null && <span>block {tx.blockNumber}</span>}
+                  </p>
+                  {tx.replacedBy && (
+                    <p className="ml-6 text-xs text-gray-400">
+                      Replaced by <TransactionLink hash={tx.replacedBy} />
+                    </p>
+                  )}
+                  {tx.error && <p className="ml-6 text-xs text-red-400">{tx.error}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TransactionDrawer
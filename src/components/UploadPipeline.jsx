@@ -0,0 +1,80 @@
+import { CheckCircle, Circle, Loader2, RotateCcw, SkipForward, Trash2, X, XCircle } from 'lucide-react'
+import { STAGE_STATUS } from '../assets/utils/pipeline.js'
+import UploadProgress from './UploadProgress.jsx'
+
+function StageIcon({ status }) {
+  if (status === STAGE_STATUS.DONE) return <CheckCircle className="w-4 h-4 text-green-400" />
+  if (status === STAGE_STATUS.SKIPPED) return <SkipForward className="w-4 h-4 text-gray-500" />
+  if (status === STAGE_STATUS.FAILED) return <XCircle className="w-4 h-4 text-red-400" />
+  if (status === STAGE_STATUS.RUNNING || status === STAGE_STATUS.RETRYING) return <Loader2 className="w-4 h-4 text-cyan-400 animate-spin" />
+  return <Circle className="w-4 h-4 text-gray-600" />
+}
+
+// Upload Pipeline - stage-by-stage progress of a dataset upload, with cancel, retry and discard
+function UploadPipeline({ run, detail, upload, onPause, onResume, onCancel, onRetry, onDiscard, describeError = (message) => message }) {
+  const failed = run.status === 'failed'
+  const failedStage = run.stages.find(stage => stage.status === STAGE_STATUS.FAILED)
+
+  return (
+    <div className="p-4 bg-gray-800/60 border border-gray-700 rounded-lg space-y-3">
+      <ol className="space-y-2 text-sm">
+        {run.stages.map(stage => {
+          const active = stage.status === STAGE_STATUS.RUNNING || stage.status === STAGE_STATUS.RETRYING
+          return (
+            <li key={stage.id}>
+              <p className={`flex items-center gap-2 ${active ? 'text-white' : 'text-gray-400'}`}>
+                <StageIcon status={stage.status} />
+                {stage.label}
+                {stage.status === STAGE_STATUS.RETRYING && <span className="text-xs text-yellow-400">retrying after: {stage.error}</span>}
+                {stage.attempts > 1 && stage.status === STAGE_STATUS.DONE && <span className="text-xs text-gray-500">({stage.attempts} attempts)</span>}
+              </p>
+              {active && detail?.stage === stage.id && detail.status && (
+                <p className="ml-6 text-xs text-cyan-400">{detail.status}</p>
+              )}
+              {active && stage.id === 'store' && upload && (
+                <div className="ml-6 mt-2">
+                  <UploadProgress progress={upload} onPause={onPause} onResume={onResume} onCancel={onCancel} />
+                </div>
+              )}
+            </li>
+          )
+        })}
+      </ol>
+
+      {run.status === 'running' && (
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-xs font-semibold flex items-center gap-1"
+        >
+          <X className="w-3 h-3" /> Cancel upload
+        </button>
+      )}
+
+      {run.status === 'cancelled' && <p className="text-sm text-gray-400">Upload cancelled</p>}
+
+      {failed && (
+        <div className="p-3 bg-red-900/30 border border-red-500/50 rounded-lg space-y-2">
+          <p className="text-red-400 text-sm">
+            {failedStage ? `${failedStage.label} failed` : 'Upload failed'}: {describeError(run.error)}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={onRetry}
+              className="px-3 py-1 bg-cyan-600 hover:bg-cyan-700 rounded-lg text-xs font-semibold flex items-center gap-1"
+            >
+              <RotateCcw className="w-3 h-3" /> Retry {failedStage ? `from "${failedStage.label}"` : ''}
+            </button>
+            <button
+              onClick={onDiscard}
+              className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-xs font-semibold flex items-center gap-1"
+            >
+              <Trash2 className="w-3 h-3" /> Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UploadPipeline
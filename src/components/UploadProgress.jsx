@@ -0,0 +1,59 @@
+import { Loader2, Pause, Play, X } from 'lucide-react'
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`
+}
+
+const STATE_LABELS = {
+  uploading: 'Uploading',
+  paused: 'Paused',
+  retrying: 'Connection problem, retrying',
+  completing: 'Assembling file',
+  done: 'Uploaded'
+}
+
+// Upload Progress - bytes sent, speed and pause/resume/cancel for a chunked upload
+function UploadProgress({ progress, onPause, onResume, onCancel }) {
+  const { state, loaded, total, chunk, chunks, bytesPerSecond } = progress
+  const percent = total > 0 ? Math.round((loaded / total) * 100) : 100
+  const canControl = state === 'uploading' || state === 'paused' || state === 'retrying'
+
+  return (
+    <div className="p-4 bg-cyan-900/30 border border-cyan-500/50 rounded-lg space-y-2">
+      <div className="flex justify-between items-center text-sm">
+        <p className="text-cyan-400 flex items-center gap-2">
+          {state !== 'paused' && <Loader2 className="w-4 h-4 animate-spin" />}
+          {STATE_LABELS[state] || 'Uploading'}... {percent}%
+        </p>
+        {canControl && (
+          <div className="flex gap-2">
+            {state === 'paused' ? (
+              <button onClick={onResume} className="px-3 py-1 bg-cyan-600 hover:bg-cyan-700 rounded-lg text-xs font-semibold flex items-center gap-1">
+                <Play className="w-3 h-3" /> Resume
+              </button>
+            ) : (
+              <button onClick={onPause} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-xs font-semibold flex items-center gap-1">
+                <Pause className="w-3 h-3" /> Pause
+              </button>
+            )}
+            <button onClick={onCancel} className="px-3 py-1 bg-red-600/80 hover:bg-red-600 rounded-lg text-xs font-semibold flex items-center gap-1">
+              <X className="w-3 h-3" /> Cancel
+            </button>
+          </div>
+        )}
+      </div>
+      <div className="h-2 bg-gray-800 rounded-full overflow-hidden">
+        <div className="h-full bg-gradient-to-r from-cyan-500 to-purple-600 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="text-xs text-gray-400">
+        {formatBytes(loaded)} of {formatBytes(total)} · chunk {chunk}/{chunks}
+        {state === 'uploading' && bytesPerSecond > 0 && ` · ${formatBytes(Math.round(bytesPerSecond))}/s`}
+      </p>
+    </div>
+  )
+}
+
+export default UploadProgress
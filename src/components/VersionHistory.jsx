@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react'
+import { GitBranch, Loader2 } from 'lucide-react'
+import { getDatasetVersions, formatPrice } from '../assets/utils/contract.js'
+import { lineageOf, findOwnedEarlierVersion } from '../assets/utils/versions.js'
+import PurchasePanel from './PurchasePanel.jsx'
+
+// Version History - every version of a dataset with its changelog, plus the upgrade offer for earlier buyers
+function VersionHistory({ dataset, walletAddress, onPurchased }) {
+  const [versions, setVersions] = useState(null)
+  const [error, setError] = useState('')
+  const [owned, setOwned] = useState(null)
+  const [upgrading, setUpgrading] = useState(false)
+  const isOwner = walletAddress && dataset.uploader?.toLowerCase() === walletAddress.toLowerCase()
+
+  useEffect(() => {
+    let cancelled = false
+    getDatasetVersions(dataset)
+      .then(async loaded => {
+        if (cancelled) return
+        setVersions(loaded)
+        if (!dataset.isPaid || isOwner) return
+        const earlier = await findOwnedEarlierVersion(dataset, loaded)
+        if (!cancelled) setOwned(earlier)
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not load the version history: ${err.message}`)
+      })
+    return () => { cancelled = true }
+  }, [dataset, isOwner])
+
+  if (error) return <p className="text-xs text-red-400">{error}</p>
+
+  if (!versions) {
+    return (
+      <p className="text-gray-400 flex items-center gap-2">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading versions...
+      </p>
+    )
+  }
+
+  const current = lineageOf(dataset)
+  const upgradePrice = current.upgradePrice && Number(current.upgradePrice) > 0 ? formatPrice(dataset, current.upgradePrice) : 'free'
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-2">
+        {[...versions].reverse().map(version => {
+          const { version: number } = lineageOf(version)
+          return (
+            <li key={version.id} className="p-3 bg-gray-800/60 rounded-lg">
+              <p className="text-xs text-gray-400 flex items-center gap-2">
+                <GitBranch className="w-3 h-3 text-cyan-400" />
+                <span className={number === current.version ? 'text-white font-semibold' : ''}>v{number}</span>
+                <span>#{version.id} · {new Date(version.timestamp * 1000).toLocaleDateString()}</span>
+                {version.isPaid && <span className="ml-auto">{formatPrice(version)}</span>}
+              </p>
+              {version.info?.changelog && <p className="mt-1 text-gray-300 whitespace-pre-line">{version.info.changelog}</p>}
+              {number === 1 && !version.info?.changelog && <p className="mt-1 text-gray-500 text-xs">First release</p>}
+            </li>
+          )
+        })}
+      </ul>
+
+      {owned && (
+        upgrading ? (
+          <PurchasePanel
+            dataset={dataset}
+            walletAddress={walletAddress}
+            upgradeFrom={owned.id}
+            onPurchased={onPurchased}
+            onClose={() => setUpgrading(false)}
+          />
+        ) : (
+          <div className="p-3 bg-cyan-900/20 border border-cyan-500/30 rounded-lg flex items-center gap-3">
+            <p className="text-xs text-cyan-200">
+              You own v{lineageOf(owned).version}. Upgrade to v{current.version} for {upgradePrice}.
+            </p>
+            <button
+              onClick={() => setUpgrading(true)}
+              className="ml-auto px-3 py-1 bg-cyan-600 hover:bg-cyan-700 rounded-lg text-xs font-semibold"
+            >
+              Upgrade
+            </button>
+          </div>
+        )
+      )}
+    </div>
+  )
+}
+
+export default VersionHistory
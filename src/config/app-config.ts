@@ -0,0 +1,5 @@
+// Demo mode: show sample datasets instead of reading the chain (never enabled implicitly)
+export const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true'
+
+// Confirmations a transaction needs before the app treats it as final (VITE_TX_CONFIRMATIONS, default 1)
+export const TX_CONFIRMATIONS = Math.max(1, parseInt(import.meta.env.VITE_TX_CONFIRMATIONS || '1', 10) || 1)
@@ -0,0 +1,6 @@
+// Storage backend: 'arkiv' (Arkiv REST API) or 'local' (IndexedDB, for development and tests)
+export const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND || 'arkiv'
+
+// Arkiv API configuration
+export const ARKIV_API_URL = import.meta.env.VITE_ARKIV_API_URL || 'https://api.arkiv.org' // Update with actual Arkiv API URL
+export const ARKIV_NETWORK = import.meta.env.VITE_ARKIV_NETWORK || 'ethereum' // or 'polygon', etc.